@@ -1,28 +1,115 @@
+import type { CompanyInfo } from './companyInfo';
+
+export type { CompanyInfo, CompanyService, CompanyContact, CompanySocial } from './companyInfo';
+
 const API_BASE = '/api';
 
 export interface SearchResult {
   title: string;
   url: string;
   snippet: string;
+  source?: string;
+  engines?: string[];
+  score?: number;
+  officialScore?: number;
+}
+
+export interface OfficialSite {
+  url: string;
+  score: number | null;
+  reasons: string[];
+}
+
+export interface SiteCrawl {
+  url: string;
+  pages: { url: string; title: string; depth: number; kind: 'about' | 'products' | 'contact' | null }[];
+  skipped: { url: string; reason: string }[];
+}
+
+export interface SearchError {
+  query: string;
+  engine: string | null;
+  status: number | null;
+  message: string;
 }
 
-export interface CompanyInfo {
+export interface CompanyCandidate {
+  id: string;
   name: string;
+  city: string | null;
+  industry: string | null;
+  website: string | null;
+  query: string;
+}
+
+export interface ThemeOption {
+  type: 'color' | 'boolean' | 'enum' | 'string';
+  default?: string | boolean | null;
+  enum?: string[];
   description?: string;
-  business?: string;
-  industry?: string;
-  foundingYear?: string;
-  location?: string;
-  teamSize?: string;
-  products?: string[];
-  achievements?: string[];
-  values?: string[];
+}
+
+export interface SiteTheme {
+  id: string;
+  label: string;
+  description: string;
+  extends: string | null;
+  colorScheme: 'light' | 'dark';
+  pages: { name: string; title: string; requires: string | null; optional: boolean }[];
+  options: Record<string, ThemeOption>;
+  default: boolean;
+}
+
+export interface PaletteCheck {
+  pair: string;
+  foreground: string;
+  background: string;
+  ratio: number;
+  passed: boolean;
+  adjusted: boolean;
+}
+
+export interface Palette {
+  scheme: 'light' | 'dark';
+  source: 'input' | 'site' | 'industry' | 'theme';
+  theme: string;
+  brand: string;
+  tokens: Record<string, string>;
+  checks: PaletteCheck[];
+}
+
+export type FieldStatus = 'real' | 'manual' | 'verified' | 'missing' | 'placeholder';
+
+export interface Citation {
+  url: string;
+  title: string;
+  snippet: string;
+  origin: 'llm' | 'search' | 'page' | 'site' | 'registry';
+}
+
+export interface ContractError {
+  path: string;
+  message: string;
 }
 
 export interface GenerateResult {
   id?: string;
   companyName: string;
   companyInfo: CompanyInfo;
+  isMock?: boolean;
+  promptVersion?: string | null;
+  officialSite?: OfficialSite | null;
+  siteCrawl?: SiteCrawl | null;
+  fieldStatus?: Record<string, FieldStatus>;
+  missingFields?: string[];
+  unresolvedFields?: string[];
+  contractErrors?: ContractError[];
+  citations?: Record<string, Citation[]>;
+  theme?: string;
+  pages?: string[] | null;
+  palette?: Palette;
+  baseUrl?: string | null;
+  buildId: string;
   outputDir: string;
   generatedFiles: string[];
   deployTarget: string;
@@ -81,23 +168,43 @@ class ApiClient {
     return this.request('/health');
   }
 
-  async searchCompany(companyName: string): Promise<ApiResponse<{ companyName: string; results: SearchResult[] }>> {
+  async searchCompany(companyName: string): Promise<ApiResponse<{
+    companyName: string;
+    results: SearchResult[];
+    officialSite: OfficialSite | null;
+    errors: SearchError[];
+    partial: boolean;
+  }>> {
     return this.request('/search', {
       method: 'POST',
       body: JSON.stringify({ companyName }),
     });
   }
 
+  async getCandidates(companyName: string): Promise<ApiResponse<{ companyName: string; candidates: CompanyCandidate[] }>> {
+    return this.request('/candidates', {
+      method: 'POST',
+      body: JSON.stringify({ companyName }),
+    });
+  }
+
   async generateWebsite(
     companyName: string,
-    deployTarget: string = 'none'
+    deployTarget: string = 'none',
+    candidateId?: string,
+    theme?: string,
+    pages?: string[]
   ): Promise<ApiResponse<GenerateResult>> {
     return this.request('/generate', {
       method: 'POST',
-      body: JSON.stringify({ companyName, deployTarget }),
+      body: JSON.stringify({ companyName, deployTarget, candidateId, theme, pages }),
     });
   }
 
+  async getThemes(): Promise<ApiResponse<{ default: string; themes: SiteTheme[] }>> {
+    return this.request('/themes');
+  }
+
   async getHistory(): Promise<ApiResponse<HistoryRecord[]>> {
     return this.request('/history');
   }
@@ -109,6 +216,10 @@ class ApiClient {
   async deleteHistoryRecord(id: string): Promise<ApiResponse<void>> {
     return this.request(`/history/${id}`, { method: 'DELETE' });
   }
+
+  getDownloadUrl(id: string): string {
+    return `${this.baseUrl}/history/${id}/download`;
+  }
 }
 
 export const apiClient = new ApiClient();
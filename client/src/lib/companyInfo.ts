@@ -0,0 +1,114 @@
+// 此文件由 scripts/generate-client-types.js 根据 shared/company-info.schema.json 生成，请勿手动修改
+// 缺失的字段在响应中会被省略，因此除 name 外的顶层字段均为可选
+
+export interface CompanyInfo {
+  /** 企业全称 */
+  name: string;
+  /** 企业简称 */
+  shortName?: string;
+  /** 企业口号 */
+  slogan?: string | null;
+  /** 核心业务介绍，一到两句话 */
+  business?: string;
+  /** 企业详细介绍，可分段 */
+  description?: string;
+  /** 所属行业 */
+  industry?: string;
+  /** 成立时间，需包含四位年份，如 1987年 */
+  founded?: string | null;
+  /** 总部地点 */
+  headquarters?: string | null;
+  /** 主要产品和服务 */
+  services?: CompanyService[];
+  /** 企业特色/优势，每项一句短语 */
+  features?: string[];
+  /** 客户案例或代表性项目，只收录资料中明确提到的 */
+  cases?: CompanyCase[];
+  /** 联系方式 */
+  contact?: CompanyContact;
+  /** 官网与社交账号 */
+  social?: CompanySocial;
+  /** 品牌视觉，来自企业官网 */
+  brand?: CompanyBrand;
+  /** 工商登记信息，来自企业信息接口 */
+  registration?: CompanyRegistration;
+  /** 企业新闻动态，来自新闻检索，按发布时间倒序 */
+  news?: CompanyNews[];
+}
+
+export interface CompanyService {
+  /** 产品或服务名称 */
+  name: string;
+  /** 产品或服务简介 */
+  description: string;
+}
+
+export interface CompanyCase {
+  /** 案例或项目名称 */
+  title: string;
+  /** 客户名称 */
+  client?: string | null;
+  /** 案例简介 */
+  description: string;
+}
+
+/** 联系方式 */
+export interface CompanyContact {
+  /** 联系电话 */
+  phone?: string | null;
+  /** 联系邮箱 */
+  email?: string | null;
+  /** 联系地址 */
+  address?: string | null;
+}
+
+/** 官网与社交账号 */
+export interface CompanySocial {
+  /** 官网地址 */
+  website?: string | null;
+  /** 微博账号 */
+  weibo?: string | null;
+  /** 微信公众号 */
+  wechat?: string | null;
+}
+
+/** 品牌视觉，来自企业官网 */
+export interface CompanyBrand {
+  /** Logo 图片地址 */
+  logo?: string | null;
+  /** 网站图标地址 */
+  favicon?: string | null;
+  /** 品牌色，按使用频率排序 */
+  colors?: string[];
+}
+
+/** 工商登记信息，来自企业信息接口 */
+export interface CompanyRegistration {
+  /** 登记名称 */
+  name?: string | null;
+  /** 统一社会信用代码 */
+  creditCode?: string | null;
+  /** 法定代表人 */
+  legalRepresentative?: string | null;
+  /** 注册资本，如 1000万元人民币 */
+  registeredCapital?: string | null;
+  /** 成立日期，YYYY-MM-DD */
+  registrationDate?: string | null;
+  /** 登记状态，如 存续 */
+  status?: string | null;
+  /** 注册地址 */
+  address?: string | null;
+}
+
+export interface CompanyNews {
+  /** 发布日期，YYYY-MM-DD */
+  date?: string | null;
+  /** 新闻标题 */
+  title: string;
+  /** 新闻摘要 */
+  summary: string;
+  /** 来源媒体或网站 */
+  source?: string | null;
+  /** 原文链接 */
+  url: string;
+}
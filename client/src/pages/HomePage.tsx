@@ -2,18 +2,19 @@ import React, { useState, useEffect, useRef } from 'react';
 import { 
   Search, Sparkles, Github, ExternalLink, Loader2, CheckCircle2, 
   Building2, Cloud, History, Trash2, Play, Pause, RotateCcw,
-  ChevronRight, FileText, Image, Send, Menu, X, Copy, Check
+  ChevronRight, FileText, Image, Send, Menu, X, Copy, Check, AlertTriangle, Download
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
 import { Progress } from '@/components/ui/progress';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
-import { apiClient, GenerateResult, HistoryRecord } from '@/lib/api';
+import { apiClient, CompanyCandidate, GenerateResult, HistoryRecord, SiteTheme } from '@/lib/api';
 import { toast } from '@/hooks/use-toast';
 
-type Step = 'idle' | 'generating' | 'completed' | 'history';
+type Step = 'idle' | 'choosing' | 'generating' | 'completed' | 'history';
 type DeployTarget = 'none' | 'github' | 'qiniu';
 
 // 定义生成步骤
@@ -39,6 +40,10 @@ interface HomePageProps {
 export function HomePage({ onResult }: HomePageProps) {
   const [companyName, setCompanyName] = useState('');
   const [deployTarget, setDeployTarget] = useState<DeployTarget>('qiniu');
+  const [themes, setThemes] = useState<SiteTheme[]>([]);
+  const [theme, setTheme] = useState<string>('');
+  // 选中的可选页面（客户案例、常见问题等）
+  const [extraPages, setExtraPages] = useState<string[]>([]);
   const [step, setStep] = useState<Step>('idle');
   const [result, setResult] = useState<GenerateResult | null>(null);
   const [error, setError] = useState<string | null>(null);
@@ -46,6 +51,11 @@ export function HomePage({ onResult }: HomePageProps) {
   const [loadingHistory, setLoadingHistory] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   
+  // 候选企业（同名消歧）
+  const [candidates, setCandidates] = useState<CompanyCandidate[]>([]);
+  const [selectedCandidateId, setSelectedCandidateId] = useState<string>('');
+  const [lookingUp, setLookingUp] = useState(false);
+  
   // 进度跟踪
   const [steps, setSteps] = useState<ProcessStep[]>(DEFAULT_STEPS);
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
@@ -74,12 +84,20 @@ export function HomePage({ onResult }: HomePageProps) {
   // 初始化加载历史
   useEffect(() => {
     loadHistory();
+    apiClient.getThemes().then(response => {
+      if (response.success && response.data) {
+        setThemes(response.data.themes);
+        setTheme(response.data.default);
+      }
+    });
   }, []);
 
   // 从历史记录加载
   const loadFromHistory = (record: HistoryRecord) => {
     setCompanyName(record.companyName);
     setDeployTarget(record.deployTarget as DeployTarget);
+    if (record.theme) setTheme(record.theme);
+    setExtraPages(record.pages ?? []);
     setResult(record as unknown as GenerateResult);
     setStep('completed');
     setSteps(DEFAULT_STEPS.map(s => ({ ...s, status: 'completed' })));
@@ -97,7 +115,7 @@ export function HomePage({ onResult }: HomePageProps) {
     }
   };
 
-  // 开始生成
+  // 开始生成：先查找候选企业，名称对应多个主体时让用户选择
   const handleGenerate = async () => {
     if (!companyName.trim()) {
       toast({
@@ -108,6 +126,40 @@ export function HomePage({ onResult }: HomePageProps) {
       return;
     }
 
+    setLookingUp(true);
+    const response = await apiClient.getCandidates(companyName);
+    setLookingUp(false);
+
+    const found = response.success && response.data ? response.data.candidates : [];
+    if (found.length > 1) {
+      setCandidates(found);
+      setSelectedCandidateId(found[0].id);
+      setStep('choosing');
+      return;
+    }
+
+    runGenerate(found[0]?.id);
+  };
+
+  // 当前主题的可选页面
+  const optionalPages = themes.find(item => item.id === theme)?.pages.filter(page => page.optional) ?? [];
+
+  // 页面选择：没有勾选可选页面时不传，由服务端生成默认页面
+  const getPageSelection = (): string[] | undefined => {
+    const selectedTheme = themes.find(item => item.id === theme);
+    const selected = optionalPages.filter(page => extraPages.includes(page.name));
+    if (!selectedTheme || selected.length === 0) return undefined;
+    return selectedTheme.pages
+      .filter(page => !page.optional || extraPages.includes(page.name))
+      .map(page => page.name);
+  };
+
+  const toggleExtraPage = (name: string, checked: boolean) => {
+    setExtraPages(prev => (checked ? [...prev, name] : prev.filter(item => item !== name)));
+  };
+
+  // 执行生成
+  const runGenerate = async (candidateId?: string) => {
     // 重置状态
     setStep('generating');
     setError(null);
@@ -119,7 +171,7 @@ export function HomePage({ onResult }: HomePageProps) {
     setPlaybackIndex(0);
 
     try {
-      const response = await apiClient.generateWebsite(companyName, deployTarget);
+      const response = await apiClient.generateWebsite(companyName, deployTarget, candidateId, theme || undefined, getPageSelection());
 
       if (response.success && response.data) {
         // 标记所有步骤完成
@@ -222,7 +274,7 @@ export function HomePage({ onResult }: HomePageProps) {
                 setStep(item.id === 'home' ? 'idle' : 'history');
               }}
               className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg mb-1 transition-colors ${
-                (step === 'idle' || step === 'generating' || step === 'completed') && item.id === 'home'
+                (step === 'idle' || step === 'choosing' || step === 'generating' || step === 'completed') && item.id === 'home'
                   ? 'bg-blue-50 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400'
                   : step === 'history' && item.id === 'history'
                   ? 'bg-blue-50 dark:bg-blue-900/50 text-blue-600 dark:text-blue-400'
@@ -326,15 +378,15 @@ export function HomePage({ onResult }: HomePageProps) {
                         value={companyName}
                         onChange={(e) => setCompanyName(e.target.value)}
                         onKeyDown={(e) => e.key === 'Enter' && handleGenerate()}
-                        disabled={step === 'generating'}
+                        disabled={step === 'generating' || lookingUp}
                         className="flex-1"
                       />
                       <Button 
                         onClick={handleGenerate}
-                        disabled={step === 'generating' || !companyName.trim()}
+                        disabled={step === 'generating' || lookingUp || !companyName.trim()}
                         className="bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700"
                       >
-                        {step === 'generating' ? (
+                        {step === 'generating' || lookingUp ? (
                           <Loader2 className="w-4 h-4 animate-spin" />
                         ) : (
                           <Send className="w-4 h-4" />
@@ -365,9 +417,95 @@ export function HomePage({ onResult }: HomePageProps) {
                       </div>
                     </RadioGroup>
                   </div>
+
+                  {themes.length > 0 && (
+                    <div className="space-y-2">
+                      <Label>网站主题</Label>
+                      <RadioGroup
+                        value={theme}
+                        onValueChange={setTheme}
+                        className="flex flex-wrap gap-4"
+                      >
+                        {themes.map((item) => (
+                          <div key={item.id} className="flex items-center space-x-2" title={item.description}>
+                            <RadioGroupItem value={item.id} id={`theme-${item.id}`} />
+                            <Label htmlFor={`theme-${item.id}`} className="cursor-pointer">
+                              {item.label}
+                            </Label>
+                          </div>
+                        ))}
+                      </RadioGroup>
+                    </div>
+                  )}
+
+                  {optionalPages.length > 0 && (
+                    <div className="space-y-2">
+                      <Label>可选页面</Label>
+                      <div className="flex flex-wrap gap-4">
+                        {optionalPages.map((page) => (
+                          <div key={page.name} className="flex items-center space-x-2">
+                            <Checkbox
+                              id={`page-${page.name}`}
+                              checked={extraPages.includes(page.name)}
+                              onCheckedChange={(checked) => toggleExtraPage(page.name, checked === true)}
+                            />
+                            <Label htmlFor={`page-${page.name}`} className="cursor-pointer">
+                              {page.title}
+                            </Label>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </CardContent>
               </Card>
 
+              {/* 候选企业选择 */}
+              {step === 'choosing' && (
+                <Card>
+                  <CardHeader className="pb-4">
+                    <CardTitle>请选择目标企业</CardTitle>
+                    <CardDescription>
+                      「{companyName}」对应 {candidates.length} 个企业主体，请确认要生成官网的企业
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <RadioGroup
+                      value={selectedCandidateId}
+                      onValueChange={setSelectedCandidateId}
+                      className="space-y-2"
+                    >
+                      {candidates.map((candidate) => (
+                        <Label
+                          key={candidate.id}
+                          htmlFor={`candidate-${candidate.id}`}
+                          className="flex items-start gap-3 p-3 rounded-lg border cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-800"
+                        >
+                          <RadioGroupItem value={candidate.id} id={`candidate-${candidate.id}`} className="mt-1" />
+                          <div className="space-y-1">
+                            <p className="font-medium">{candidate.name}</p>
+                            <p className="text-xs text-muted-foreground">
+                              {[candidate.city, candidate.industry].filter(Boolean).join(' · ') || '暂无更多信息'}
+                            </p>
+                            {candidate.website && (
+                              <p className="text-xs text-blue-600 break-all">{candidate.website}</p>
+                            )}
+                          </div>
+                        </Label>
+                      ))}
+                    </RadioGroup>
+                    <div className="flex justify-end gap-2">
+                      <Button variant="outline" onClick={() => setStep('idle')}>
+                        取消
+                      </Button>
+                      <Button onClick={() => runGenerate(selectedCandidateId)} disabled={!selectedCandidateId}>
+                        确认生成
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
               {/* 生成进度/结果 */}
               {(step === 'generating' || step === 'completed') && (
                 <Card>
@@ -482,12 +620,34 @@ export function HomePage({ onResult }: HomePageProps) {
                             <p className="text-sm text-muted-foreground mb-2">
                               {result.companyInfo?.business}
                             </p>
-                            <div className="flex gap-4 text-xs text-muted-foreground">
+                            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
                               <span>行业: {result.companyInfo?.industry}</span>
+                              {result.companyInfo?.founded && <span>成立: {result.companyInfo.founded}</span>}
+                              {result.companyInfo?.headquarters && <span>总部: {result.companyInfo.headquarters}</span>}
                               <span>文件: {result.generatedFiles?.length || 0} 个</span>
                             </div>
+                            {(result.companyInfo?.services?.length ?? 0) > 0 && (
+                              <p className="text-xs text-muted-foreground mt-2">
+                                产品与服务: {result.companyInfo?.services?.map(service => service.name).join('、')}
+                              </p>
+                            )}
                           </div>
 
+                          {/* 数据完整性提示 */}
+                          {(result.isMock || (result.missingFields?.length ?? 0) > 0) && (
+                            <div className="p-4 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-400">
+                              <p className="font-medium flex items-center gap-2">
+                                <AlertTriangle className="w-4 h-4" />
+                                {result.isMock ? '当前官网使用的是模拟数据，请勿直接上线' : '部分企业信息缺失，相关区块已隐藏'}
+                              </p>
+                              {(result.missingFields?.length ?? 0) > 0 && (
+                                <p className="text-sm mt-1">
+                                  缺失字段: {result.missingFields?.join('、')}
+                                </p>
+                              )}
+                            </div>
+                          )}
+
                           {/* 预览链接 */}
                           {result.previewUrl && (
                             <div className="flex items-center gap-2">
@@ -511,6 +671,16 @@ export function HomePage({ onResult }: HomePageProps) {
                               </Button>
                             </div>
                           )}
+
+                          {/* 下载网站 */}
+                          {result.id && (
+                            <Button className="w-full" variant="outline" asChild>
+                              <a href={apiClient.getDownloadUrl(result.id)} download>
+                                <Download className="w-4 h-4 mr-2" />
+                                下载网站（ZIP）
+                              </a>
+                            </Button>
+                          )}
                         </div>
                       </div>
                     )}
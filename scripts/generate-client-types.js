@@ -0,0 +1,90 @@
+/**
+ * 根据 shared/company-info.schema.json 生成客户端 CompanyInfo 类型
+ * 用法: npm run generate:types
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_FILE = path.join(__dirname, '../shared/company-info.schema.json');
+const OUTPUT_FILE = path.join(__dirname, '../client/src/lib/companyInfo.ts');
+
+// 响应中总会返回的字段，其余字段缺失时会被省略
+const ALWAYS_PRESENT = ['name'];
+
+/**
+ * 将字段定义转换为 TypeScript 类型
+ * @param {Object} schema - 字段定义
+ * @param {Array} interfaces - 收集到的嵌套接口
+ * @returns {string} 类型表达式
+ */
+function toType(schema, interfaces) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  return types.map(type => {
+    if (type === 'array') {
+      const item = toType(schema.items || {}, interfaces);
+      return item.includes(' ') ? `Array<${item}>` : `${item}[]`;
+    }
+    if (type === 'object') {
+      if (!schema.title) {
+        throw new Error('对象类型需要 title 作为接口名');
+      }
+      interfaces.push(schema);
+      return schema.title;
+    }
+    if (type === 'integer') return 'number';
+    if (['string', 'number', 'boolean', 'null'].includes(type)) return type;
+    return 'unknown';
+  }).join(' | ');
+}
+
+/**
+ * 生成接口声明
+ * @param {Object} schema - 对象定义
+ * @param {Array} interfaces - 收集到的嵌套接口
+ * @param {Array<string>} required - 必有字段
+ * @returns {string} 接口代码
+ */
+function renderInterface(schema, interfaces, required) {
+  const lines = [];
+
+  if (schema.description) {
+    lines.push(`/** ${schema.description} */`);
+  }
+  lines.push(`export interface ${schema.title} {`);
+
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    if (prop.description) {
+      lines.push(`  /** ${prop.description} */`);
+    }
+    lines.push(`  ${key}${required.includes(key) ? '' : '?'}: ${toType(prop, interfaces)};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function main() {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8'));
+  const interfaces = [];
+  const blocks = [renderInterface(schema, interfaces, ALWAYS_PRESENT)];
+
+  // 嵌套对象的字段按契约中的 required 生成
+  while (interfaces.length > 0) {
+    const nested = interfaces.shift();
+    if (blocks.some(block => block.includes(`export interface ${nested.title} {`))) continue;
+    blocks.push(renderInterface(nested, interfaces, nested.required || []));
+  }
+
+  const header = [
+    '// 此文件由 scripts/generate-client-types.js 根据 shared/company-info.schema.json 生成，请勿手动修改',
+    '// 缺失的字段在响应中会被省略，因此除 name 外的顶层字段均为可选',
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT_FILE, `${header}\n${blocks.join('\n\n')}\n`);
+  console.log(`✅ 已生成 ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
@@ -12,6 +12,91 @@ const generatorService = require('../services/generator');
 const githubService = require('../services/github');
 const qiniuService = require('../services/qiniu');
 const historyService = require('../services/history');
+const llmProviders = require('../services/providers');
+const retrievalService = require('../services/retrieval');
+const candidateService = require('../services/candidates');
+const profileService = require('../services/profile');
+const cacheService = require('../services/cache');
+const promptService = require('../services/prompts');
+const searchEngines = require('../services/searchEngines');
+const ranking = require('../services/ranking');
+const crawlerService = require('../services/crawler');
+const readability = require('../services/readability');
+const registryService = require('../services/registry');
+const newsService = require('../services/news');
+const themeService = require('../services/themes');
+const paletteService = require('../services/palette');
+const seoService = require('../services/seo');
+const outputService = require('../services/output');
+const archiveService = require('../services/archive');
+const { validateCompanyInfo } = require('../schemas/companyInfo');
+const { checkPublicUrl } = require('../utils/network');
+
+/**
+ * 按 CompanyInfo 契约校验返回给客户端的企业信息
+ * 缺失字段允许省略；不符合契约的字段记录日志，并随响应以 contractErrors 返回，客户端据此提示
+ * @param {Object} companyInfo - 企业信息
+ * @returns {Array} 契约错误 [{ path, message }]，符合契约时为空数组
+ */
+function getContractErrors(companyInfo) {
+  if (!companyInfo) return [];
+
+  const { valid, errors } = validateCompanyInfo(companyInfo, { partial: true });
+  if (!valid) {
+    console.warn(`   ⚠️ 企业信息不符合 CompanyInfo 契约: ${errors.map(e => `${e.path} ${e.message}`).join('；')}`);
+  }
+  return errors;
+}
+
+/**
+ * 读取请求中的搜索选项
+ * @param {Object} body - 请求体 { engines, searchStrategy }
+ * @returns {Object} 搜索选项 { engines, strategy }
+ * @throws {Error} 包含未知搜索引擎或策略时抛出
+ */
+function getSearchOptions(body) {
+  const { engines, searchStrategy } = body;
+
+  const unknown = searchEngines.findUnknownEngines(engines);
+  if (unknown.length > 0) {
+    throw new Error(`未知的搜索引擎: ${unknown.join(', ')}`);
+  }
+  if (searchStrategy && !searchEngines.SEARCH_STRATEGIES.includes(searchStrategy)) {
+    throw new Error(`未知的搜索策略: ${searchStrategy}`);
+  }
+
+  return { engines, strategy: searchStrategy };
+}
+
+/**
+ * 获取历史记录对应的构建目录，并标记为正在使用，调用 release() 之前不会被清理
+ * 构建已被清理（或记录早于版本化构建目录）时，按记录中的企业信息和生成选项重新生成，不改变 current
+ * @param {Object} record - 历史记录
+ * @returns {Promise<Object>} { buildId, outputDir, release }
+ */
+async function getRecordBuild(record) {
+  const existing = await outputService.acquireBuild(record.companyInfo, record.buildId);
+  if (existing) return { buildId: record.buildId, outputDir: existing.dir, release: existing.release };
+
+  console.log(`   构建 ${record.buildId || '(无)'} 已不存在，按历史记录重新生成: ${record.companyName}`);
+  const { buildId, outputDir } = await generatorService.generateWebsite(record.companyInfo, {
+    showRegistration: record.showRegistration !== false,
+    theme: record.theme,
+    themeOptions: record.themeOptions,
+    palette: record.palette,
+    pages: record.pages || undefined,
+    baseUrl: record.baseUrl,
+    baiduVerification: record.baiduVerification,
+    promote: false
+  });
+  await historyService.updateRecord(record.id, { buildId });
+
+  const build = await outputService.acquireBuild(record.companyInfo, buildId);
+  if (!build) {
+    throw new Error('重新生成的构建已被清理，请重试');
+  }
+  return { buildId, outputDir: build.dir, release: build.release };
+}
 
 /**
  * 健康检查
@@ -24,7 +109,11 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     qiniu: qiniuService.checkQiniuConfig(),
-    github: githubService.checkConfig()
+    github: githubService.checkConfig(),
+    llm: llmProviders.checkProviders(),
+    search: searchEngines.checkEngines(),
+    registry: registryService.checkConfig(),
+    retrievalMode: retrievalService.getRetrievalMode()
   });
 });
 
@@ -43,15 +132,38 @@ router.post('/search', async (req, res) => {
       });
     }
     
+    let searchOptions;
+    try {
+      searchOptions = getSearchOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.log(`🔍 开始搜索企业信息: ${companyName}`);
-    const searchResults = await searchService.searchCompany(companyName);
+    const { results, errors } = await searchService.searchCompany(companyName, searchOptions);
+    const officialSite = await ranking.detectOfficialSite(results, companyName);
+    
+    // 全部请求失败时不能当作“没有结果”
+    if (results.length === 0 && errors.length > 0) {
+      return res.status(502).json({
+        success: false,
+        message: '搜索失败，所有搜索请求均出错',
+        errors
+      });
+    }
     
     res.json({
       success: true,
-      message: '搜索完成',
+      message: errors.length > 0 ? `搜索完成，${errors.length} 次请求失败` : '搜索完成',
       data: {
         companyName,
-        results: searchResults
+        results,
+        officialSite,
+        errors,
+        partial: errors.length > 0
       }
     });
   } catch (error) {
@@ -64,13 +176,272 @@ router.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * 抓取企业官网
+ * 在官网域名内抓取页面，提取品牌视觉、产品、联系方式和简介，可用于核对本地替身站点
+ * POST /api/crawl
+ */
+router.post('/crawl', async (req, res) => {
+  try {
+    const { url, maxDepth, maxPages } = req.body;
+    
+    if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({
+        success: false,
+        message: '请提供有效的官网地址'
+      });
+    }
+
+    const refused = await checkPublicUrl(url);
+    if (refused) {
+      return res.status(400).json({
+        success: false,
+        message: refused
+      });
+    }
+    
+    console.log(`🕸️ 抓取企业官网: ${url}`);
+    const result = await crawlerService.crawlSite(url, {
+      maxDepth: maxDepth !== undefined ? parseInt(maxDepth, 10) : undefined,
+      maxPages: maxPages !== undefined ? parseInt(maxPages, 10) : undefined
+    });
+    
+    res.json({
+      success: true,
+      message: `抓取完成，共 ${result.pages.length} 个页面`,
+      data: result
+    });
+  } catch (error) {
+    console.error('抓取企业官网失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '抓取企业官网失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 提取网页正文（调试用）
+ * 查看检索时从页面中取到的标题、正文、发布日期和链接
+ * POST /api/fetch
+ */
+router.post('/fetch', async (req, res) => {
+  try {
+    const { url } = req.body;
+    
+    if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({
+        success: false,
+        message: '请提供有效的网页地址'
+      });
+    }
+
+    const refused = await checkPublicUrl(url);
+    if (refused) {
+      return res.status(400).json({
+        success: false,
+        message: refused
+      });
+    }
+    
+    const page = await readability.fetchReadable(url);
+    
+    res.json({
+      success: true,
+      message: '提取完成',
+      data: page
+    });
+  } catch (error) {
+    console.error('提取网页正文失败:', error.message);
+    res.status(502).json({
+      success: false,
+      message: '提取网页正文失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 检索企业近期新闻
+ * 返回去重、生成摘要后的新闻列表，即生成时写入 companyInfo.news 的内容
+ * POST /api/news
+ */
+router.post('/news', async (req, res) => {
+  try {
+    const { companyName } = req.body;
+    
+    if (!companyName || typeof companyName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: '请提供企业名称'
+      });
+    }
+    
+    let searchOptions;
+    try {
+      searchOptions = getSearchOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.log(`📰 检索企业新闻: ${companyName}`);
+    const news = await newsService.collectNews(companyName, { search: searchOptions });
+    
+    res.json({
+      success: true,
+      message: `检索完成，共 ${news.length} 条新闻`,
+      data: { companyName, news }
+    });
+  } catch (error) {
+    console.error('检索企业新闻失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '检索企业新闻失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 查找候选企业
+ * 名称对应多个法人主体时，由用户选择后再生成
+ * POST /api/candidates
+ */
+router.post('/candidates', async (req, res) => {
+  try {
+    const { companyName } = req.body;
+    
+    if (!companyName || typeof companyName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: '请提供有效的企业名称'
+      });
+    }
+    
+    let searchOptions;
+    try {
+      searchOptions = getSearchOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.log(`🔎 查找候选企业: ${companyName}`);
+    const candidates = await candidateService.findCandidates(companyName.trim(), searchOptions);
+    
+    res.json({
+      success: true,
+      message: candidates.length > 1 ? `找到 ${candidates.length} 个候选企业，请选择` : '查找完成',
+      data: {
+        companyName,
+        candidates
+      }
+    });
+  } catch (error) {
+    console.error('查找候选企业失败:', error);
+    res.status(500).json({
+      success: false,
+      message: '查找候选企业失败',
+      error: error.message
+    });
+  }
+});
+
 /**
  * 生成企业官网
  * POST /api/generate
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { companyName, deployTarget = 'none', forceRegenerate = false } = req.body;
+    const {
+      deployTarget = 'none',
+      forceRegenerate = false,
+      retrievalMode,
+      candidateId,
+      profileFormat,
+      skipExtraction = false,
+      refreshExtraction = false,
+      promptVersion,
+      crawlSite,
+      collectNews,
+      showRegistration = true,
+      theme,
+      themeOptions,
+      refreshPalette = false,
+      pages,
+      baseUrl,
+      baiduVerification
+    } = req.body;
+    let { companyName } = req.body;
+    
+    // 手工提供的企业资料（companyInfo 对象或 JSON/YAML 文本）
+    let knownInfo = null;
+    let searchOptions;
+    try {
+      searchOptions = getSearchOptions(req.body);
+      knownInfo = profileService.loadProfile({
+        companyInfo: req.body.companyInfo,
+        profile: req.body.profile,
+        profileFormat
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (!companyName && knownInfo) {
+      companyName = knownInfo.name;
+    }
+    if (promptVersion && !promptService.hasVersion(promptVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: `提示词版本不存在: ${promptVersion}`
+      });
+    }
+    // 主题、主题选项和页面选择在提取前校验，避免提取完成后才发现参数错误
+    let siteTheme;
+    let siteThemeOptions;
+    try {
+      siteTheme = themeService.loadTheme(theme || themeService.DEFAULT_THEME);
+      siteThemeOptions = themeService.resolveOptions(siteTheme, themeOptions || {});
+      themeService.resolvePages(siteTheme, pages);
+      seoService.normalizeBaseUrl(baseUrl);
+      if (baiduVerification !== undefined && (typeof baiduVerification !== 'string' || !/^[\w-]+$/.test(baiduVerification))) {
+        throw new Error('百度站长平台验证码格式无效');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (skipExtraction && !knownInfo) {
+      return res.status(400).json({
+        success: false,
+        message: '跳过提取时必须提供 companyInfo 或 profile'
+      });
+    }
+    
+    // 已选择候选企业时，以候选企业的工商全称为准
+    let candidate = null;
+    if (candidateId) {
+      candidate = candidateService.getCandidate(candidateId);
+      if (!candidate) {
+        return res.status(400).json({
+          success: false,
+          message: '候选企业不存在或已过期，请重新查询'
+        });
+      }
+      companyName = candidate.name;
+    }
     
     if (!companyName || typeof companyName !== 'string') {
       return res.status(400).json({
@@ -84,8 +455,8 @@ router.post('/generate', async (req, res) => {
     console.log(`📦 部署目标: ${deployTarget}, 强制重生成: ${forceRegenerate}`);
     console.log(`========================================\n`);
     
-    // 检查是否已存在（仅针对七牛云）
-    if (!forceRegenerate && deployTarget === 'qiniu') {
+    // 检查是否已存在（仅针对七牛云，提供了新资料时总是重新生成）
+    if (!forceRegenerate && !knownInfo && deployTarget === 'qiniu') {
       const existingHistory = await historyService.getHistory();
       const existing = existingHistory.find(h => 
         h.companyName === companyName && h.deployTarget === 'qiniu'
@@ -100,6 +471,9 @@ router.post('/generate', async (req, res) => {
             id: existing.id,
             companyName: existing.companyName,
             companyInfo: existing.companyInfo,
+            contractErrors: getContractErrors(existing.companyInfo),
+            isMock: !!existing.isMock,
+            missingFields: existing.missingFields || [],
             deployTarget: existing.deployTarget,
             previewUrl: existing.previewUrl,
             indexUrl: existing.indexUrl,
@@ -110,16 +484,60 @@ router.post('/generate', async (req, res) => {
       }
     }
     
-    // 步骤 1: 使用 MiniMax web_search 获取企业信息
-    console.log('🔍 步骤 1/3: MiniMax AI 搜索企业信息...');
-    const companyInfo = await extractorService.extractCompanyInfo(companyName);
+    // 步骤 1: 使用模型提供方获取企业信息
+    console.log(`🔍 步骤 1/3: AI 搜索企业信息 (${llmProviders.getActiveProvider().label})...`);
+    const extraction = await extractorService.extractCompanyInfo(companyName, {
+      retrievalMode,
+      candidate,
+      knownInfo,
+      skipExtraction: !!skipExtraction,
+      refresh: !!refreshExtraction,
+      promptVersion,
+      search: searchOptions,
+      crawlSite: crawlSite === undefined ? undefined : !!crawlSite,
+      collectNews: collectNews === undefined ? undefined : !!collectNews
+    });
+    const { companyInfo, unresolvedFields, missingFields, fieldStatus, isMock } = extraction;
     console.log('   ✓ 企业信息获取完成');
+    if (isMock) {
+      console.warn('   ⚠️ 当前为模拟数据，请勿直接用于正式上线');
+    }
+    if (missingFields.length > 0) {
+      console.warn(`   ⚠️ 缺失字段: ${missingFields.join(', ')}`);
+    }
     console.log(`   - 企业名称: ${companyInfo.name}`);
     console.log(`   - 核心业务: ${companyInfo.business?.slice(0, 50)}...`);
     
     // 步骤 2: 生成网站
     console.log('🎨 步骤 2/3: 生成企业官网...');
-    const outputDir = await generatorService.generateWebsite(companyInfo);
+    // 沿用该企业上次生成时保存的配色，重新生成时网站外观保持不变
+    const previousRecord = refreshPalette
+      ? null
+      : (await historyService.getHistory()).find(h => h.companyName === companyInfo.name && h.palette);
+    const palette = paletteService.resolvePalette(companyInfo, {
+      theme: siteTheme,
+      themeOptions: siteThemeOptions,
+      previous: previousRecord?.palette
+    });
+    const failedChecks = palette.checks.filter(check => !check.passed);
+    console.log(`   配色: ${palette.tokens.primary}（来源: ${palette.source}${palette === previousRecord?.palette ? '，沿用上次配色' : ''}）`);
+    if (failedChecks.length > 0) {
+      console.warn(`   ⚠️ 对比度未达标: ${failedChecks.map(check => check.pair).join(', ')}`);
+    }
+    // 网站地址：请求指定 > 部署目标的公开地址，用于规范链接和站点地图
+    const siteUrl = seoService.normalizeBaseUrl(baseUrl
+      || (deployTarget === 'github' && githubService.getPagesUrl(companyInfo))
+      || (deployTarget === 'qiniu' && qiniuService.getPublicBaseUrl(companyInfo))
+      || null);
+    const { buildId, outputDir } = await generatorService.generateWebsite(companyInfo, {
+      showRegistration: showRegistration !== false,
+      theme: siteTheme.id,
+      themeOptions,
+      palette,
+      pages,
+      baseUrl: siteUrl,
+      baiduVerification
+    });
     console.log(`   ✓ 网站生成完成: ${outputDir}`);
     
     // 步骤 3: 部署
@@ -147,6 +565,26 @@ router.post('/generate', async (req, res) => {
       id: recordId,
       companyName: companyInfo.name,
       companyInfo,
+      llmProvider: extraction.provider,
+      promptVersion: extraction.promptVersion,
+      retrievalMode: extraction.retrievalMode,
+      officialSite: extraction.officialSite,
+      siteCrawl: extraction.siteCrawl,
+      extractionCached: extraction.cached,
+      candidate,
+      isMock,
+      fieldStatus,
+      missingFields,
+      unresolvedFields,
+      citations: extraction.citations,
+      theme: siteTheme.id,
+      themeOptions: themeOptions || {},
+      pages: pages || null,
+      palette,
+      baseUrl: siteUrl,
+      baiduVerification,
+      showRegistration: showRegistration !== false,
+      buildId,
       deployTarget,
       previewUrl: deployResult?.previewUrl,
       indexUrl: deployResult?.indexUrl,
@@ -160,8 +598,26 @@ router.post('/generate', async (req, res) => {
         id: recordId,
         companyName: companyInfo.name,
         companyInfo,
+        contractErrors: getContractErrors(companyInfo),
+        llmProvider: extraction.provider,
+        promptVersion: extraction.promptVersion,
+        retrievalMode: extraction.retrievalMode,
+        officialSite: extraction.officialSite,
+        siteCrawl: extraction.siteCrawl,
+        extractionCached: extraction.cached,
+        cachedAt: extraction.cachedAt,
+        isMock,
+        fieldStatus,
+        missingFields,
+        unresolvedFields,
+        citations: extraction.citations,
+        theme: siteTheme.id,
+        pages: pages || null,
+        palette,
+        baseUrl: siteUrl,
+        buildId,
         outputDir,
-        generatedFiles: generatorService.getGeneratedFiles(outputDir),
+        generatedFiles: await generatorService.getGeneratedFiles(outputDir),
         deployTarget,
         previewUrl: deployResult?.previewUrl,
         indexUrl: deployResult?.indexUrl,
@@ -189,10 +645,11 @@ router.post('/generate-web', async (req, res) => {
     const result = await new Promise((resolve, reject) => {
       const mockRes = {
         json: (data) => resolve(data),
-        status: () => ({ json: (data) => reject(new Error(data.error || '请求失败')) })
+        status: () => ({ json: (data) => reject(new Error(data.error || data.message || '请求失败')) })
       };
       
-      router.handle({ ...req, body: { ...req.body, deployTarget } }, mockRes, () => {});
+      // 转交 /generate 处理，沿用同一套参数校验
+      router.handle({ ...req, url: '/generate', body: { ...req.body, deployTarget } }, mockRes, () => {});
     });
     
     if (result.success) {
@@ -205,9 +662,8 @@ router.post('/generate-web', async (req, res) => {
       throw new Error(result.message);
     }
   } catch (error) {
-    res.render('index', {
-      title: '企业官网生成器',
-      companyName: req.body.companyName || '',
+    res.render('result', {
+      title: '生成失败 - 企业官网生成器',
       result: null,
       error: error.message
     });
@@ -223,7 +679,7 @@ router.get('/history', async (req, res) => {
     const history = await historyService.getHistory();
     res.json({
       success: true,
-      data: history
+      data: history.map(record => ({ ...record, contractErrors: getContractErrors(record.companyInfo) }))
     });
   } catch (error) {
     res.status(500).json({
@@ -249,7 +705,7 @@ router.get('/history/:id', async (req, res) => {
     }
     res.json({
       success: true,
-      data: record
+      data: { ...record, contractErrors: getContractErrors(record.companyInfo) }
     });
   } catch (error) {
     res.status(500).json({
@@ -260,6 +716,63 @@ router.get('/history/:id', async (req, res) => {
   }
 });
 
+/**
+ * 下载生成的网站（ZIP）
+ * GET /api/history/:id/download?readme=false&serverConfig=false
+ * 默认附带部署说明和 nginx / Apache 配置示例；构建目录已被清理时按历史记录重新生成
+ */
+router.get('/history/:id/download', async (req, res) => {
+  let archive;
+  try {
+    const record = await historyService.getRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: '记录不存在'
+      });
+    }
+
+    // 打包时先读入全部文件，读完即可释放构建目录
+    const { buildId, outputDir, release } = await getRecordBuild(record);
+    try {
+      archive = await archiveService.createSiteArchive(outputDir, {
+        companyInfo: record.companyInfo,
+        baseUrl: record.baseUrl,
+        buildId,
+        readme: !['false', '0'].includes(req.query.readme),
+        serverConfig: !['false', '0'].includes(req.query.serverConfig)
+      });
+    } finally {
+      release();
+    }
+
+    // warning 同样视为失败，避免返回缺少文件的压缩包
+    res.attachment(archiveService.getArchiveName(record.companyInfo));
+    await new Promise((resolve, reject) => {
+      archive.on('warning', reject);
+      archive.on('error', reject);
+      res.on('finish', resolve);
+      res.on('close', resolve);
+      archive.pipe(res);
+      archive.finalize().catch(reject);
+    });
+  } catch (error) {
+    archive?.abort();
+    // 开始传输后无法再返回 JSON 错误，只能中断连接
+    if (res.headersSent) {
+      console.error('打包网站失败:', error);
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: '下载网站失败',
+      error: error.message
+    });
+  }
+});
+
 /**
  * 删除历史记录
  * DELETE /api/history/:id
@@ -292,4 +805,143 @@ router.delete('/history/:id', async (req, res) => {
   }
 });
 
+/**
+ * 获取网站主题列表
+ * GET /api/themes
+ */
+router.get('/themes', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        default: themeService.DEFAULT_THEME,
+        themes: themeService.listThemes()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取主题列表失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 获取提示词版本列表及行业映射
+ * GET /api/prompts
+ */
+router.get('/prompts', (req, res) => {
+  try {
+    const config = promptService.getConfig();
+    res.json({
+      success: true,
+      data: {
+        default: config.default,
+        industries: config.industries,
+        versions: promptService.listVersions()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取提示词版本失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 获取提取缓存列表
+ * GET /api/cache
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const entries = await cacheService.listEntries();
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取提取缓存失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 获取单条提取缓存
+ * GET /api/cache/:key
+ */
+router.get('/cache/:key', async (req, res) => {
+  try {
+    const entry = await cacheService.getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: '缓存不存在'
+      });
+    }
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '获取提取缓存失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 删除单条提取缓存
+ * DELETE /api/cache/:key
+ */
+router.delete('/cache/:key', async (req, res) => {
+  try {
+    const deleted = await cacheService.deleteEntry(req.params.key);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: '缓存不存在'
+      });
+    }
+    res.json({
+      success: true,
+      message: '删除成功'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '删除提取缓存失败',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 清空提取缓存，可按企业名称只清除该企业的条目
+ * DELETE /api/cache?companyName=xxx
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await cacheService.clearCache(req.query.companyName);
+    res.json({
+      success: true,
+      message: `已清除 ${removed} 条缓存`,
+      data: { removed }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: '清空提取缓存失败',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
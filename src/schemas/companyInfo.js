@@ -0,0 +1,262 @@
+/**
+ * 企业信息 (CompanyInfo) 数据结构定义
+ * 提取服务要求模型按此结构输出，并用它校验每一次返回结果和 API 响应
+ */
+
+const { validate } = require('../utils/schema');
+
+// 服务端与客户端共用的 CompanyInfo 契约，客户端类型由 scripts/generate-client-types.js 据此生成
+const COMPANY_INFO_SCHEMA = require('../../shared/company-info.schema.json');
+
+// 响应中允许缺失的字段较多，按契约校验响应时不检查必填项
+const PARTIAL_SCHEMA = { ...COMPANY_INFO_SCHEMA, required: ['name'] };
+
+// 旧版字段名 -> 契约字段名
+const LEGACY_FIELDS = {
+  foundingYear: 'founded',
+  location: 'headquarters',
+  products: 'services',
+  values: 'features'
+};
+
+// 顶层字段列表
+const COMPANY_INFO_FIELDS = Object.keys(COMPANY_INFO_SCHEMA.properties);
+
+// 只来自外部数据源（官网抓取、工商登记、新闻检索）的字段，不要求模型输出
+const EXTERNAL_FIELDS = ['brand', 'registration', 'news'];
+
+// 交给模型的输出结构
+const EXTRACTION_SCHEMA = {
+  ...COMPANY_INFO_SCHEMA,
+  properties: Object.fromEntries(
+    Object.entries(COMPANY_INFO_SCHEMA.properties).filter(([field]) => !EXTERNAL_FIELDS.includes(field))
+  )
+};
+
+// 需要逐项标记状态的字段；对象类字段展开到子字段，如 contact.phone
+const STATUS_FIELDS = COMPANY_INFO_FIELDS.flatMap(field => {
+  const fieldSchema = COMPANY_INFO_SCHEMA.properties[field];
+  return fieldSchema.type === 'object'
+    ? Object.keys(fieldSchema.properties).map(key => `${field}.${key}`)
+    : [field];
+});
+
+// 占位文字：模型无法确认时常见的填充内容
+const PLACEHOLDER_PATTERNS = [
+  /^(待确认|待补充|暂无|未知|不详|无|n\/a|null|none|unknown|tbd|-+|#)$/i,
+  /^主营业务[一二三四五六七八九十\d]$/,
+  /^相关服务描述$/,
+  /^400-123-4567$/,
+  /^contact@company\.com$/i,
+  /^北京市朝阳区科技园区88号$/,
+  /(示例|样例)(企业|公司|地址|电话|邮箱)/
+];
+
+/**
+ * 校验企业信息
+ * @param {Object} info - 企业信息
+ * @param {Object} [options] - { partial: 不检查除 name 外的必填项，用于校验 API 响应 }
+ * @returns {Object} { valid, errors, invalidFields }
+ */
+function validateCompanyInfo(info, options = {}) {
+  const errors = validate(options.partial ? PARTIAL_SCHEMA : COMPANY_INFO_SCHEMA, info);
+  const invalidFields = [...new Set(errors.map(e => e.path.split(/[.[]/)[0]))]
+    .filter(field => COMPANY_INFO_FIELDS.includes(field));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    invalidFields
+  };
+}
+
+/**
+ * 校验单个顶层字段
+ * @param {string} field - 字段名
+ * @param {*} value - 字段值
+ * @returns {Array<Object>} 错误列表
+ */
+function validateField(field, value) {
+  const fieldSchema = COMPANY_INFO_SCHEMA.properties[field];
+  if (!fieldSchema) {
+    return [{ path: field, message: '未知字段' }];
+  }
+  if (value === undefined || value === null) {
+    return COMPANY_INFO_SCHEMA.required.includes(field)
+      ? [{ path: field, message: '缺少必填字段' }]
+      : [];
+  }
+  return validate(fieldSchema, value, field);
+}
+
+/**
+ * 判断值是否为占位内容
+ * @param {*} value - 字段值
+ * @returns {boolean} 是否为占位内容
+ */
+function isPlaceholder(value) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    return PLACEHOLDER_PATTERNS.some(pattern => pattern.test(text));
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(item =>
+      typeof item === 'object' && item !== null ? isPlaceholder(item.name) : isPlaceholder(item)
+    );
+  }
+  return false;
+}
+
+/**
+ * 判断值是否为空
+ * @param {*} value - 字段值
+ * @returns {boolean} 是否为空
+ */
+function isEmptyValue(value) {
+  return value === undefined
+    || value === null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 读取形如 contact.phone 的字段值
+ * @param {Object} info - 企业信息
+ * @param {string} field - 字段路径
+ * @returns {*} 字段值
+ */
+function getFieldValue(info, field) {
+  return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), info);
+}
+
+/**
+ * 写入形如 brand.colors 的字段值
+ * @param {Object} info - 企业信息
+ * @param {string} field - 字段路径
+ * @param {*} value - 字段值
+ */
+function setFieldValue(info, field, value) {
+  const [parent, child] = field.split('.');
+  if (!child) {
+    info[parent] = value;
+  } else if (info[parent]) {
+    info[parent][child] = value;
+  }
+}
+
+/**
+ * 标记每个字段的来源状态，并清除占位内容和空值
+ * real: 真实提取的数据；manual: 手工提供的数据；verified: 工商登记核验的数据；missing: 没有数据；placeholder: 占位或模拟数据
+ * 真实数据中的占位内容会被清除，同时计入 missingFields
+ * @param {Object} info - 企业信息
+ * @param {Object} [options] - { isMock: 整份数据来自模拟提供方, manualFields: 手工提供的字段路径, verifiedFields: 工商登记核验的字段路径 }
+ * @returns {Object} { companyInfo, fieldStatus, missingFields, placeholderFields }
+ */
+function assessCompanyInfo(info, options = {}) {
+  const companyInfo = JSON.parse(JSON.stringify(info || {}));
+  const fieldStatus = {};
+  const missingFields = [];
+  const manualFields = new Set(options.manualFields || []);
+  const verifiedFields = new Set(options.verifiedFields || []);
+
+  for (const field of STATUS_FIELDS) {
+    let value = getFieldValue(companyInfo, field);
+
+    // 手工提供的字段原样保留
+    if (manualFields.has(field) && !isEmptyValue(value)) {
+      fieldStatus[field] = 'manual';
+      continue;
+    }
+    if (verifiedFields.has(field) && !isEmptyValue(value)) {
+      fieldStatus[field] = 'verified';
+      continue;
+    }
+
+    // 列表字段（包括 brand.colors 等嵌套列表）逐项剔除占位内容
+    if (Array.isArray(value) && !options.isMock) {
+      value = value.filter(item => !isPlaceholder(item && typeof item === 'object' ? item.name : item));
+      setFieldValue(companyInfo, field, value);
+    }
+
+    if (isEmptyValue(value)) {
+      fieldStatus[field] = 'missing';
+    } else if (options.isMock || isPlaceholder(value)) {
+      fieldStatus[field] = 'placeholder';
+    } else {
+      fieldStatus[field] = 'real';
+    }
+
+    // 空值和真实数据中的占位内容一律清除，保持缺失
+    const removed = fieldStatus[field] === 'missing'
+      || (fieldStatus[field] === 'placeholder' && !options.isMock);
+    if (removed) {
+      const [parent, child] = field.split('.');
+      if (!child) {
+        delete companyInfo[parent];
+      } else if (companyInfo[parent]) {
+        delete companyInfo[parent][child];
+      }
+      missingFields.push(field);
+    }
+  }
+
+  // 清除清空后的对象字段
+  for (const field of COMPANY_INFO_FIELDS) {
+    const value = companyInfo[field];
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+      delete companyInfo[field];
+    }
+  }
+
+  return {
+    companyInfo,
+    fieldStatus,
+    missingFields,
+    placeholderFields: Object.keys(fieldStatus).filter(field => fieldStatus[field] === 'placeholder')
+  };
+}
+
+/**
+ * 将旧版字段名的企业信息迁移为契约结构
+ * 旧版 products 为字符串数组，迁移为 { name, description } 对象；已是契约结构时原样返回
+ * @param {Object} info - 企业信息
+ * @returns {Object} { companyInfo, migrated }
+ */
+function migrateCompanyInfo(info) {
+  if (!info || typeof info !== 'object') {
+    return { companyInfo: info, migrated: false };
+  }
+
+  const companyInfo = { ...info };
+  let migrated = false;
+
+  for (const [legacy, field] of Object.entries(LEGACY_FIELDS)) {
+    if (!(legacy in companyInfo)) continue;
+
+    let value = companyInfo[legacy];
+    if (field === 'services' && Array.isArray(value)) {
+      value = value.map(item => (typeof item === 'string' ? { name: item, description: item } : item));
+    }
+    if (companyInfo[field] === undefined || companyInfo[field] === null) {
+      companyInfo[field] = value;
+    }
+    delete companyInfo[legacy];
+    migrated = true;
+  }
+
+  return { companyInfo, migrated };
+}
+
+module.exports = {
+  COMPANY_INFO_SCHEMA,
+  EXTRACTION_SCHEMA,
+  LEGACY_FIELDS,
+  COMPANY_INFO_FIELDS,
+  EXTERNAL_FIELDS,
+  STATUS_FIELDS,
+  validateCompanyInfo,
+  validateField,
+  assessCompanyInfo,
+  migrateCompanyInfo,
+  isPlaceholder
+};
@@ -0,0 +1,187 @@
+/**
+ * 网站打包服务
+ * 把构建目录打包为 ZIP，供客户自行托管；可附带部署说明和 nginx / Apache 配置示例
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const archiver = require('archiver');
+const outputService = require('./output');
+
+// 文件名带内容哈希的资源（见 build.js），内容不会变化，可以长期缓存
+const HASHED_ASSET_PATTERN = '\\.[0-9a-f]{8}\\.(css|js|png|svg)$';
+
+const COMPRESS_TYPES = 'text/html text/css application/javascript image/svg+xml application/json application/xml text/plain';
+
+/**
+ * 打包网站
+ * 网站文件放在 site/ 下，部署说明为 README.md，配置示例在 deploy/ 下
+ * @param {string} outputDir - 构建目录
+ * @param {Object} options
+ * @param {Object} options.companyInfo - 企业信息
+ * @param {string|null} [options.baseUrl] - 生成时的网站地址
+ * @param {string} [options.buildId] - 构建 ID
+ * @param {boolean} [options.readme] - 是否附带部署说明，默认 true
+ * @param {boolean} [options.serverConfig] - 是否附带 nginx / Apache 配置示例，默认 true
+ * @returns {Promise<Object>} archiver 实例，已加入全部内容，由调用方 pipe 到响应后调用 finalize()
+ */
+async function createSiteArchive(outputDir, { companyInfo, baseUrl = null, buildId = null, readme = true, serverConfig = true }) {
+  // 先读入全部文件：打包过程中文件被删除时 archiver 只发出 warning 并跳过，会得到不完整的压缩包
+  const files = [];
+  for (const file of await outputService.listSiteFiles(outputDir)) {
+    files.push({ file, content: await fs.readFile(path.join(outputDir, file)) });
+  }
+
+  const root = getArchiveName(companyInfo).replace(/\.zip$/, '');
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  for (const { file, content } of files) {
+    archive.append(content, { name: `${root}/site/${file}` });
+  }
+  if (readme) {
+    archive.append(buildReadme(companyInfo, { baseUrl, buildId, serverConfig }), { name: `${root}/README.md` });
+  }
+  if (serverConfig) {
+    archive.append(buildNginxConfig(companyInfo, baseUrl), { name: `${root}/deploy/nginx.conf` });
+    archive.append(buildApacheConfig(companyInfo), { name: `${root}/deploy/apache.htaccess` });
+  }
+  return archive;
+}
+
+/**
+ * 压缩包文件名，如 acme-ltd-website.zip
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string}
+ */
+function getArchiveName(companyInfo) {
+  return `${path.basename(outputService.getSiteDir(companyInfo))}-website.zip`;
+}
+
+/**
+ * 生成部署说明
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object} options - { baseUrl, buildId, serverConfig }
+ * @returns {string}
+ */
+function buildReadme(companyInfo, { baseUrl, buildId, serverConfig }) {
+  const lines = [
+    `# ${companyInfo.name} 官方网站`,
+    '',
+    `本压缩包由企业官网生成器导出${buildId ? `（构建 ${buildId}）` : ''}，网站为纯静态文件，不需要数据库或后端程序。`,
+    '',
+    '## 目录',
+    '',
+    '- `site/`：网站文件，首页为 `site/index.html`'
+  ];
+  if (serverConfig) {
+    lines.push(
+      '- `deploy/nginx.conf`：nginx 配置示例',
+      '- `deploy/apache.htaccess`：Apache 配置示例'
+    );
+  }
+
+  lines.push(
+    '',
+    '## 部署',
+    '',
+    '把 `site/` 中的全部文件上传到 Web 服务器的网站根目录，或任意静态托管服务（对象存储、GitHub Pages 等）。'
+  );
+  if (serverConfig) {
+    lines.push(
+      '',
+      '- nginx：把 `deploy/nginx.conf` 放入 nginx 的 `conf.d/` 目录，修改其中的 `server_name` 和 `root`，需要 HTTPS 时补充证书配置，然后执行 `nginx -s reload`',
+      '- Apache：把 `deploy/apache.htaccess` 复制到网站根目录并重命名为 `.htaccess`，需要启用 `mod_headers` 和 `mod_deflate`，且站点配置允许 `AllowOverride All`'
+    );
+  }
+
+  lines.push(
+    '',
+    '## 缓存',
+    '',
+    '`css/`、`js/`、`images/` 下的文件名带有内容哈希（如 `style.3f2a9c1b.css`），内容变化时文件名随之变化，可以长期缓存；页面（`.html`）应设置为每次向服务器确认，更新网站后立即生效。配置示例已按此设置。',
+    '',
+    '## 网站地址',
+    ''
+  );
+  if (baseUrl) {
+    lines.push(`生成时的网站地址为 ${baseUrl}，页面中的规范链接、分享卡片和 \`sitemap.xml\` 使用该地址。使用其他域名时，请以新地址作为 \`baseUrl\` 重新生成后再下载。`);
+  } else {
+    lines.push('生成时未指定网站地址，页面中没有规范链接，也没有 `sitemap.xml`。确定域名后，建议以该地址作为 `baseUrl` 重新生成后再下载。');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 生成 nginx 配置示例
+ * @param {Object} companyInfo - 企业信息
+ * @param {string|null} baseUrl - 生成时的网站地址，用于 server_name
+ * @returns {string}
+ */
+function buildNginxConfig(companyInfo, baseUrl) {
+  const serverName = baseUrl ? new URL(baseUrl).hostname : 'www.example.com';
+  const root = `/var/www/${path.basename(outputService.getSiteDir(companyInfo))}`;
+
+  return `# ${companyInfo.name} 官方网站 - nginx 配置示例
+# 把 site/ 中的文件上传到 root 指定的目录，按实际情况修改 server_name 和 root
+
+server {
+    listen 80;
+    server_name ${serverName};
+    root ${root};
+    index index.html;
+    charset utf-8;
+
+    gzip on;
+    gzip_types ${COMPRESS_TYPES.replace('text/html ', '')};
+
+    # 文件名带内容哈希的资源，长期缓存；正则含有花括号，必须加引号
+    location ~* "${HASHED_ASSET_PATTERN}" {
+        add_header Cache-Control "public, max-age=31536000, immutable";
+        try_files $uri =404;
+    }
+
+    # 页面每次向服务器确认，更新后立即生效
+    location / {
+        add_header Cache-Control "no-cache";
+        try_files $uri $uri.html $uri/ =404;
+    }
+}
+`;
+}
+
+/**
+ * 生成 Apache 配置示例（.htaccess）
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string}
+ */
+function buildApacheConfig(companyInfo) {
+  return `# ${companyInfo.name} 官方网站 - Apache 配置示例
+# 复制到网站根目录（与 index.html 同级）并重命名为 .htaccess，也可以写入站点的 VirtualHost 配置
+
+DirectoryIndex index.html
+AddDefaultCharset utf-8
+
+<IfModule mod_deflate.c>
+  AddOutputFilterByType DEFLATE ${COMPRESS_TYPES}
+</IfModule>
+
+<IfModule mod_headers.c>
+  # 页面每次向服务器确认，更新后立即生效
+  <FilesMatch "\\.html$">
+    Header set Cache-Control "no-cache"
+  </FilesMatch>
+
+  # 文件名带内容哈希的资源，长期缓存
+  <FilesMatch "${HASHED_ASSET_PATTERN}">
+    Header set Cache-Control "public, max-age=31536000, immutable"
+  </FilesMatch>
+</IfModule>
+`;
+}
+
+module.exports = {
+  createSiteArchive,
+  getArchiveName,
+  buildNginxConfig,
+  buildApacheConfig
+};
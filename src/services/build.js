@@ -0,0 +1,370 @@
+/**
+ * 构建服务
+ * 页面渲染完成后压缩 HTML、CSS 和 JS，给 css/、js/、images/ 下的资源文件名加上内容哈希并改写引用，
+ * 把首屏用到的样式内联到页面中，最后输出各文件大小的构建报告
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const CleanCSS = require('clean-css');
+const { minify: minifyHtml } = require('html-minifier-terser');
+const { minify: minifyJs } = require('terser');
+
+// 构建报告文件名，写在网站目录下，部署时不上传
+const REPORT_FILE = 'build-report.json';
+
+// 加内容哈希的资源目录
+const ASSET_DIRS = ['css', 'js', 'images'];
+
+// 首屏样式内联上限（字节），超过时说明首屏判断失效，不再内联
+const CRITICAL_CSS_LIMIT = 14 * 1024;
+
+// 匹配首屏元素前去掉的伪类和伪元素：交互状态和伪元素无法在静态文档上匹配，按所属元素判断
+const DYNAMIC_PSEUDO = /::?(hover|focus|focus-within|focus-visible|active|visited|link|target|before|after|first-letter|first-line|placeholder|selection|marker|-webkit-[\w-]+|-moz-[\w-]+)(\([^)]*\))?/g;
+
+const HTML_OPTIONS = {
+  collapseWhitespace: true,
+  conservativeCollapse: true,
+  removeComments: true,
+  collapseBooleanAttributes: true,
+  removeRedundantAttributes: true,
+  removeScriptTypeAttributes: true,
+  removeStyleLinkTypeAttributes: true,
+  minifyCSS: true,
+  minifyJS: true
+};
+
+/**
+ * 构建网站目录
+ * @param {string} outputDir - 网站目录
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - 网站地址，页面中以该地址开头的资源引用同样改写
+ * @returns {Promise<Object>} 构建报告 { createdAt, files, assets, total }
+ *   files: [{ file, source, originalBytes, bytes, gzipBytes }]，source 为加哈希前的文件名
+ *   assets: 原文件名 -> 加哈希后的文件名
+ */
+async function buildSite(outputDir, { baseUrl = null } = {}) {
+  const allFiles = await listFiles(outputDir);
+  const originalSizes = {};
+  for (const file of allFiles) {
+    originalSizes[file] = (await fs.stat(path.join(outputDir, file))).size;
+  }
+
+  const assetFiles = allFiles.filter(file => ASSET_DIRS.includes(file.split('/')[0]));
+  const htmlFiles = allFiles.filter(file => file.endsWith('.html'));
+  const renames = {};
+
+  // 先处理图片，样式表中可能引用图片；样式表和脚本压缩后再计算哈希
+  const ordered = [
+    ...assetFiles.filter(file => !/\.(css|js)$/.test(file)),
+    ...assetFiles.filter(file => file.endsWith('.css')),
+    ...assetFiles.filter(file => file.endsWith('.js'))
+  ];
+  for (const file of ordered) {
+    const filePath = path.join(outputDir, file);
+    let content = await fs.readFile(filePath);
+
+    if (file.endsWith('.css')) {
+      content = Buffer.from(minifyCss(rewriteReferences(content.toString('utf-8'), file, renames), file));
+    } else if (file.endsWith('.js')) {
+      content = Buffer.from(await minifyScript(content.toString('utf-8'), file));
+    }
+
+    const hashed = fingerprint(file, content);
+    await fs.writeFile(path.join(outputDir, hashed), content);
+    await fs.rm(filePath);
+    renames[file] = hashed;
+  }
+
+  // 页面：改写资源引用，内联首屏样式，最后压缩
+  const stylesheet = Object.keys(renames).find(file => file.endsWith('.css'));
+  const css = stylesheet ? await fs.readFile(path.join(outputDir, renames[stylesheet]), 'utf-8') : '';
+  for (const file of htmlFiles) {
+    const filePath = path.join(outputDir, file);
+    let html = rewriteReferences(await fs.readFile(filePath, 'utf-8'), file, renames, baseUrl);
+    if (stylesheet) {
+      html = inlineCriticalCss(html, css, renames[stylesheet]);
+    }
+    await fs.writeFile(filePath, await minifyPage(html, file), 'utf-8');
+  }
+
+  const sources = Object.fromEntries(Object.entries(renames).map(([source, file]) => [file, source]));
+  const files = [];
+  for (const file of await listFiles(outputDir)) {
+    const content = await fs.readFile(path.join(outputDir, file));
+    const source = sources[file] || file;
+    files.push({
+      file,
+      source,
+      originalBytes: originalSizes[source] ?? content.length,
+      bytes: content.length,
+      gzipBytes: zlib.gzipSync(content).length
+    });
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    files,
+    assets: renames,
+    total: {
+      originalBytes: files.reduce((sum, item) => sum + item.originalBytes, 0),
+      bytes: files.reduce((sum, item) => sum + item.bytes, 0),
+      gzipBytes: files.reduce((sum, item) => sum + item.gzipBytes, 0)
+    }
+  };
+  await fs.writeFile(path.join(outputDir, REPORT_FILE), JSON.stringify(report, null, 2), 'utf-8');
+  return report;
+}
+
+/**
+ * 列出目录下的文件，不含构建报告
+ * @param {string} dir - 目录
+ * @param {string} [prefix] - 相对路径前缀
+ * @returns {Promise<Array<string>>} 以 / 分隔的相对路径
+ */
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else if (relative !== REPORT_FILE) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * 在文件名中加入内容哈希，如 css/style.css -> css/style.3f2a9c1b.css
+ * @param {string} file - 相对路径
+ * @param {Buffer} content - 文件内容
+ * @returns {string}
+ */
+function fingerprint(file, content) {
+  const hash = crypto.createHash('md5').update(content).digest('hex').slice(0, 8);
+  const ext = path.posix.extname(file);
+  return `${file.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * 把文件中对资源的引用改为加哈希后的文件名
+ * 只改写相对路径和以网站地址开头的绝对地址，不影响外部网站上的同名文件
+ * @param {string} content - 文件内容
+ * @param {string} file - 文件相对网站根目录的路径，用于计算相对引用
+ * @param {Object} renames - 原文件名 -> 新文件名
+ * @param {string|null} [baseUrl] - 网站地址
+ * @returns {string}
+ */
+function rewriteReferences(content, file, renames, baseUrl = null) {
+  const fromDir = path.posix.dirname(file);
+  const prefixes = ['"', "'", '\\(', '=', '\\s'];
+  if (baseUrl) prefixes.push(escapeRegExp(baseUrl));
+
+  return Object.entries(renames).reduce((result, [source, target]) => {
+    const from = path.posix.relative(fromDir, source);
+    const to = path.posix.relative(fromDir, target);
+    const pattern = new RegExp(`(${prefixes.join('|')})${escapeRegExp(from)}(?=["')?#\\s]|$)`, 'g');
+    return result.replace(pattern, `$1${to}`);
+  }, content);
+}
+
+/**
+ * 内联首屏样式：把样式表链接替换为内联的首屏样式，完整样式表改为异步加载
+ * @param {string} html - 页面
+ * @param {string} css - 压缩后的完整样式
+ * @param {string} href - 样式表路径
+ * @returns {string}
+ */
+function inlineCriticalCss(html, css, href) {
+  const link = new RegExp(`<link rel="stylesheet" href="${escapeRegExp(href)}">`);
+  if (!link.test(html)) return html;
+
+  const critical = extractCriticalCss(html, css);
+  if (!critical || Buffer.byteLength(critical) > CRITICAL_CSS_LIMIT) return html;
+
+  return html.replace(link, () => [
+    `<style>${critical}</style>`,
+    `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">`,
+    `<noscript><link rel="stylesheet" href="${href}"></noscript>`
+  ].join('\n  '));
+}
+
+/**
+ * 提取首屏样式
+ * 首屏指 main 之前的导航和 main 中的第一个区块（如首页横幅、内页标题），
+ * 保留选择器命中这些元素的规则，以及字体和动画定义
+ * @param {string} html - 页面
+ * @param {string} css - 压缩后的样式
+ * @returns {string}
+ */
+function extractCriticalCss(html, css) {
+  const $ = cheerio.load(html);
+  const main = $('body > main').first();
+  const fold = main.length > 0
+    ? [...main.prevAll().toArray(), ...main.children().first().toArray()]
+    : $('body').children().slice(0, 2).toArray();
+
+  const foldNodes = new Set([$('html')[0], $('body')[0], main[0]].filter(Boolean));
+  for (const node of fold) {
+    foldNodes.add(node);
+    $(node).find('*').each((i, child) => foldNodes.add(child));
+  }
+
+  const matches = selector => {
+    const stripped = selector.replace(DYNAMIC_PSEUDO, '').trim() || '*';
+    try {
+      return $(stripped).toArray().some(node => foldNodes.has(node));
+    } catch (error) {
+      // 选择器引擎不支持的写法，保守地视为首屏样式
+      return true;
+    }
+  };
+
+  return filterRules(css, matches);
+}
+
+/**
+ * 按选择器筛选样式规则，@media、@supports 内的规则递归筛选
+ * @param {string} css - 压缩后的样式
+ * @param {Function} matches - 判断单个选择器是否保留
+ * @returns {string}
+ */
+function filterRules(css, matches) {
+  return splitRules(css).map(({ prelude, body }) => {
+    if (/^@(media|supports)/.test(prelude)) {
+      const inner = filterRules(body, matches);
+      return inner ? `${prelude}{${inner}}` : '';
+    }
+    if (/^@(font-face|keyframes|-webkit-keyframes)/.test(prelude)) {
+      return `${prelude}{${body}}`;
+    }
+    if (prelude.startsWith('@')) {
+      return '';
+    }
+    return splitSelectors(prelude).some(matches) ? `${prelude}{${body}}` : '';
+  }).join('');
+}
+
+/**
+ * 把样式拆分为顶层规则
+ * @param {string} css - 压缩后的样式
+ * @returns {Array} [{ prelude, body }]
+ */
+function splitRules(css) {
+  const rules = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  let open = -1;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        rules.push({ prelude: css.slice(start, open).trim(), body: css.slice(open + 1, i) });
+        start = i + 1;
+      }
+    } else if (char === ';' && depth === 0) {
+      // @charset、@import 等没有规则体的语句
+      rules.push({ prelude: css.slice(start, i).trim(), body: '' });
+      start = i + 1;
+    }
+  }
+  return rules;
+}
+
+/**
+ * 拆分选择器列表，忽略括号内的逗号，如 :not(a, b)
+ * @param {string} prelude - 选择器列表
+ * @returns {Array<string>}
+ */
+function splitSelectors(prelude) {
+  const selectors = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < prelude.length; i++) {
+    if (prelude[i] === '(') depth++;
+    else if (prelude[i] === ')') depth--;
+    else if (prelude[i] === ',' && depth === 0) {
+      selectors.push(prelude.slice(start, i));
+      start = i + 1;
+    }
+  }
+  selectors.push(prelude.slice(start));
+  return selectors.map(selector => selector.trim()).filter(Boolean);
+}
+
+/**
+ * 压缩样式
+ * @param {string} css - 样式
+ * @param {string} file - 文件名，用于错误信息
+ * @returns {string}
+ */
+function minifyCss(css, file) {
+  const result = new CleanCSS({ level: 1 }).minify(css);
+  if (result.errors.length > 0) {
+    throw new Error(`压缩 ${file} 失败: ${result.errors.join('; ')}`);
+  }
+  return result.styles;
+}
+
+/**
+ * 压缩脚本
+ * @param {string} code - 脚本
+ * @param {string} file - 文件名，用于错误信息
+ * @returns {Promise<string>}
+ */
+async function minifyScript(code, file) {
+  try {
+    const result = await minifyJs(code, { compress: true, mangle: true });
+    return result.code;
+  } catch (error) {
+    throw new Error(`压缩 ${file} 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 压缩页面，内联的样式、脚本和 JSON-LD 一并压缩
+ * @param {string} html - 页面
+ * @param {string} file - 文件名，用于错误信息
+ * @returns {Promise<string>}
+ */
+async function minifyPage(html, file) {
+  try {
+    const compacted = html.replace(
+      /(<script type="application\/ld\+json">)([\s\S]*?)(<\/script>)/g,
+      (match, open, json, close) => `${open}${JSON.stringify(JSON.parse(json)).replace(/</g, '\\u003c')}${close}`
+    );
+    return await minifyHtml(compacted, HTML_OPTIONS);
+  } catch (error) {
+    throw new Error(`压缩 ${file} 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  REPORT_FILE,
+  buildSite,
+  extractCriticalCss
+};
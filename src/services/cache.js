@@ -0,0 +1,243 @@
+/**
+ * 提取结果缓存服务
+ * 按企业名称、模型提供方、提示词版本和提取选项（检索方式、官网抓取、新闻、工商接口、搜索引擎）缓存提取结果，避免重复调用模型
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE = path.join(__dirname, '../../data/extraction-cache.json');
+
+// 缓存有效期（秒），设为 0 时不使用缓存
+const CACHE_TTL = parseInt(process.env.EXTRACTION_CACHE_TTL || '86400', 10);
+
+// 确保数据目录存在
+async function ensureDataDir() {
+  try {
+    await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+  } catch (e) {
+    // 目录已存在
+  }
+}
+
+// 写操作队列：同一进程内的读-改-写依次执行，并发请求不会互相覆盖条目
+let writeQueue = Promise.resolve();
+
+// 读取全部缓存
+async function readCache() {
+  let data;
+  try {
+    await ensureDataDir();
+    data = await fs.readFile(CACHE_FILE, 'utf-8');
+  } catch (e) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    console.warn(`   ⚠️ 提取缓存文件损坏，按空缓存处理: ${e.message}`);
+    return {};
+  }
+}
+
+// 写入全部缓存：先写临时文件再重命名覆盖，读取方不会看到写了一半的文件
+async function writeCache(entries) {
+  await ensureDataDir();
+  const tempFile = `${CACHE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(entries, null, 2));
+  await fs.rename(tempFile, CACHE_FILE);
+}
+
+/**
+ * 在写操作队列中读取、修改并写回缓存
+ * @param {Function} update - 接收全部条目并就地修改，返回 { changed, result }
+ * @returns {Promise<*>} update 返回的 result
+ */
+function updateCache(update) {
+  const task = writeQueue.then(async () => {
+    const entries = await readCache();
+    const { changed, result } = update(entries);
+    if (changed) {
+      await writeCache(entries);
+    }
+    return result;
+  });
+  // 一次写入失败不影响后续写操作
+  writeQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * 规范化企业名称：统一全角半角、去除空白、忽略大小写
+ * @param {string} name - 企业名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeName(name) {
+  return String(name || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 规范化提取选项：按键名排序，数组排序，忽略未设置的值，保证同样的选项得到同样的缓存键
+ * @param {Object} [options] - 提取选项，如 { retrievalMode, crawlSite, collectNews, registry, engines, strategy }
+ * @returns {Object}
+ */
+function normalizeOptions(options = {}) {
+  return Object.fromEntries(
+    Object.keys(options)
+      .sort()
+      .filter(key => options[key] !== undefined && options[key] !== null)
+      .map(key => [key, Array.isArray(options[key]) ? [...options[key]].sort() : options[key]])
+  );
+}
+
+/**
+ * 生成缓存键
+ * 提取选项不同（如是否抓取官网、检索新闻）的结果内容不同，分别缓存
+ * @param {string} companyName - 企业名称
+ * @param {string} provider - 模型提供方
+ * @param {string} promptVersion - 提示词版本
+ * @param {Object} [options] - 提取选项
+ * @returns {string} 缓存键
+ */
+function getCacheKey(companyName, provider, promptVersion, options = {}) {
+  return crypto
+    .createHash('md5')
+    .update(`${normalizeName(companyName)}|${provider}|${promptVersion}|${JSON.stringify(normalizeOptions(options))}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * 读取缓存的提取结果
+ * @param {string} companyName - 企业名称
+ * @param {string} provider - 模型提供方
+ * @param {string} promptVersion - 提示词版本
+ * @param {Object} [options] - 提取选项
+ * @returns {Promise<Object|null>} 缓存条目，不存在或已过期时返回 null
+ */
+async function getCachedExtraction(companyName, provider, promptVersion, options = {}) {
+  if (CACHE_TTL <= 0) return null;
+
+  const entries = await readCache();
+  const entry = entries[getCacheKey(companyName, provider, promptVersion, options)];
+  if (!entry || isExpired(entry)) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * 写入提取结果
+ * @param {string} companyName - 企业名称
+ * @param {string} provider - 模型提供方
+ * @param {string} promptVersion - 提示词版本
+ * @param {Object} result - 提取结果
+ * @param {Object} [options] - 提取选项
+ * @returns {Promise<Object|null>} 缓存条目，缓存关闭时返回 null
+ */
+async function setCachedExtraction(companyName, provider, promptVersion, result, options = {}) {
+  if (CACHE_TTL <= 0) return null;
+
+  const key = getCacheKey(companyName, provider, promptVersion, options);
+
+  return updateCache(entries => {
+    pruneExpired(entries);
+    const now = Date.now();
+    entries[key] = {
+      key,
+      companyName,
+      normalizedName: normalizeName(companyName),
+      provider,
+      promptVersion,
+      options: normalizeOptions(options),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CACHE_TTL * 1000).toISOString(),
+      result
+    };
+    return { changed: true, result: entries[key] };
+  });
+}
+
+/**
+ * 列出缓存条目（不含提取结果正文）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function listEntries() {
+  const entries = await readCache();
+
+  return Object.values(entries)
+    .map(({ result, ...entry }) => ({ ...entry, expired: isExpired(entry) }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 获取单个缓存条目
+ * @param {string} key - 缓存键
+ * @returns {Promise<Object|null>} 缓存条目
+ */
+async function getEntry(key) {
+  const entries = await readCache();
+  return entries[key] || null;
+}
+
+/**
+ * 删除单个缓存条目
+ * @param {string} key - 缓存键
+ * @returns {Promise<boolean>} 是否删除了条目
+ */
+async function deleteEntry(key) {
+  return updateCache(entries => {
+    if (!entries[key]) return { changed: false, result: false };
+
+    delete entries[key];
+    return { changed: true, result: true };
+  });
+}
+
+/**
+ * 清空缓存
+ * @param {string} [companyName] - 只清除该企业的条目
+ * @returns {Promise<number>} 清除的条目数
+ */
+async function clearCache(companyName) {
+  const name = companyName ? normalizeName(companyName) : null;
+
+  return updateCache(entries => {
+    let removed = 0;
+    for (const key of Object.keys(entries)) {
+      if (!name || entries[key].normalizedName === name) {
+        delete entries[key];
+        removed++;
+      }
+    }
+    return { changed: removed > 0, result: removed };
+  });
+}
+
+// 判断条目是否过期
+function isExpired(entry) {
+  return new Date(entry.expiresAt).getTime() < Date.now();
+}
+
+// 清除过期条目
+function pruneExpired(entries) {
+  for (const key of Object.keys(entries)) {
+    if (isExpired(entries[key])) {
+      delete entries[key];
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  normalizeName,
+  getCacheKey,
+  getCachedExtraction,
+  setCachedExtraction,
+  listEntries,
+  getEntry,
+  deleteEntry,
+  clearCache
+};
@@ -0,0 +1,145 @@
+/**
+ * 企业消歧服务
+ * 企业名称可能对应多个法人主体，生成前先列出候选企业供用户确认
+ */
+
+const crypto = require('crypto');
+const llmProviders = require('./providers');
+const retrievalService = require('./retrieval');
+const promptService = require('./prompts');
+const { parseJsonObject } = require('../utils/helpers');
+
+// 候选企业缓存时长（毫秒），生成时凭 ID 取回
+const CANDIDATE_TTL = 30 * 60 * 1000;
+// 最多返回的候选数
+const MAX_CANDIDATES = 8;
+
+const candidateStore = new Map();
+
+/**
+ * 生成候选企业 ID
+ * @param {string} name - 企业全称
+ * @returns {string} 候选 ID
+ */
+function candidateId(name) {
+  return crypto.createHash('md5').update(name).digest('hex').substring(0, 10);
+}
+
+/**
+ * 查找与名称匹配的候选企业
+ * @param {string} companyName - 用户输入的企业名称
+ * @param {Object} [searchOptions] - 搜索选项 { engines, strategy }
+ * @returns {Promise<Array>} 候选列表 [{ id, name, city, industry, website }]
+ */
+async function findCandidates(companyName, searchOptions = {}) {
+  const chain = llmProviders.getProviderChain();
+  let candidates = [];
+
+  for (const provider of chain) {
+    if (provider.isMock) {
+      // 模拟数据无法区分同名企业，直接以输入名称作为唯一候选
+      candidates = [{ name: companyName, city: null, industry: null, website: null }];
+      break;
+    }
+
+    try {
+      console.log(`🔎 使用 ${provider.label} 查找候选企业...`);
+
+      const context = provider.supportsWebSearch
+        ? []
+        : (await retrievalService.retrieveContext(companyName, searchOptions)).chunks;
+
+      const { content } = await provider.chat(buildMessages(companyName, context), {
+        companyName,
+        webSearch: provider.supportsWebSearch,
+        temperature: 0.2,
+        maxTokens: 2000,
+        timeout: 60000
+      });
+
+      const parsed = parseJsonObject(content);
+      if (!parsed || !Array.isArray(parsed.candidates)) {
+        throw new Error('返回内容缺少 candidates 数组');
+      }
+
+      candidates = parsed.candidates
+        .filter(item => item && typeof item.name === 'string' && item.name.trim())
+        .map(item => ({
+          name: item.name.trim(),
+          city: item.city || null,
+          industry: item.industry || null,
+          website: item.website || null
+        }));
+
+      if (candidates.length > 0) break;
+    } catch (error) {
+      console.error(`${provider.label} 查找候选企业失败:`, error.message);
+    }
+  }
+
+  if (candidates.length === 0) {
+    candidates = [{ name: companyName, city: null, industry: null, website: null }];
+  }
+
+  // 按全称去重并登记
+  const seen = new Set();
+  const result = [];
+  for (const item of candidates) {
+    if (seen.has(item.name)) continue;
+    seen.add(item.name);
+
+    const candidate = { id: candidateId(item.name), ...item, query: companyName };
+    candidateStore.set(candidate.id, { candidate, expiresAt: Date.now() + CANDIDATE_TTL });
+    result.push(candidate);
+
+    if (result.length >= MAX_CANDIDATES) break;
+  }
+
+  pruneExpired();
+  return result;
+}
+
+/**
+ * 构建候选企业查询消息
+ * @param {string} companyName - 企业名称
+ * @param {Array} context - 检索到的参考资料片段
+ * @returns {Array} 对话消息
+ */
+function buildMessages(companyName, context) {
+  return promptService.buildMessages(promptService.resolveVersion(), 'candidates', {
+    companyName,
+    maxCandidates: MAX_CANDIDATES,
+    context: context.length > 0 ? retrievalService.formatContext(context) : null
+  });
+}
+
+/**
+ * 按 ID 获取候选企业
+ * @param {string} id - 候选 ID
+ * @returns {Object|null} 候选企业，不存在或已过期时返回 null
+ */
+function getCandidate(id) {
+  const entry = candidateStore.get(id);
+  if (!entry || entry.expiresAt < Date.now()) {
+    candidateStore.delete(id);
+    return null;
+  }
+  return entry.candidate;
+}
+
+/**
+ * 清除过期候选
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, entry] of candidateStore) {
+    if (entry.expiresAt < now) {
+      candidateStore.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  findCandidates,
+  getCandidate
+};
@@ -0,0 +1,185 @@
+/**
+ * 字段来源引用服务
+ * 为提取出的每个字段记录来源 URL 和支撑片段，便于上线前人工核实
+ */
+
+const searchService = require('./search');
+const { STATUS_FIELDS } = require('../schemas/companyInfo');
+
+// 抓取正文的搜索结果页数
+const CITATION_PAGES = parseInt(process.env.CITATION_PAGES || '3', 10);
+// 每个字段最多保留的引用数
+const MAX_CITATIONS_PER_FIELD = 3;
+// 支撑片段前后截取的字符数
+const SNIPPET_RADIUS = 40;
+
+/**
+ * 收集可用于引用的来源文本
+ * 包括模型联网搜索返回的引用、搜索结果摘要以及前几个搜索结果的页面正文
+ * @param {string} companyName - 企业名称
+ * @param {Array} [references] - 模型返回的联网搜索引用 [{ title, url, snippet }]
+ * @param {Object} [searchOptions] - 搜索选项 { engines, strategy }
+ * @returns {Promise<Array>} 来源列表 [{ url, title, text, origin }]
+ */
+async function collectSources(companyName, references = [], searchOptions = {}) {
+  const sources = references.map(toSource);
+
+  const { results: searchResults, errors } = await searchService.searchCompany(companyName, searchOptions);
+  if (errors.length > 0) {
+    console.warn(`   ⚠️ 搜索引用来源有 ${errors.length} 次请求失败`);
+  }
+
+  for (const result of searchResults) {
+    sources.push({
+      url: result.url,
+      title: result.title,
+      text: result.snippet || '',
+      origin: 'search'
+    });
+  }
+
+  const pages = await Promise.all(
+    searchResults.slice(0, CITATION_PAGES).map(async result => ({
+      url: result.url,
+      title: result.title,
+      text: await searchService.fetchPageContent(result.url),
+      origin: 'page'
+    }))
+  );
+  sources.push(...pages.filter(page => page.text));
+
+  return sources;
+}
+
+/**
+ * 将模型联网搜索引用转换为来源
+ * @param {Object} ref - 引用 { title, url, snippet }
+ * @returns {Object} 来源 { url, title, text, origin }
+ */
+function toSource(ref) {
+  return {
+    url: ref.url,
+    title: ref.title,
+    text: ref.snippet || '',
+    origin: 'llm'
+  };
+}
+
+/**
+ * 为企业信息的每个字段匹配来源引用
+ * @param {Object} companyInfo - 企业信息
+ * @param {Array} sources - 来源列表
+ * @returns {Object} 引用表 { [field]: [{ url, title, snippet, origin }] }
+ */
+function buildCitations(companyInfo, sources) {
+  const citations = {};
+
+  for (const field of STATUS_FIELDS) {
+    const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), companyInfo);
+    if (value === undefined || value === null) continue;
+
+    const needles = getNeedles(field, value);
+    const matches = [];
+
+    for (const source of sources) {
+      if (!source.text) continue;
+
+      const snippet = findSnippet(source.text, needles);
+      if (snippet && !matches.some(m => m.url === source.url)) {
+        matches.push({
+          url: source.url,
+          title: source.title,
+          snippet,
+          origin: source.origin
+        });
+      }
+      if (matches.length >= MAX_CITATIONS_PER_FIELD) break;
+    }
+
+    citations[field] = matches;
+  }
+
+  return citations;
+}
+
+/**
+ * 生成用于在来源文本中查找的关键片段
+ * @param {string} field - 字段名
+ * @param {*} value - 字段值
+ * @returns {Array<string>} 关键片段，越靠前越优先
+ */
+function getNeedles(field, value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (item && typeof item === 'object' ? item.name : item))
+      .filter(item => typeof item === 'string' && item.trim().length >= 2)
+      .map(item => item.trim());
+  }
+
+  const text = String(value).trim();
+
+  if (field === 'founded') {
+    const year = text.match(/\d{4}/);
+    return year ? [year[0]] : [text];
+  }
+
+  if (field === 'contact.phone') {
+    return [text, text.replace(/[^\d]/g, '')];
+  }
+
+  if (text.length <= 20) {
+    return [text];
+  }
+
+  // 长文本拆成分句，逐句查找
+  return text
+    .split(/[，。；！？,.;!?\n]/)
+    .map(part => part.trim())
+    .filter(part => part.length >= 6)
+    .map(part => part.slice(0, 20));
+}
+
+/**
+ * 在来源文本中查找关键片段并截取上下文
+ * @param {string} text - 来源文本
+ * @param {Array<string>} needles - 关键片段
+ * @returns {string|null} 支撑片段
+ */
+function findSnippet(text, needles) {
+  const haystack = text.toLowerCase();
+
+  for (const needle of needles) {
+    if (!needle) continue;
+    const index = haystack.indexOf(needle.toLowerCase());
+    if (index !== -1) {
+      const start = Math.max(0, index - SNIPPET_RADIUS);
+      const end = Math.min(text.length, index + needle.length + SNIPPET_RADIUS);
+      return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 收集来源并生成字段引用
+ * 已有检索资料时直接复用，不再重复搜索
+ * @param {string} companyName - 企业名称
+ * @param {Object} companyInfo - 企业信息
+ * @param {Array} [references] - 模型返回的联网搜索引用
+ * @param {Array} [documents] - 检索阶段得到的来源列表
+ * @param {Object} [searchOptions] - 搜索选项 { engines, strategy }
+ * @returns {Promise<Object>} 引用表
+ */
+async function citeCompanyInfo(companyName, companyInfo, references = [], documents = null, searchOptions = {}) {
+  const sources = documents
+    ? [...references.map(toSource), ...documents]
+    : await collectSources(companyName, references, searchOptions);
+  return buildCitations(companyInfo, sources);
+}
+
+module.exports = {
+  collectSources,
+  buildCitations,
+  citeCompanyInfo
+};
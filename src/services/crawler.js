@@ -0,0 +1,602 @@
+/**
+ * 企业官网抓取服务
+ * 在官网域名内按深度和页数限制抓取页面，遵守 robots.txt，
+ * 提取 Logo、网站图标、品牌色、产品名称、联系方式和企业简介
+ */
+
+const cheerio = require('cheerio');
+const { BROWSER_HEADERS, request, fetchPage } = require('./searchEngines/common');
+const { MAX_RESPONSE_BYTES, checkUrl, publicLookup } = require('../utils/network');
+const { extractLogoColors } = require('./palette');
+const { sleep } = require('../utils/helpers');
+const { toHex, isBrandColor, colorDistance } = require('../utils/color');
+
+// 最大抓取深度（首页为 0）
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH || '2', 10);
+// 最多抓取的页面数
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || '10', 10);
+// 最多读取的外链样式表数
+const MAX_STYLESHEETS = 3;
+// 每个页面最多跟随的重定向次数
+const MAX_REDIRECTS = 5;
+// 遵循 Crawl-delay 时的最长等待（毫秒）
+const MAX_CRAWL_DELAY = 5000;
+// 爬虫名称：请求头 User-Agent 中的产品标识，也是 robots.txt 中匹配的 User-agent
+const ROBOTS_AGENT = 'company-website-generator';
+// 抓取官网时使用可识别的 User-Agent，站长可以在日志中看到并在 robots.txt 中针对本爬虫设置规则
+const CRAWLER_HEADERS = {
+  ...BROWSER_HEADERS,
+  'User-Agent': `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)`
+};
+
+// 按页面类型识别链接，优先抓取这些页面
+const PAGE_KINDS = {
+  about: /about|company|intro|profile|关于|简介|概况|介绍/i,
+  products: /product|service|solution|business|产品|服务|业务|方案/i,
+  contact: /contact|联系/i
+};
+
+// 不抓取的资源类型
+const SKIP_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|zip|rar|7z|jpe?g|png|gif|svg|webp|ico|mp[34]|avi|mov|css|js|xml|json)$/i;
+
+const PHONE_PATTERN = /(?:\+?86[-\s]?)?(?:400[-\s]?\d{3}[-\s]?\d{4}|0\d{2,3}[-\s]?\d{7,8}|1[3-9]\d{9})/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/i;
+const ADDRESS_PATTERN = /(?:地址|地\s+址|Address)\s*[:：]\s*([^\s|，。;；]{4,60})/i;
+
+/**
+ * 抓取企业官网
+ * @param {string} siteUrl - 官网地址
+ * @param {Object} [options] - 抓取选项
+ * @param {number} [options.maxDepth] - 最大深度，默认 CRAWL_MAX_DEPTH
+ * @param {number} [options.maxPages] - 最大页数，默认 CRAWL_MAX_PAGES
+ * @param {Function} [options.fetch] - 请求函数 (url) => Promise<string|{ url, body }>，url 为重定向后的最终地址；
+ *   默认走搜索请求的限速与重试，可替换为本地替身
+ * @param {Function} [options.fetchBinary] - 读取图片的请求函数 (url) => Promise<Buffer>，用于提取 Logo 颜色
+ * @returns {Promise<Object>} { url, pages, skipped, brand, services, contact, about }
+ *   pages: 已抓取的页面 [{ url, title, depth, kind }]
+ *   skipped: 未抓取的链接 [{ url, reason }]
+ *   brand: { logo, favicon, colors }
+ */
+async function crawlSite(siteUrl, options = {}) {
+  const maxDepth = options.maxDepth ?? CRAWL_MAX_DEPTH;
+  const maxPages = options.maxPages ?? CRAWL_MAX_PAGES;
+
+  const start = new URL(siteUrl);
+  const siteHost = stripWww(start.hostname);
+  let robots = null;
+
+  const fetch = options.fetch || createFetch(siteHost, () => robots);
+  const fetchBinary = options.fetchBinary
+    || (async url => {
+      const reason = checkUrl(url);
+      if (reason) throw new Error(reason);
+      return Buffer.from(await request(url, {
+        headers: CRAWLER_HEADERS,
+        timeout: 10000,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_RESPONSE_BYTES,
+        lookup: publicLookup
+      }));
+    });
+  robots = await loadRobots(start.origin, fetch);
+
+  const queue = [{ url: normalizeLink(start.href), depth: 0 }];
+  const seen = new Set([queue[0].url]);
+  const pages = [];
+  const skipped = [];
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    const { pathname, search } = new URL(url);
+
+    if (!robots.isAllowed(pathname + search)) {
+      skipped.push({ url, reason: 'robots.txt 禁止抓取' });
+      continue;
+    }
+    if (pages.length > 0 && robots.crawlDelay) {
+      await sleep(robots.crawlDelay);
+    }
+
+    let response;
+    try {
+      response = readResponse(await fetch(url), url);
+    } catch (error) {
+      skipped.push({ url, reason: error.message });
+      continue;
+    }
+
+    // 重定向后的地址同样要在官网域名内并允许抓取，站外页面不作为官网内容
+    const finalUrl = normalizeLink(response.url);
+    if (finalUrl !== url) {
+      const target = new URL(finalUrl);
+      if (stripWww(target.hostname) !== siteHost) {
+        skipped.push({ url, reason: `重定向到站外: ${finalUrl}` });
+        continue;
+      }
+      if (!robots.isAllowed(target.pathname + target.search)) {
+        skipped.push({ url, reason: 'robots.txt 禁止抓取' });
+        continue;
+      }
+      if (pages.some(page => page.url === finalUrl)) continue;
+      seen.add(finalUrl);
+    }
+
+    const $ = cheerio.load(response.body);
+    const page = {
+      url: finalUrl,
+      title: $('title').first().text().trim(),
+      depth,
+      kind: getPageKind(url, $('title').first().text()),
+      $
+    };
+    pages.push(page);
+
+    if (depth >= maxDepth) continue;
+
+    // 同域链接入队，简介、产品、联系页面优先
+    const links = [];
+    $('a[href]').each((_, el) => {
+      const link = resolveLink($(el).attr('href'), finalUrl);
+      if (!link || seen.has(link)) return;
+      if (stripWww(new URL(link).hostname) !== siteHost) return;
+      if (SKIP_EXTENSIONS.test(new URL(link).pathname)) return;
+
+      seen.add(link);
+      const kind = getPageKind(link, $(el).text());
+      links.push({ url: link, depth: depth + 1, priority: kind ? 0 : 1 });
+    });
+    links.sort((a, b) => a.priority - b.priority);
+    queue.push(...links.map(({ url: link, depth: linkDepth }) => ({ url: link, depth: linkDepth })));
+    queue.sort((a, b) => a.depth - b.depth);
+  }
+
+  if (pages.length === 0) {
+    throw new Error(`官网无法抓取: ${skipped.map(item => item.reason).join('；') || siteUrl}`);
+  }
+
+  const home = pages[0];
+  const logo = findLogo(home.$, home.url);
+  const result = {
+    url: home.url,
+    pages: pages.map(({ $, ...page }) => page),
+    skipped,
+    brand: {
+      logo,
+      favicon: findFavicon(home.$, home.url),
+      colors: mergeColors([
+        ...await findLogoColors(logo, fetchBinary),
+        ...await findBrandColors(home.$, home.url, fetch, siteHost)
+      ])
+    },
+    services: findProducts(pages),
+    contact: findContact(pages),
+    about: findAbout(pages)
+  };
+
+  console.log(`   🕸️ 抓取官网 ${result.pages.length} 个页面，跳过 ${skipped.length} 个链接`);
+  return result;
+}
+
+/**
+ * 创建默认请求函数
+ * 逐跳跟随重定向，每一跳都检查目标地址，不请求站外、内网或 robots.txt 禁止抓取的地址
+ * @param {string} siteHost - 官网主机名（不含 www）
+ * @param {Function} getRobots - 返回已解析的 robots.txt，尚未读取时为 null
+ * @returns {Function} (url) => Promise<{ url, body }>，url 为重定向后的最终地址
+ */
+function createFetch(siteHost, getRobots) {
+  return async url => {
+    let current = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const reason = checkUrl(current);
+      if (reason) throw new Error(reason);
+      try {
+        const body = await fetchPage(current, {
+          timeout: 10000,
+          headers: CRAWLER_HEADERS,
+          maxRedirects: 0,
+          maxContentLength: MAX_RESPONSE_BYTES,
+          lookup: publicLookup
+        });
+        return { url: current, body };
+      } catch (error) {
+        const status = error.response?.status;
+        const location = status >= 300 && status < 400 && error.response.headers?.location;
+        if (!location) throw error;
+
+        current = new URL(location, current).href;
+        const target = new URL(current);
+        if (stripWww(target.hostname) !== siteHost) {
+          throw new Error(`重定向到站外: ${current}`);
+        }
+        const robots = getRobots();
+        if (robots && !robots.isAllowed(target.pathname + target.search)) {
+          throw new Error('robots.txt 禁止抓取');
+        }
+      }
+    }
+    throw new Error(`重定向次数超过 ${MAX_REDIRECTS} 次`);
+  };
+}
+
+/**
+ * 读取并解析 robots.txt，无法读取时视为全部允许
+ * @param {string} origin - 站点源
+ * @param {Function} fetch - 请求函数
+ * @returns {Promise<Object>} { isAllowed(path), crawlDelay }
+ */
+async function loadRobots(origin, fetch) {
+  let text = '';
+  try {
+    text = readResponse(await fetch(`${origin}/robots.txt`)).body;
+  } catch (error) {
+    // 没有 robots.txt
+  }
+  return parseRobots(text);
+}
+
+/**
+ * 读取请求函数的结果
+ * @param {string|Object} response - 页面内容，或 { url, body }
+ * @param {string} [url] - 请求地址
+ * @returns {Object} { url: 最终地址, body: 页面内容 }
+ */
+function readResponse(response, url) {
+  if (response && typeof response === 'object' && !Buffer.isBuffer(response)) {
+    return { url: response.url || url, body: String(response.body ?? '') };
+  }
+  return { url, body: String(response) };
+}
+
+/**
+ * 解析 robots.txt
+ * 取 User-agent 与本爬虫名称匹配的规则组（不区分大小写，忽略版本号，如 company-website-generator/1.0），
+ * 没有时取 User-agent: * 的规则组，同名的多个规则组合并；按最长匹配判定，长度相同时 Allow 优先
+ * @param {string} text - robots.txt 内容
+ * @returns {Object} { isAllowed(path), crawlDelay }
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay' && Number.isFinite(Number(value))) {
+      current.crawlDelay = Math.min(Number(value) * 1000, MAX_CRAWL_DELAY);
+    }
+  }
+
+  const own = groups.filter(g => g.agents.some(agent => agent.match(/^[a-z_-]+/)?.[0] === ROBOTS_AGENT));
+  const matched = own.length > 0 ? own : groups.filter(g => g.agents.includes('*'));
+
+  const rules = matched
+    .flatMap(group => group.rules)
+    .map(rule => ({ ...rule, pattern: robotsPattern(rule.path) }));
+  const crawlDelay = matched.map(group => group.crawlDelay).find(delay => delay !== null) ?? null;
+
+  return {
+    crawlDelay,
+    isAllowed(path) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+/**
+ * 将 robots.txt 路径规则转换为正则，支持 * 和 $
+ * @param {string} path - 路径规则
+ * @returns {RegExp}
+ */
+function robotsPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * 判断页面类型
+ * @param {string} url - 页面地址
+ * @param {string} [text] - 链接文字或页面标题
+ * @returns {string|null} about | products | contact
+ */
+function getPageKind(url, text = '') {
+  let pathname = new URL(url).pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch (e) {
+    // 保留原始路径
+  }
+  const target = `${pathname} ${text}`;
+  return Object.keys(PAGE_KINDS).find(kind => PAGE_KINDS[kind].test(target)) || null;
+}
+
+/**
+ * 查找 Logo：类名、ID 或替代文字含 logo 的图片
+ * @param {Function} $ - 首页 cheerio 实例
+ * @param {string} pageUrl - 首页地址
+ * @returns {string|null} Logo 地址
+ */
+function findLogo($, pageUrl) {
+  const selectors = [
+    'img[class*="logo" i], img[id*="logo" i], img[alt*="logo" i], img[src*="logo" i]',
+    '[class*="logo" i] img, [id*="logo" i] img',
+    'header img, .header img, nav img'
+  ];
+
+  for (const selector of selectors) {
+    const src = $(selector).first().attr('src');
+    const url = src && resolveLink(src, pageUrl, false);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * 查找网站图标
+ * @param {Function} $ - 首页 cheerio 实例
+ * @param {string} pageUrl - 首页地址
+ * @returns {string|null} 图标地址
+ */
+function findFavicon($, pageUrl) {
+  const href = $('link[rel~="icon"]').first().attr('href')
+    || $('link[rel="apple-touch-icon"]').first().attr('href');
+  return (href && resolveLink(href, pageUrl, false)) || null;
+}
+
+/**
+ * 从首页样式中统计品牌色
+ * 读取 theme-color、内联样式和本站的外链样式表，忽略接近黑白灰的颜色；
+ * 名称含 primary / brand / main / theme 的 CSS 变量权重更高
+ * @param {Function} $ - 首页 cheerio 实例
+ * @param {string} pageUrl - 首页地址
+ * @param {Function} fetch - 请求函数
+ * @param {string} siteHost - 官网主机名（不含 www）
+ * @returns {Promise<Array<string>>} 最多 3 个 #rrggbb 颜色，按出现权重排序
+ */
+async function findBrandColors($, pageUrl, fetch, siteHost) {
+  const weights = new Map();
+  const add = (color, weight) => {
+    const hex = toHex(color);
+    if (hex && isBrandColor(hex)) {
+      weights.set(hex, (weights.get(hex) || 0) + weight);
+    }
+  };
+
+  const themeColor = $('meta[name="theme-color"]').attr('content');
+  if (themeColor) add(themeColor, 10);
+
+  const styles = [$('style').map((_, el) => $(el).html()).get().join('\n')];
+  $('[style]').each((_, el) => { styles.push($(el).attr('style')); });
+
+  const sheets = $('link[rel="stylesheet"]')
+    .map((_, el) => resolveLink($(el).attr('href'), pageUrl, false))
+    .get()
+    .filter(href => href && stripWww(new URL(href).hostname) === siteHost)
+    .slice(0, MAX_STYLESHEETS);
+  for (const href of sheets) {
+    try {
+      styles.push(readResponse(await fetch(href), href).body);
+    } catch (error) {
+      // 样式表读取失败时只用内联样式
+    }
+  }
+
+  const colorPattern = /#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgba?\([^)]+\)/gi;
+  for (const css of styles) {
+    for (const declaration of String(css || '').split(/[;{}]/)) {
+      const weight = /--[\w-]*(primary|brand|main|theme)[\w-]*\s*:/i.test(declaration) ? 5 : 1;
+      for (const color of declaration.match(colorPattern) || []) {
+        add(color, weight);
+      }
+    }
+  }
+
+  return mergeColors([...weights.entries()].sort((a, b) => b[1] - a[1]).map(([hex]) => hex));
+}
+
+/**
+ * 读取 Logo 图片并提取其中的品牌色
+ * Logo 颜色比样式表中的颜色更能代表品牌，排在前面；读取失败或格式不支持时返回空列表
+ * @param {string|null} logoUrl - Logo 地址
+ * @param {Function} fetchBinary - 读取图片的请求函数
+ * @returns {Promise<Array<string>>} #rrggbb 颜色
+ */
+async function findLogoColors(logoUrl, fetchBinary) {
+  if (!logoUrl || logoUrl.startsWith('data:')) return [];
+  try {
+    return extractLogoColors(await fetchBinary(logoUrl));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 合并相近的颜色，保留排在前面的一个
+ * @param {Array<string>} colors - 按优先级排序的 #rrggbb 颜色
+ * @returns {Array<string>} 最多 3 个颜色
+ */
+function mergeColors(colors) {
+  const merged = [];
+  for (const hex of colors) {
+    if (!merged.some(existing => colorDistance(existing, hex) < 40)) {
+      merged.push(hex);
+    }
+    if (merged.length >= 3) break;
+  }
+  return merged;
+}
+
+/**
+ * 从产品/服务页面提取产品名称和简介
+ * @param {Array} pages - 已抓取的页面
+ * @returns {Array} [{ name, description }]，没有简介时 description 为 null
+ */
+function findProducts(pages) {
+  const products = [];
+  const names = new Set();
+
+  for (const page of pages.filter(p => p.kind === 'products')) {
+    const { $, $main } = contentRoot(page);
+
+    $main.find('h2, h3, h4, [class*="product-name" i], [class*="product-title" i]').each((_, el) => {
+      const name = $(el).text().replace(/\s+/g, ' ').trim();
+      // 跳过"产品中心"之类的栏目标题
+      if (name.length < 2 || name.length > 30 || names.has(name) || (PAGE_KINDS.products.test(name) && name.length <= 4)) {
+        return;
+      }
+
+      const description = $(el).nextAll('p').first().text().replace(/\s+/g, ' ').trim();
+      names.add(name);
+      products.push({ name, description: description.length >= 4 ? description.slice(0, 200) : null });
+    });
+  }
+
+  return products.slice(0, 8);
+}
+
+/**
+ * 提取联系方式，联系页面优先
+ * @param {Array} pages - 已抓取的页面
+ * @returns {Object} { phone, email, address }，未找到的字段为 null
+ */
+function findContact(pages) {
+  const ordered = [...pages].sort((a, b) => (b.kind === 'contact') - (a.kind === 'contact'));
+  const contact = { phone: null, email: null, address: null };
+
+  for (const page of ordered) {
+    const $ = page.$;
+    const text = blockText(page);
+
+    if (!contact.phone) {
+      const tel = $('a[href^="tel:"]').first().attr('href');
+      const match = tel ? tel.slice(4).match(PHONE_PATTERN) : text.match(PHONE_PATTERN);
+      contact.phone = match ? match[0].trim() : null;
+    }
+    if (!contact.email) {
+      const mailto = $('a[href^="mailto:"]').first().attr('href');
+      const match = mailto ? mailto.slice(7).match(EMAIL_PATTERN) : text.match(EMAIL_PATTERN);
+      contact.email = match ? match[0] : null;
+    }
+    if (!contact.address) {
+      const match = text.match(ADDRESS_PATTERN);
+      contact.address = match ? match[1] : null;
+    }
+  }
+
+  return contact;
+}
+
+/**
+ * 提取企业简介：简介页面的正文段落，没有简介页面时取首页描述
+ * @param {Array} pages - 已抓取的页面
+ * @returns {string|null} 简介文字，最长 1500 字
+ */
+function findAbout(pages) {
+  const page = pages.find(p => p.kind === 'about');
+
+  if (page) {
+    const { $, $main } = contentRoot(page);
+    const text = $main.find('p')
+      .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim())
+      .get()
+      .filter(paragraph => paragraph.length >= 20)
+      .join('\n');
+    if (text) return text.slice(0, 1500);
+  }
+
+  const description = pages[0].$('meta[name="description"]').attr('content');
+  return description ? description.trim().slice(0, 1500) : null;
+}
+
+/**
+ * 页面主体区域（去掉导航和页脚）
+ * 在页面副本上处理，不影响从页脚读取联系方式
+ * @param {Object} page - 已抓取的页面
+ * @returns {Object} { $, $main }
+ */
+function contentRoot(page) {
+  const $ = cheerio.load(page.$.html());
+  $('script, style, nav, header, footer, .nav, .header, .footer').remove();
+  const $main = $('main, article, .main, .content, #content').first();
+  return { $, $main: $main.length > 0 ? $main : $('body') };
+}
+
+/**
+ * 页面文字，块级元素之间换行，避免相邻段落的内容连在一起
+ * @param {Object} page - 已抓取的页面
+ * @returns {string}
+ */
+function blockText(page) {
+  const $ = cheerio.load(page.$.html());
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr, dd, dt, section, footer, h1, h2, h3, h4, h5, h6').append('\n');
+  return $('body').text().replace(/[ \t\u00a0]+/g, ' ');
+}
+
+/**
+ * 解析链接为绝对地址
+ * @param {string} href - 原始链接
+ * @param {string} base - 所在页面地址
+ * @param {boolean} [normalize] - 是否去掉锚点和末尾斜杠，用于页面去重
+ * @returns {string|null} 绝对地址，非 http(s) 链接返回 null
+ */
+function resolveLink(href, base, normalize = true) {
+  if (!href || /^(javascript|mailto|tel|data):/i.test(href.trim())) return null;
+  try {
+    const url = new URL(href.trim(), base);
+    if (!/^https?:$/.test(url.protocol)) return null;
+    return normalize ? normalizeLink(url.href) : url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 去掉锚点，统一首页地址
+function normalizeLink(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+function stripWww(host) {
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+module.exports = {
+  ROBOTS_AGENT,
+  CRAWLER_HEADERS,
+  crawlSite,
+  parseRobots
+};
@@ -1,267 +1,660 @@
 /**
- * MiniMax AI 信息提取服务
- * 使用 MiniMax API 的 web_search 能力获取企业信息
+ * AI 信息提取服务
+ * 通过可插拔的模型提供方（MiniMax / DeepSeek / OpenAI 兼容 / 模拟数据）获取企业信息，
+ * 并按 CompanyInfo 结构校验，对不合格字段发起定向修复
  */
 
-const axios = require('axios');
+const llmProviders = require('./providers');
+const { parseJsonObject, deepMerge } = require('../utils/helpers');
+const citationService = require('./citations');
+const retrievalService = require('./retrieval');
+const searchService = require('./search');
+const profileService = require('./profile');
+const cacheService = require('./cache');
+const promptService = require('./prompts');
+const crawlerService = require('./crawler');
+const registryService = require('./registry');
+const newsService = require('./news');
+const { generateMockCompanyInfo } = require('./providers/mock');
+const {
+  COMPANY_INFO_SCHEMA,
+  EXTRACTION_SCHEMA,
+  EXTERNAL_FIELDS,
+  validateCompanyInfo,
+  validateField,
+  assessCompanyInfo
+} = require('../schemas/companyInfo');
 
-// MiniMax API 配置
-const MINIMAX_API_KEY = process.env.MINIMAX_API_KEY;
-const MINIMAX_API_URL = process.env.MINIMAX_API_URL || 'https://api.minimax.chat/v1';
+// 单个字段的最大修复次数
+const MAX_REPAIR_RETRIES = parseInt(process.env.EXTRACT_REPAIR_RETRIES || '2', 10);
+
+// 跳过提取时记录的数据来源
+const MANUAL_PROVIDER = { name: 'manual', label: '手工资料' };
+
+// 识别出官网后是否抓取官网内容，设为 false 关闭
+const SITE_CRAWL = process.env.SITE_CRAWL !== 'false';
+
+// 是否检索企业近期新闻，设为 false 关闭
+const NEWS_COLLECT = process.env.NEWS_COLLECT !== 'false';
 
 /**
- * 使用 MiniMax web_search 获取企业信息
+ * 使用模型提供方获取企业信息
+ * 按降级链依次尝试，全部失败时由模拟数据兜底。
+ * 缺失字段保持缺失，不再用模拟数据填充
  * @param {string} companyName - 企业名称
- * @returns {Promise<Object>} 提取的企业信息
+ * @param {Object} [options] - 提取选项
+ * @param {string} [options.retrievalMode] - 检索模式 rag | web_search | hybrid
+ * @param {Object} [options.candidate] - 用户确认的候选企业 { name, city, industry, website }
+ * @param {Object} [options.knownInfo] - 手工提供的企业信息，优先于提取结果，只提取其余字段
+ * @param {boolean} [options.skipExtraction] - 不调用模型，直接使用手工提供的企业信息
+ * @param {boolean} [options.refresh] - 忽略缓存，重新调用模型提取
+ * @param {string} [options.promptVersion] - 提示词版本，不指定时按行业映射或默认版本选择
+ * @param {Object} [options.search] - 搜索选项 { engines, strategy }
+ * @param {boolean} [options.crawlSite] - 是否抓取企业官网，默认取 SITE_CRAWL
+ * @param {boolean} [options.collectNews] - 是否检索企业近期新闻，默认取 NEWS_COLLECT
+ * @returns {Promise<Object>} { companyInfo, provider, isMock, promptVersion, retrievalMode, officialSite, siteCrawl, registration, fieldStatus, missingFields, unresolvedFields, validationErrors, citations, cached, cachedAt }
  */
-async function extractCompanyInfo(companyName) {
-  if (!MINIMAX_API_KEY) {
-    console.warn('⚠️  未配置 MiniMax API Key，使用模拟数据');
-    return generateMockCompanyInfo(companyName);
+async function extractCompanyInfo(companyName, options = {}) {
+  const knownInfo = options.knownInfo || null;
+  const manualFields = profileService.getProvidedFields(knownInfo);
+  const pendingFields = profileService.getMissingFields(knownInfo);
+
+  if (knownInfo && (options.skipExtraction || pendingFields.length === 0)) {
+    console.log('📝 使用手工提供的企业信息，跳过模型提取');
+    return {
+      ...buildResult(knownInfo, companyName, MANUAL_PROVIDER, manualFields),
+      promptVersion: null,
+      retrievalMode: 'none',
+      officialSite: null,
+      siteCrawl: null,
+      registration: null,
+      unresolvedFields: [],
+      validationErrors: [],
+      citations: {},
+      cached: false,
+      cachedAt: null
+    };
   }
 
-  try {
-    console.log('🔍 使用 MiniMax web_search 获取企业信息...');
-    
-    // 调用 MiniMax API，使用 web_search 工具
-    const response = await axios.post(
-      `${MINIMAX_API_URL}/text/chatcompletion_v2`,
-      {
-        model: 'MiniMax-M2.5',
-        messages: [
-          {
-            role: 'system',
-            content: '你是一个专业的企业信息分析师，擅长通过搜索获取企业信息。请尽可能详细地搜索和整理企业信息。'
-          },
-          {
-            role: 'user',
-            content: `请搜索并整理关于"${companyName}"企业的详细信息，包括：\n\n1. 企业全称和简称\n2. 企业口号/slogan\n3. 核心业务介绍\n4. 成立时间\n5. 总部地点\n6. 行业领域\n7. 主要产品和服务（至少3个）\n8. 企业特色/优势（至少3个）\n9. 官方网站\n10. 联系电话、邮箱、地址等联系信息（如果没有可以标注"待确认"）\n\n请尽可能详细地搜索，提供准确的信息。如果某些信息搜索不到，请标注"待确认"。`
-          }
-        ],
-        tools: [
-          {
-            type: 'web_search',
-            web_search: {
-              search_engine: 'search',
-              enable: true,
-              reason: '需要搜索获取企业详细信息'
-            }
-          }
-        ],
+  const chain = llmProviders.getProviderChain();
+  const mode = retrievalService.getRetrievalMode(options.retrievalMode);
+
+  // 行业已知时（手工资料或候选企业）可按行业选择提示词版本
+  const promptVersion = promptService.resolveVersion({
+    version: options.promptVersion,
+    industry: knownInfo?.industry || options.candidate?.industry
+  });
+  // 缓存按版本和模板内容区分，模板修改后旧缓存不再命中
+  const cacheVersion = `${promptVersion}@${promptService.getFingerprint(promptVersion)}`;
+  console.log(`   📝 提示词版本: ${promptVersion}`);
+
+  // 检索资料只获取一次，降级到下一个提供方时复用
+  let retrieval = null;
+  const getRetrieval = async () => {
+    if (!retrieval) {
+      console.log('   📚 检索参考资料...');
+      retrieval = await retrievalService.retrieveContext(companyName, options.search);
+    }
+    return retrieval;
+  };
+
+  // 企业官网：手工提供时直接采用；检索时顺带识别；只用联网搜索时单独搜索一次
+  let officialSite = knownInfo?.social?.website
+    ? { url: knownInfo.social.website, score: null, reasons: ['手工提供'] }
+    : undefined;
+  const getOfficialSite = async () => {
+    if (officialSite === undefined) {
+      try {
+        officialSite = retrieval
+          ? retrieval.officialSite
+          : await searchService.findOfficialSite(companyName, options.search);
+      } catch (error) {
+        console.warn('   ⚠️ 识别企业官网失败:', error.message);
+        officialSite = null;
+      }
+    }
+    return officialSite;
+  };
+
+  // 官网内容只抓取一次，抓取失败时不影响提取
+  const crawlSite = options.crawlSite ?? SITE_CRAWL;
+  let siteCrawl;
+  const getSiteCrawl = async site => {
+    if (siteCrawl === undefined) {
+      siteCrawl = null;
+      if (crawlSite && site) {
+        try {
+          console.log(`   🕸️ 抓取企业官网 ${site.url}...`);
+          siteCrawl = await crawlerService.crawlSite(site.url);
+        } catch (error) {
+          console.warn('   ⚠️ 抓取企业官网失败:', error.message);
+        }
+      }
+    }
+    return siteCrawl;
+  };
+
+  // 工商登记信息只查询一次，接口未配置或查询失败时不影响提取
+  let registration;
+  const getRegistration = async () => {
+    if (registration === undefined) {
+      registration = null;
+      try {
+        registration = await registryService.lookupRegistration(companyName);
+        if (registration) {
+          console.log(`   🏛️ 查询到工商登记信息: ${registration.name || companyName}`);
+        }
+      } catch (error) {
+        console.warn('   ⚠️ 查询工商登记信息失败:', error.message);
+      }
+    }
+    return registration;
+  };
+
+  // 新闻只检索一次，检索失败时不影响提取
+  const collectNews = options.collectNews ?? NEWS_COLLECT;
+  let news;
+  const getNews = async () => {
+    if (news === undefined) {
+      news = [];
+      if (collectNews) {
+        try {
+          console.log('   📰 检索企业近期新闻...');
+          news = await newsService.collectNews(companyName, { search: options.search });
+        } catch (error) {
+          console.warn('   ⚠️ 检索企业新闻失败:', error.message);
+        }
+      }
+    }
+    return news;
+  };
+
+  // 提取选项不同时结果内容不同，缓存分别存放，避免把未抓取官网的结果返回给要求抓取的请求
+  const cacheOptions = {
+    retrievalMode: mode,
+    crawlSite: !!crawlSite,
+    collectNews: !!collectNews,
+    registry: registryService.getAdapter()?.name || null,
+    engines: options.search?.engines ? [].concat(options.search.engines) : null,
+    strategy: options.search?.strategy || null
+  };
+
+  for (const provider of chain) {
+    try {
+      if (provider.isMock) {
+        console.warn('⚠️  未配置可用的模型提供方，使用模拟数据');
+      } else {
+        console.log(`🔍 使用 ${provider.label} 获取企业信息...`);
+      }
+
+      if (!provider.isMock && !options.refresh) {
+        const entry = await cacheService.getCachedExtraction(companyName, provider.name, cacheVersion, cacheOptions);
+        if (entry) {
+          console.log(`   💾 使用 ${entry.createdAt} 缓存的提取结果`);
+          return fromCache(entry, companyName, provider, knownInfo, manualFields);
+        }
+      }
+
+      // 不支持联网搜索的提供方始终使用检索资料
+      const useWebSearch = mode !== 'rag' && provider.supportsWebSearch;
+      const useRag = !provider.isMock && (mode !== 'web_search' || !provider.supportsWebSearch);
+      const context = useRag ? (await getRetrieval()).chunks : [];
+      const site = provider.isMock ? null : await getOfficialSite();
+      const crawl = provider.isMock ? null : await getSiteCrawl(site);
+      const verified = provider.isMock ? null : await getRegistration();
+      const recentNews = provider.isMock ? [] : await getNews();
+
+      const messages = buildMessages(promptVersion, companyName, context, options.candidate, knownInfo && pendingFields, site, crawl, verified);
+      const { content, references = [] } = await provider.chat(messages, {
+        companyName,
+        webSearch: useWebSearch,
         temperature: 0.7,
-        max_tokens: 4000
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`
-        },
+        maxTokens: 4000,
         timeout: 120000
+      });
+
+      console.log(`✅ ${provider.label} 返回完成`);
+
+      const parsed = parseCompanyInfo(content);
+      if (!parsed) {
+        throw new Error('返回内容不是有效的 JSON');
+      }
+      // 品牌视觉、工商登记等字段只采用外部数据源
+      for (const field of EXTERNAL_FIELDS) {
+        delete parsed[field];
       }
-    );
 
-    // 解析 AI 返回的内容
-    const assistantMessage = response.data.choices?.[0]?.message;
-    
-    if (!assistantMessage) {
-      console.warn('MiniMax 返回格式异常，使用模拟数据');
-      return generateMockCompanyInfo(companyName);
-    }
+      // 校验并定向修复不合格字段，手工提供的字段已校验过，不会进入修复
+      const { companyInfo, unresolvedFields, validationErrors } = await repairInvalidFields(
+        provider,
+        [...messages, { role: 'assistant', content }],
+        knownInfo ? deepMerge(parsed, knownInfo) : parsed,
+        companyName,
+        promptVersion
+      );
+
+      // 优先级：手工资料 > 工商登记 > 官网抓取 > 模型输出；识别出的官网优先于模型给出的网址
+      const crawledInfo = applySiteCrawl(companyInfo, crawl);
+      const { companyInfo: verifiedInfo, verifiedFields } = applyRegistration(
+        recentNews.length > 0 ? { ...crawledInfo, news: recentNews } : crawledInfo,
+        verified
+      );
+      const mergedInfo = knownInfo ? deepMerge(verifiedInfo, knownInfo) : verifiedInfo;
+      if (site) {
+        mergedInfo.social = { ...mergedInfo.social, website: site.url };
+      }
+
+      const result = buildResult(mergedInfo, companyName, provider, manualFields, verifiedFields);
+
+      // 记录每个字段的来源引用
+      let citations = {};
+      if (!provider.isMock) {
+        console.log('   📚 匹配字段来源...');
+        citations = await citationService.citeCompanyInfo(
+          companyName,
+          result.companyInfo,
+          references,
+          retrieval ? retrieval.documents : null,
+          options.search
+        );
+        Object.assign(citations, citeBrand(result.companyInfo, crawl), citeRegistration(result.companyInfo, verifiedFields), citeNews(result.companyInfo));
+      }
+
+      const extraction = {
+        ...result,
+        promptVersion,
+        retrievalMode: useRag && useWebSearch ? 'hybrid' : useRag ? 'rag' : useWebSearch ? 'web_search' : 'none',
+        officialSite: site,
+        siteCrawl: crawl ? { url: crawl.url, pages: crawl.pages, skipped: crawl.skipped } : null,
+        registration: verified,
+        unresolvedFields,
+        validationErrors,
+        citations
+      };
+
+      // 只缓存完整提取的结果，只提取了部分字段的结果不入缓存
+      if (!provider.isMock && !knownInfo) {
+        try {
+          await cacheService.setCachedExtraction(companyName, provider.name, cacheVersion, extraction, cacheOptions);
+        } catch (error) {
+          console.warn('   ⚠️ 写入提取缓存失败:', error.message);
+        }
+      }
 
-    // 获取思考过程（如果有）和最终回复
-    const thinkingContent = assistantMessage. Reasoning || '';
-    const aiContent = assistantMessage.content;
-
-    console.log('✅ MiniMax web_search 完成');
-
-    // 解析 AI 返回的 JSON
-    let companyInfo = parseCompanyInfo(aiContent, companyName);
-    
-    // 确保必要字段存在
-    const defaultInfo = generateMockCompanyInfo(companyName);
-    companyInfo = { ...defaultInfo, ...companyInfo };
-    
-    // 确保数组字段存在
-    companyInfo.services = companyInfo.services || defaultInfo.services;
-    companyInfo.features = companyInfo.features || defaultInfo.features;
-    companyInfo.contact = { ...defaultInfo.contact, ...companyInfo.contact };
-    companyInfo.social = { ...defaultInfo.social, ...companyInfo.social };
-
-    return companyInfo;
-    
-  } catch (error) {
-    console.error('MiniMax API 调用失败:', error.message);
-    
-    if (error.response) {
-      console.error('API 错误详情:', JSON.stringify(error.response.data, null, 2));
+      return { ...extraction, cached: false, cachedAt: null };
+    } catch (error) {
+      console.error(`${provider.label} 调用失败:`, error.message);
+
+      if (error.response) {
+        console.error('API 错误详情:', JSON.stringify(error.response.data, null, 2));
+      }
     }
-    
-    // 使用模拟数据作为后备
-    console.log('使用模拟数据作为后备...');
-    return generateMockCompanyInfo(companyName);
   }
+
+  // 模拟数据提供方不会失败，这里仅作保险
+  const mockInfo = generateMockCompanyInfo(companyName);
+  return {
+    ...buildResult(knownInfo ? deepMerge(mockInfo, knownInfo) : mockInfo, companyName, llmProviders.getProvider('mock'), manualFields),
+    promptVersion,
+    retrievalMode: 'none',
+    officialSite: null,
+    siteCrawl: null,
+    registration: null,
+    unresolvedFields: [],
+    validationErrors: [],
+    citations: {},
+    cached: false,
+    cachedAt: null
+  };
 }
 
 /**
- * 解析 AI 返回的企业信息
- * @param {string} content - AI 返回的内容
- * @param {string} companyName - 企业名称
- * @returns {Object} 解析后的企业信息
+ * 将工商登记信息合并到企业信息
+ * 登记信息整体写入 registration，成立时间以登记的成立日期为准
+ * @param {Object} info - 企业信息
+ * @param {Object|null} registration - 工商登记信息
+ * @returns {Object} { companyInfo, verifiedFields }
  */
-function parseCompanyInfo(content, companyName) {
-  try {
-    // 尝试直接解析 JSON
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    // 如果不是 JSON 格式，手动提取字段
-    const info = {
-      name: companyName,
-      shortName: extractField(content, ['简称', '简称叫', 'shortName']) || companyName.replace(/有限公司|股份有限公司|集团|科技|网络|信息/g, ''),
-      slogan: extractField(content, ['口号', 'slogan', '标语']) || '创新引领未来',
-      business: extractField(content, ['核心业务', '主要业务', 'business']) || '',
-      description: extractField(content, ['介绍', 'description', '详细']) || '',
-      industry: extractField(content, ['行业', 'industry']) || '互联网/科技',
-      founded: extractField(content, ['成立', 'founded', '创建于']) || '待确认',
-      headquarters: extractField(content, ['总部', 'headquarters', '位于']) || '待确认',
-      services: extractArrayField(content, ['服务', '产品', 'services']),
-      features: extractArrayField(content, ['特色', '优势', 'features', '特点']),
-      contact: {
-        phone: extractField(content, ['电话', 'phone', '联系方式']) || '待确认',
-        email: extractField(content, ['邮箱', 'email', '信箱']) || '待确认',
-        address: extractField(content, ['地址', 'address', '办公地点']) || '待确认'
-      },
-      social: {
-        website: extractField(content, ['官网', 'website', '官方网站']) || '',
-        weibo: extractField(content, ['微博']) || '',
-        wechat: extractField(content, ['微信公众号', '微信']) || ''
-      }
-    };
-    
-    return info;
-  } catch (parseError) {
-    console.warn('解析企业信息失败:', parseError.message);
-    return generateMockCompanyInfo(companyName);
+function applyRegistration(info, registration) {
+  if (!registration) {
+    return { companyInfo: info, verifiedFields: [] };
   }
+
+  const companyInfo = { ...info, registration };
+  const verifiedFields = Object.keys(registration).map(key => `registration.${key}`);
+
+  if (registration.registrationDate) {
+    companyInfo.founded = `${registration.registrationDate.slice(0, 4)}年`;
+    verifiedFields.push('founded');
+  }
+
+  return { companyInfo, verifiedFields };
 }
 
 /**
- * 从文本中提取字段值
- * @param {string} text - 原始文本
- * @param {Array} keywords - 关键词列表
- * @returns {string} 提取的值
+ * 将官网抓取的内容合并到企业信息
+ * 品牌视觉和联系方式以官网为准；模型没有给出产品和服务时，采用官网上带简介的产品
+ * @param {Object} info - 企业信息
+ * @param {Object|null} crawl - 官网抓取结果
+ * @returns {Object} 合并后的企业信息
  */
-function extractField(text, keywords) {
-  for (const keyword of keywords) {
-    // 尝试多种匹配模式
-    const patterns = [
-      new RegExp(`${keyword}[：:][\\s]*([^\\n]{2,100})`, 'i'),
-      new RegExp(`${keyword}[^\\u4e00-\\u9fa5]*([^\\n]{2,50})`, 'i'),
-    ];
-    
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        return match[1].trim();
-      }
-    }
+function applySiteCrawl(info, crawl) {
+  if (!crawl) return info;
+
+  const merged = { ...info };
+  const pick = obj => Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0))
+  );
+
+  const brand = pick(crawl.brand);
+  if (Object.keys(brand).length > 0) {
+    merged.brand = brand;
   }
-  return '';
+
+  const contact = pick(crawl.contact);
+  if (Object.keys(contact).length > 0) {
+    merged.contact = { ...merged.contact, ...contact };
+  }
+
+  const products = crawl.services.filter(service => service.description);
+  if ((!merged.services || merged.services.length === 0) && products.length > 0) {
+    merged.services = products;
+  }
+
+  return merged;
 }
 
 /**
- * 从文本中提取数组字段
- * @param {string} text - 原始文本
- * @param {Array} keywords - 关键词列表
- * @returns {Array} 提取的数组
+ * 品牌视觉字段的来源都是官网首页
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object|null} crawl - 官网抓取结果
+ * @returns {Object} 引用表
  */
-function extractArrayField(text, keywords) {
-  const results = [];
-  
-  for (const keyword of keywords) {
-    // 匹配列表项
-    const listPattern = new RegExp(`[\\d、\\.\\-][\\s]*([^\\n]{5,80})`, 'g');
-    let match;
-    while ((match = listPattern.exec(text)) !== null && results.length < 5) {
-      const item = match[1].trim();
-      if (item.length > 3) {
-        results.push({ name: item, description: '' });
+function citeBrand(companyInfo, crawl) {
+  const citations = {};
+  if (!crawl || !companyInfo.brand) return citations;
+
+  for (const [key, value] of Object.entries(companyInfo.brand)) {
+    citations[`brand.${key}`] = [{
+      url: crawl.url,
+      title: crawl.pages[0]?.title || '',
+      snippet: Array.isArray(value) ? value.join(', ') : value,
+      origin: 'site'
+    }];
+  }
+  return citations;
+}
+
+/**
+ * 核验过的字段来源为企业信息接口
+ * @param {Object} companyInfo - 企业信息
+ * @param {Array<string>} verifiedFields - 工商登记核验的字段
+ * @returns {Object} 引用表
+ */
+function citeRegistration(companyInfo, verifiedFields) {
+  const citations = {};
+  const adapter = registryService.getAdapter();
+  if (!adapter) return citations;
+
+  for (const field of verifiedFields) {
+    const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), companyInfo);
+    if (value === undefined || value === null) continue;
+
+    citations[field] = [{
+      url: adapter.getConfig().url,
+      title: `工商登记信息（${adapter.label}）`,
+      snippet: String(value),
+      origin: 'registry'
+    }];
+  }
+  return citations;
+}
+
+/**
+ * 新闻的来源为各篇报道原文
+ * @param {Object} companyInfo - 企业信息
+ * @returns {Object} 引用表
+ */
+function citeNews(companyInfo) {
+  if (!companyInfo.news || companyInfo.news.length === 0) return {};
+
+  return {
+    news: companyInfo.news.map(item => ({
+      url: item.url,
+      title: item.title,
+      snippet: item.summary,
+      origin: 'search'
+    }))
+  };
+}
+
+/**
+ * 整理工商登记信息作为提示词参考
+ * @param {Object} registration - 工商登记信息
+ * @returns {string} 文字内容
+ */
+function formatRegistration(registration) {
+  const labels = {
+    name: '登记名称',
+    creditCode: '统一社会信用代码',
+    legalRepresentative: '法定代表人',
+    registeredCapital: '注册资本',
+    registrationDate: '成立日期',
+    status: '登记状态',
+    address: '注册地址'
+  };
+
+  return Object.entries(labels)
+    .filter(([key]) => registration[key])
+    .map(([key, label]) => `${label}：${registration[key]}`)
+    .join('\n');
+}
+
+/**
+ * 整理官网抓取的内容作为提示词参考
+ * @param {Object} crawl - 官网抓取结果
+ * @returns {string|null} 文字内容，没有可用内容时返回 null
+ */
+function formatSiteContent(crawl) {
+  const lines = [];
+
+  if (crawl.about) {
+    lines.push(`企业简介：${crawl.about}`);
+  }
+  if (crawl.services.length > 0) {
+    lines.push(`产品与服务：${crawl.services.map(service => service.name).join('、')}`);
+  }
+  const { phone, email, address } = crawl.contact;
+  if (phone) lines.push(`联系电话：${phone}`);
+  if (email) lines.push(`联系邮箱：${email}`);
+  if (address) lines.push(`联系地址：${address}`);
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * 由缓存条目还原提取结果，手工提供的字段仍然优先
+ * @param {Object} entry - 缓存条目
+ * @param {string} companyName - 企业名称
+ * @param {Object} provider - 模型提供方
+ * @param {Object|null} knownInfo - 手工提供的企业信息
+ * @param {Array<string>} manualFields - 手工提供的字段
+ * @returns {Object} 提取结果
+ */
+function fromCache(entry, companyName, provider, knownInfo, manualFields) {
+  const fieldStatus = entry.result.fieldStatus || {};
+  const verifiedFields = Object.keys(fieldStatus).filter(field => fieldStatus[field] === 'verified');
+  const result = knownInfo
+    ? { ...entry.result, ...buildResult(deepMerge(entry.result.companyInfo, knownInfo), companyName, provider, manualFields, verifiedFields) }
+    : entry.result;
+
+  return { ...result, cached: true, cachedAt: entry.createdAt };
+}
+
+/**
+ * 构建提取企业信息的对话消息
+ * @param {string} promptVersion - 提示词版本
+ * @param {string} companyName - 企业名称
+ * @param {Array} [context] - 检索到的参考资料片段
+ * @param {Object} [candidate] - 用户确认的候选企业
+ * @param {Array<string>} [pendingFields] - 只需提取的字段，其余字段已手工提供
+ * @param {Object} [officialSite] - 识别出的企业官网
+ * @param {Object} [siteCrawl] - 官网抓取结果
+ * @param {Object} [registration] - 工商登记信息
+ * @returns {Array} 对话消息
+ */
+function buildMessages(promptVersion, companyName, context = [], candidate = null, pendingFields = null, officialSite = null, siteCrawl = null, registration = null) {
+  return promptService.buildMessages(promptVersion, 'extraction', {
+    companyName,
+    schema: JSON.stringify(EXTRACTION_SCHEMA, null, 2),
+    candidate,
+    pendingFields,
+    officialSite: officialSite ? officialSite.url : null,
+    siteContent: siteCrawl ? formatSiteContent(siteCrawl) : null,
+    registration: registration ? formatRegistration(registration) : null,
+    context: context.length > 0 ? retrievalService.formatContext(context) : null
+  });
+}
+
+/**
+ * 校验企业信息，对不合格字段逐个发送修复请求
+ * @param {Object} provider - 模型提供方
+ * @param {Array} history - 已有的对话消息（含模型首轮回复）
+ * @param {Object} info - 首轮解析出的企业信息
+ * @param {string} companyName - 企业名称
+ * @param {string} promptVersion - 提示词版本
+ * @returns {Promise<Object>} { companyInfo, unresolvedFields, validationErrors }
+ */
+async function repairInvalidFields(provider, history, info, companyName, promptVersion) {
+  const companyInfo = { ...info };
+  const { invalidFields } = validateCompanyInfo(companyInfo);
+  const unresolved = [];
+  const validationErrors = [];
+
+  for (const field of invalidFields) {
+    let errors = validateField(field, companyInfo[field]);
+
+    for (let attempt = 1; attempt <= MAX_REPAIR_RETRIES && errors.length > 0; attempt++) {
+      console.log(`   🔧 修复字段 ${field}（第 ${attempt}/${MAX_REPAIR_RETRIES} 次）: ${errors.map(e => e.message).join('；')}`);
+
+      try {
+        const { content } = await provider.chat(
+          [...history, { role: 'user', content: buildRepairPrompt(promptVersion, field, companyInfo[field], errors) }],
+          { companyName, webSearch: false, temperature: 0.2, maxTokens: 1500, timeout: 60000 }
+        );
+
+        const repaired = parseCompanyInfo(content);
+        if (repaired && repaired[field] !== undefined) {
+          companyInfo[field] = repaired[field];
+        }
+      } catch (error) {
+        console.warn(`   ⚠️ 修复字段 ${field} 失败:`, error.message);
+      }
+
+      errors = validateField(field, companyInfo[field]);
+    }
+
+    if (errors.length > 0) {
+      // 仍不合格的字段不保留错误值，只剔除出错的子项
+      const pruned = pruneInvalid(field, companyInfo[field], errors);
+      if (pruned === undefined) {
+        delete companyInfo[field];
+      } else {
+        companyInfo[field] = pruned;
       }
+      unresolved.push(field);
+      validationErrors.push(...errors);
     }
-    
-    if (results.length >= 3) break;
   }
-  
-  // 如果提取不到，返回默认值
-  if (results.length < 3) {
-    return [
-      { name: '主营业务一', description: '相关服务描述' },
-      { name: '主营业务二', description: '相关服务描述' },
-      { name: '主营业务三', description: '相关服务描述' }
-    ];
+
+  const unresolvedFields = [...new Set([...unresolved, ...validateCompanyInfo(companyInfo).invalidFields])];
+  if (unresolvedFields.length > 0) {
+    console.warn(`   ⚠️ 以下字段未能修复: ${unresolvedFields.join(', ')}`);
+  }
+
+  return { companyInfo, unresolvedFields, validationErrors };
+}
+
+/**
+ * 剔除字段中未通过校验的子项
+ * 对象剔除出错的属性，数组剔除出错的元素，剔除后仍不合格则整体丢弃
+ * @param {string} field - 字段名
+ * @param {*} value - 字段值
+ * @param {Array} errors - 校验错误
+ * @returns {*} 剔除后的值，整体丢弃时返回 undefined
+ */
+function pruneInvalid(field, value, errors) {
+  let pruned;
+
+  if (Array.isArray(value)) {
+    const badIndexes = new Set(
+      errors.map(e => e.path.match(new RegExp(`^${field}\\[(\\d+)\\]`))).filter(Boolean).map(m => Number(m[1]))
+    );
+    pruned = value.filter((_, index) => !badIndexes.has(index));
+  } else if (value && typeof value === 'object') {
+    pruned = { ...value };
+    for (const error of errors) {
+      const key = error.path.startsWith(`${field}.`) ? error.path.slice(field.length + 1).split(/[.[]/)[0] : null;
+      if (key) delete pruned[key];
+    }
+  } else {
+    return undefined;
   }
-  
-  return results;
+
+  return validateField(field, pruned).length === 0 ? pruned : undefined;
+}
+
+/**
+ * 构建单字段修复提示词
+ * @param {string} promptVersion - 提示词版本
+ * @param {string} field - 字段名
+ * @param {*} value - 当前取值
+ * @param {Array} errors - 校验错误
+ * @returns {string} 提示词
+ */
+function buildRepairPrompt(promptVersion, field, value, errors) {
+  return promptService.renderPrompt(promptVersion, 'repair.user', {
+    field,
+    value: value ?? null,
+    errors,
+    fieldSchema: COMPANY_INFO_SCHEMA.properties[field]
+  });
 }
 
 /**
- * 生成模拟企业信息（用于测试或 API 失败时）
+ * 解析 AI 返回的 JSON 内容
+ * @param {string} content - AI 返回的内容
+ * @returns {Object|null} 解析结果，无法解析时返回 null
+ */
+function parseCompanyInfo(content) {
+  return parseJsonObject(content);
+}
+
+/**
+ * 组装提取结果，标记各字段状态
+ * @param {Object} companyInfo - 企业信息
  * @param {string} companyName - 企业名称
- * @returns {Object} 模拟的企业信息
+ * @param {Object} provider - 模型提供方
+ * @param {Array<string>} [manualFields] - 手工提供的字段
+ * @param {Array<string>} [verifiedFields] - 工商登记核验的字段
+ * @returns {Object} { companyInfo, provider, isMock, fieldStatus, missingFields, placeholderFields }
  */
-function generateMockCompanyInfo(companyName) {
-  const shortName = companyName.replace(/有限公司|股份有限公司|集团|科技|网络|信息/g, '');
+function buildResult(companyInfo, companyName, provider, manualFields = [], verifiedFields = []) {
+  const isMock = !!provider.isMock;
+  const assessed = assessCompanyInfo(
+    { ...companyInfo, name: companyInfo.name || companyName },
+    { isMock, manualFields, verifiedFields }
+  );
 
   return {
-    name: companyName,
-    shortName: shortName || companyName,
-    slogan: '创新引领未来，科技改变生活',
-    business: `${companyName}是一家专注于技术创新和行业解决方案的领先企业。公司致力于为客户提供高质量的产品和专业的服务，在行业内享有良好的声誉。`,
-    description: `${companyName}成立于2000年，总部位于中国北京。作为行业领先的技术企业，我们始终坚持"以客户为中心，以创新为驱动"的经营理念。经过二十多年的发展，公司已经成为集研发，生产、销售、服务于一体的综合性企业集团。
-
-公司拥有一支高素质的专业团队，在人工智能、云计算，大数据等前沿技术领域具有深厚的积累。我们的产品广泛应用于金融、医疗、教育，制造等多个行业，为客户创造价值，推动社会进步。`,
-    industry: '互联网/科技',
-    founded: '2000年',
-    headquarters: '中国北京',
-    services: [
-      {
-        name: '智能解决方案',
-        description: '基于人工智能技术的行业解决方案，帮助企业实现数字化转型'
-      },
-      {
-        name: '云计算服务',
-        description: '安全可靠的云计算基础设施，提供弹性计算和存储服务'
-      },
-      {
-        name: '数据分析',
-        description: '大数据分析和商业智能服务，助力企业数据驱动决策'
-      },
-      {
-        name: '技术咨询',
-        description: '专业的技术咨询服务，为企业量身定制信息化解决方案'
-      }
-    ],
-    features: [
-      '行业领先的技术实力',
-      '丰富的项目经验',
-      '专业的服务团队',
-      '完善的售后支持'
-    ],
-    contact: {
-      phone: '400-123-4567',
-      email: 'contact@company.com',
-      address: '北京市朝阳区科技园区88号'
-    },
-    social: {
-      website: `https://www.${companyName.toLowerCase().replace(/\s+/g, '')}.com`,
-      weibo: '#',
-      wechat: companyName
-    }
+    ...assessed,
+    provider: provider.name,
+    isMock
   };
 }
 
 module.exports = {
-  extractCompanyInfo
+  extractCompanyInfo,
+  parseCompanyInfo,
+  applyRegistration
 };
@@ -6,6 +6,8 @@
 const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { INTERNAL_FILES } = require('./output');
 
 // GitHub 配置
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
@@ -23,14 +25,7 @@ async function deployToGithub(sourceDir, companyInfo) {
   }
   
   const octokit = new Octokit({ auth: GITHUB_TOKEN });
-  
-  // 生成仓库名称 - 中文用时间戳处理
-  let repoName = companyInfo.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-  // 如果名称为空或全是横线，使用默认名称
-  if (!repoName || repoName.length < 3) {
-    repoName = `company-website-${Date.now()}`;
-  }
-  repoName = `${repoName}-official-website`;
+  const repoName = getRepoName(companyInfo);
   
   try {
     console.log(`   检查/创建仓库: ${repoName}`);
@@ -80,7 +75,8 @@ async function deployToGithub(sourceDir, companyInfo) {
     
     // 读取本地文件
     console.log('   读取本地文件...');
-    const filesToUpload = await readDirRecursive(sourceDir, sourceDir);
+    const filesToUpload = (await readDirRecursive(sourceDir, sourceDir))
+      .filter(file => !INTERNAL_FILES.includes(file.relativePath));
     
     // 上传文件 - 使用 Contents API（更简单，支持新仓库）
     console.log(`   开始上传 ${filesToUpload.length} 个文件...`);
@@ -159,7 +155,7 @@ async function deployToGithub(sourceDir, companyInfo) {
       console.log('   Pages 配置可能需要手动在 GitHub 设置中开启');
     }
     
-    const githubPagesUrl = `https://${GITHUB_USERNAME}.github.io/${repoName}/`;
+    const githubPagesUrl = getPagesUrl(companyInfo);
     
     console.log(`   部署完成: ${githubPagesUrl}`);
     
@@ -230,7 +226,31 @@ function checkConfig() {
   };
 }
 
+/**
+ * 生成仓库名称
+ * 名称中没有可用的英文字符时（如中文名称）按企业名称取哈希，同一企业每次部署到同一仓库
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string} 仓库名称
+ */
+function getRepoName(companyInfo) {
+  let repoName = companyInfo.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+  if (!repoName || repoName.length < 3) {
+    repoName = `company-website-${crypto.createHash('md5').update(companyInfo.name).digest('hex').slice(0, 8)}`;
+  }
+  return `${repoName}-official-website`;
+}
+
+/**
+ * GitHub Pages 访问地址，部署前即可确定，用于生成规范链接和站点地图
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string|null} 以 / 结尾的地址，未配置用户名时为 null
+ */
+function getPagesUrl(companyInfo) {
+  return GITHUB_USERNAME ? `https://${GITHUB_USERNAME}.github.io/${getRepoName(companyInfo)}/` : null;
+}
+
 module.exports = {
   deployToGithub,
+  getPagesUrl,
   checkConfig
 };
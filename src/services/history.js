@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { migrateCompanyInfo } = require('../schemas/companyInfo');
 
 const HISTORY_FILE = path.join(__dirname, '../../data/history.json');
 
@@ -20,13 +21,30 @@ async function ensureDataDir() {
 
 // 读取历史记录
 async function getHistory() {
+  let history;
   try {
     await ensureDataDir();
     const data = await fs.readFile(HISTORY_FILE, 'utf-8');
-    return JSON.parse(data);
+    history = JSON.parse(data);
   } catch (e) {
     return [];
   }
+
+  // 旧版字段名的记录迁移为 CompanyInfo 契约结构，并写回文件
+  let migrated = false;
+  for (const record of history) {
+    const result = migrateCompanyInfo(record.companyInfo);
+    if (result.migrated) {
+      record.companyInfo = result.companyInfo;
+      migrated = true;
+    }
+  }
+  if (migrated) {
+    await fs.writeFile(HISTORY_FILE, JSON.stringify(history, null, 2));
+    console.log('   🔄 已迁移历史记录中的旧版企业信息字段');
+  }
+
+  return history;
 }
 
 // 保存历史记录
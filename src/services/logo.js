@@ -0,0 +1,356 @@
+/**
+ * Logo 与图标生成服务
+ * 没有官网 Logo 时，用企业简称和品牌配色生成 SVG 字标，
+ * 并输出网站图标（SVG 和多尺寸 PNG）、apple-touch-icon 和分享图
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { pinyin } = require('pinyin-pro');
+const { getCoreName } = require('./ranking');
+
+// 栅格化 PNG 时额外加载的字体文件，多个用逗号分隔；系统没有中文字体时需要指定，否则 PNG 改用拼音
+const LOGO_FONT_FILES = (process.env.LOGO_FONT_FILE || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// 字体优先使用各平台的中文黑体，保证中文字形正常显示
+const FONT_FAMILY = "'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', 'Noto Sans CJK SC', 'Source Han Sans SC', 'WenQuanYi Micro Hei', sans-serif";
+
+// PNG 网站图标尺寸
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_SIZE = 180;
+// 分享图尺寸（Open Graph 推荐 1200×630）
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+
+const CJK_PATTERN = /[⺀-鿿가-힯豈-﫿＀-￯]/;
+
+// 检查中文字体时渲染的常用汉字，以及任何字体都不收录的私用区字符（渲染结果为缺字方框或空白）
+const CJK_PROBE = '中';
+const MISSING_PROBE = '\u{10FFFD}';
+
+// 是否有可用的中文字体，首次栅格化时检查
+let cjkFontAvailable;
+
+/**
+ * 生成 Logo、网站图标和分享图，写入 images/ 目录
+ * PNG 栅格化失败时只输出 SVG
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object} colors - 配色 tokens
+ * @param {string} imagesDir - 输出目录
+ * @returns {Promise<Object>} 相对网站根目录的路径 { logo, favicon, icons, appleTouchIcon, ogImage }
+ *   icons: PNG 网站图标 [{ size, file }]，appleTouchIcon、ogImage 在栅格化失败时为 null
+ */
+async function generateBrandAssets(companyInfo, colors, imagesDir) {
+  const brandName = getBrandName(companyInfo);
+  const mark = getMonogram(brandName);
+
+  const assets = {
+    logo: 'images/logo.svg',
+    favicon: 'images/favicon.svg',
+    icons: [],
+    appleTouchIcon: null,
+    ogImage: null
+  };
+
+  await fs.writeFile(path.join(imagesDir, 'logo.svg'), buildWordmark(brandName, mark, colors), 'utf-8');
+  const favicon = buildMonogram(mark, colors, { size: 64, radius: 14 });
+  await fs.writeFile(path.join(imagesDir, 'favicon.svg'), favicon, 'utf-8');
+
+  try {
+    // 没有中文字体时 PNG 中的中文会显示为缺字方框，改用拼音；SVG 由浏览器按访客的字体显示，不受影响
+    const shareText = [mark, companyInfo.name, companyInfo.slogan || companyInfo.business].join('');
+    const latin = CJK_PATTERN.test(shareText) && !hasCjkFont();
+    if (latin) {
+      console.warn('   ⚠️ 未找到中文字体，PNG 图标和分享图改用拼音，可安装 Noto Sans CJK 等字体或设置 LOGO_FONT_FILE');
+    }
+    const pngMark = latin ? getMonogram(toLatin(mark)) : mark;
+    const pngFavicon = latin ? buildMonogram(pngMark, colors, { size: 64, radius: 14 }) : favicon;
+
+    for (const size of FAVICON_SIZES) {
+      const file = `favicon-${size}.png`;
+      await fs.writeFile(path.join(imagesDir, file), renderPng(pngFavicon, size));
+      assets.icons.push({ size, file: `images/${file}` });
+    }
+
+    // iOS 会自动裁成圆角，图标本身铺满不留圆角
+    const appleTouch = buildMonogram(pngMark, colors, { size: APPLE_TOUCH_SIZE, radius: 0 });
+    await fs.writeFile(path.join(imagesDir, 'apple-touch-icon.png'), renderPng(appleTouch, APPLE_TOUCH_SIZE));
+    assets.appleTouchIcon = 'images/apple-touch-icon.png';
+
+    const shareImage = latin
+      ? buildShareImage(getLatinShareInfo(companyInfo, brandName), toLatin(brandName), pngMark, colors)
+      : buildShareImage(companyInfo, brandName, mark, colors);
+    await fs.writeFile(path.join(imagesDir, 'og-image.png'), renderPng(shareImage, OG_WIDTH));
+    assets.ogImage = 'images/og-image.png';
+  } catch (error) {
+    console.warn(`   ⚠️ PNG 图标生成失败，仅输出 SVG: ${error.message}`);
+  }
+
+  console.log(`   生成图标: ${assets.logo}、${assets.favicon}${assets.icons.length > 0 ? ' 及 PNG 图标、分享图' : ''}`);
+  return assets;
+}
+
+/**
+ * 确定 Logo 上展示的名称：简称，没有简称时取企业名称的核心字号
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string}
+ */
+function getBrandName(companyInfo) {
+  return (companyInfo.shortName || getCoreName(companyInfo.name) || companyInfo.name || '').trim();
+}
+
+/**
+ * 取名称的标识字：中文取首字（两个字的名称取两个字），英文取单词首字母，最多两个
+ * @param {string} name - 名称
+ * @returns {string}
+ */
+function getMonogram(name) {
+  const chars = [...name.replace(/\s+/g, '')];
+  if (chars.length === 0) return '?';
+
+  if (CJK_PATTERN.test(chars[0])) {
+    return chars.length === 2 && CJK_PATTERN.test(chars[1]) ? chars.join('') : chars[0];
+  }
+
+  const words = name.match(/[A-Za-z0-9]+/g) || [];
+  if (words.length === 0) return chars[0].toUpperCase();
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+}
+
+/**
+ * 将中文转为拼音，每个音节首字母大写，去掉其他非拉丁字符，如“华为Tech”转为“Hua Wei Tech”
+ * @param {string} value - 文字
+ * @returns {string}
+ */
+function toLatin(value) {
+  return pinyin(String(value), { toneType: 'none', type: 'array', nonZh: 'consecutive' })
+    .map(part => part.replace(/[^\x20-\x7e]/g, '').trim())
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+/**
+ * 没有中文字体时分享图使用的文字：标题为名称的拼音，口号为不含中文的口号或业务介绍，没有时取官网域名
+ * @param {Object} companyInfo - 企业信息
+ * @param {string} brandName - 名称
+ * @returns {Object} { name, slogan }
+ */
+function getLatinShareInfo(companyInfo, brandName) {
+  let host = '';
+  try {
+    host = new URL(companyInfo.social?.website).hostname.replace(/^www\./, '');
+  } catch (error) {
+    // 没有官网地址
+  }
+  const tagline = [companyInfo.slogan, companyInfo.business].find(value => value && !CJK_PATTERN.test(value));
+  return { name: toLatin(brandName), slogan: tagline || host };
+}
+
+/**
+ * 估算文字宽度：中文等全角字符占 1 个字号，拉丁字母和数字约占 0.5-0.7 个字号
+ * @param {string} text - 文字
+ * @param {number} fontSize - 字号
+ * @returns {number} 宽度（像素）
+ */
+function measureText(text, fontSize) {
+  let em = 0;
+  for (const char of text) {
+    if (CJK_PATTERN.test(char)) em += 1;
+    else if (/\s/.test(char)) em += 0.3;
+    else if (/[A-Z]/.test(char)) em += 0.68;
+    else em += 0.56;
+  }
+  return em * fontSize;
+}
+
+/**
+ * 生成标识字图标
+ * @param {string} mark - 标识字
+ * @param {Object} colors - 配色 tokens
+ * @param {Object} options - { size: 边长, radius: 圆角 }
+ * @returns {string} SVG
+ */
+function buildMonogram(mark, colors, { size, radius }) {
+  // 单字取边长的 60%，多个字按估算宽度缩小，不超过边长的 80%
+  const fontSize = Math.min(size * 0.6, (size * 0.8) / (measureText(mark, 1) || 1));
+  return svg(size, size, `
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${colors.primary}"/>
+      <stop offset="1" stop-color="${colors.primaryDark}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${size}" height="${size}" rx="${radius}" fill="url(#g)"/>
+  ${text(mark, { x: size / 2, y: size / 2, fontSize, fill: colors.onPrimary, anchor: 'middle', weight: 700 })}`);
+}
+
+/**
+ * 生成字标 Logo：左侧标识字图标，右侧名称
+ * @param {string} name - 名称
+ * @param {string} mark - 标识字
+ * @param {Object} colors - 配色 tokens
+ * @returns {string} SVG
+ */
+function buildWordmark(name, mark, colors) {
+  const height = 48;
+  const fontSize = 24;
+  const gap = 12;
+  const width = Math.ceil(height + gap + measureText(name, fontSize) + 4);
+  // 标识字与名称相同时（如两个字的简称），图标中只放首字，避免重复
+  const badge = mark === name ? [...name][0] : mark;
+
+  return svg(width, height, `
+  ${inner(buildMonogram(badge, colors, { size: height, radius: 10 }))}
+  ${text(name, { x: height + gap, y: height / 2, fontSize, fill: colors.text, anchor: 'start', weight: 700 })}`);
+}
+
+/**
+ * 生成分享图：渐变背景、标识字、名称和口号
+ * @param {Object} companyInfo - 企业信息
+ * @param {string} brandName - 名称
+ * @param {string} mark - 标识字
+ * @param {Object} colors - 配色 tokens
+ * @returns {string} SVG
+ */
+function buildShareImage(companyInfo, brandName, mark, colors) {
+  const padding = 80;
+  const maxWidth = OG_WIDTH - padding * 2;
+  const title = companyInfo.name || brandName;
+  const titleSize = Math.min(72, Math.floor(maxWidth / (measureText(title, 1) || 1)));
+  const tagline = wrapText(companyInfo.slogan || companyInfo.business || '', 36, maxWidth, 2);
+
+  return svg(OG_WIDTH, OG_HEIGHT, `
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${colors.primary}"/>
+      <stop offset="1" stop-color="${colors.primaryDark}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="url(#bg)"/>
+  <circle cx="${OG_WIDTH - 120}" cy="100" r="260" fill="${colors.onPrimary}" fill-opacity="0.08"/>
+  <g transform="translate(${padding} ${padding})">${inner(buildMonogram(mark, { ...colors, primary: colors.onPrimary, primaryDark: colors.onPrimary, onPrimary: colors.primary }, { size: 120, radius: 24 }))}</g>
+  ${text(title, { x: padding, y: 330, fontSize: titleSize, fill: colors.onPrimary, anchor: 'start', weight: 800 })}
+  ${tagline.map((line, i) => text(line, { x: padding, y: 420 + i * 54, fontSize: 36, fill: colors.onPrimary, anchor: 'start', weight: 400, opacity: 0.9 })).join('\n  ')}`);
+}
+
+/**
+ * 按估算宽度折行，超出行数时末尾加省略号
+ * @param {string} value - 文字
+ * @param {number} fontSize - 字号
+ * @param {number} maxWidth - 每行最大宽度
+ * @param {number} maxLines - 最多行数
+ * @returns {Array<string>}
+ */
+function wrapText(value, fontSize, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const char of String(value).replace(/\s+/g, ' ').trim()) {
+    if (measureText(line + char, fontSize) > maxWidth) {
+      lines.push(line);
+      line = '';
+      if (lines.length === maxLines) break;
+    }
+    line += char;
+  }
+  if (lines.length < maxLines && line) {
+    lines.push(line);
+  } else if (lines.length === maxLines) {
+    lines[maxLines - 1] = `${[...lines[maxLines - 1]].slice(0, -1).join('')}…`;
+  }
+  return lines;
+}
+
+/**
+ * 生成文字元素，垂直方向按 y 居中
+ * @param {string} value - 文字
+ * @param {Object} options - { x, y, fontSize, fill, anchor, weight, opacity }
+ * @returns {string}
+ */
+function text(value, { x, y, fontSize, fill, anchor, weight, opacity = 1 }) {
+  // 部分渲染器不支持 dominant-baseline，按字号手动下移基线
+  const baseline = y + fontSize * 0.35;
+  return `<text x="${round(x)}" y="${round(baseline)}" font-family="${FONT_FAMILY}" font-size="${round(fontSize)}" font-weight="${weight}" fill="${fill}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ''} text-anchor="${anchor}">${escapeXml(value)}</text>`;
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {string} content - SVG 内容
+ * @returns {string}
+ */
+function svg(width, height, content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xml:lang="zh-CN">${content}
+</svg>
+`;
+}
+
+/**
+ * 取出 SVG 的内容，用于嵌入另一个 SVG
+ * 渐变 ID 加前缀，避免与外层冲突
+ * @param {string} source - SVG
+ * @returns {string}
+ */
+function inner(source) {
+  return source
+    .replace(/^<svg[^>]*>|<\/svg>\s*$/g, '')
+    .replace(/id="g"/g, 'id="mark-g"')
+    .replace(/url\(#g\)/g, 'url(#mark-g)')
+    .trim();
+}
+
+/**
+ * 将 SVG 栅格化为 PNG
+ * @param {string} source - SVG
+ * @param {number} width - 输出宽度
+ * @returns {Buffer}
+ */
+function renderPng(source, width) {
+  const resvg = new Resvg(source, {
+    fitTo: { mode: 'width', value: width },
+    font: {
+      loadSystemFonts: true,
+      fontFiles: LOGO_FONT_FILES,
+      defaultFontFamily: 'sans-serif'
+    }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * 栅格化时是否有可用的中文字体（系统字体或 LOGO_FONT_FILE）
+ * 分别渲染常用汉字和私用区字符，结果相同说明汉字同样显示为缺字方框；结果在进程内缓存
+ * @returns {boolean}
+ */
+function hasCjkFont() {
+  if (cjkFontAvailable === undefined) {
+    const probe = char => renderPng(svg(32, 32, text(char, { x: 16, y: 16, fontSize: 24, fill: '#000', anchor: 'middle', weight: 700 })), 32);
+    cjkFontAvailable = !probe(CJK_PROBE).equals(probe(MISSING_PROBE));
+  }
+  return cjkFontAvailable;
+}
+
+/**
+ * 保留两位小数
+ * @param {number} n
+ * @returns {number}
+ */
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+module.exports = {
+  generateBrandAssets,
+  getBrandName,
+  getMonogram
+};
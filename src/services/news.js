@@ -0,0 +1,266 @@
+/**
+ * 企业新闻服务
+ * 通过搜索服务检索企业近期报道，抓取正文后去重、生成摘要，整理为 companyInfo.news
+ */
+
+const llmProviders = require('./providers');
+const searchService = require('./search');
+const readability = require('./readability');
+const ranking = require('./ranking');
+const promptService = require('./prompts');
+const { mapWithConcurrency, parseJsonObject } = require('../utils/helpers');
+const { COMPANY_INFO_SCHEMA } = require('../schemas/companyInfo');
+
+// 契约中 companyInfo.news 的条数和标题长度上限
+const NEWS_SCHEMA = COMPANY_INFO_SCHEMA.properties.news;
+const MAX_NEWS = NEWS_SCHEMA.maxItems;
+const TITLE_MAX_LENGTH = NEWS_SCHEMA.items.properties.title.maxLength;
+
+// 保留的新闻条数，不超过契约上限
+const NEWS_LIMIT = Math.min(parseInt(process.env.NEWS_LIMIT || '6', 10), MAX_NEWS);
+// 只保留最近多少天内的报道，没有发布日期的报道排在最后
+const NEWS_MAX_AGE_DAYS = parseInt(process.env.NEWS_MAX_AGE_DAYS || '365', 10);
+// 同时抓取的报道页面数
+const NEWS_FETCH_CONCURRENCY = 2;
+// 交给模型生成摘要的正文长度
+const NEWS_TEXT_LIMIT = 800;
+// 摘要最大长度
+const SUMMARY_LENGTH = 120;
+// 标题相似度超过该值视为同一事件的重复报道
+const DUPLICATE_THRESHOLD = 0.6;
+
+/**
+ * 检索企业近期新闻
+ * 检索或抓取失败的报道直接跳过；没有可用的模型时用正文开头作为摘要
+ * @param {string} companyName - 企业名称
+ * @param {Object} [options] - { search: 搜索选项 { engines, strategy }, limit: 保留条数，不超过契约上限 }
+ * @returns {Promise<Array>} [{ date, title, summary, source, url }]，按发布日期倒序
+ */
+async function collectNews(companyName, options = {}) {
+  const limit = Math.min(options.limit || NEWS_LIMIT, MAX_NEWS);
+  const queries = [`${companyName} 新闻`, `${companyName} 最新动态`];
+
+  const outcomes = await mapWithConcurrency(queries, queries.length, query => searchService.performSearch(query, options.search));
+  const core = ranking.getCoreName(companyName);
+  const results = searchService.mergeResults(outcomes.flatMap(outcome => outcome.results))
+    .filter(result => !ranking.isAggregator(result.url))
+    .filter(result => `${result.title}${result.snippet}`.includes(core));
+
+  // 多抓取一些，为过期和重复报道留出余量
+  const articles = await mapWithConcurrency(results.slice(0, limit * 2), NEWS_FETCH_CONCURRENCY, fetchArticle);
+  const items = dedupeNews(articles.filter(article => article && isRecent(article.date)));
+
+  const summaries = await summarizeNews(companyName, items);
+  return items
+    .map((item, index) => ({ ...item, summary: summaries[index] }))
+    .filter(item => item.summary)
+    .sort(compareByDate)
+    .slice(0, limit)
+    .map(({ date, title, summary, source, url }) => ({ date, title, summary, source, url }));
+}
+
+/**
+ * 抓取单篇报道
+ * 正文抓取失败时退回搜索摘要
+ * @param {Object} result - 搜索结果 { title, url, snippet }
+ * @returns {Promise<Object|null>} { date, title, text, source, url }
+ */
+async function fetchArticle(result) {
+  let page = null;
+  try {
+    page = await readability.fetchReadable(result.url);
+  } catch (error) {
+    console.warn(`   ⚠️ 抓取报道失败: ${result.url}`, error.message);
+  }
+
+  const text = (page && page.text) || result.snippet || '';
+  const title = cleanTitle((page && page.title) || result.title);
+  if (!title || title.length < 4 || text.length < 10) {
+    return null;
+  }
+
+  return {
+    date: page ? page.publishDate : null,
+    title,
+    text,
+    source: getSourceName(result.url),
+    url: result.url
+  };
+}
+
+/**
+ * 去掉标题中的站点名后缀，如"某某发布新品_新浪科技_新浪网"，超出契约长度的部分截断
+ * @param {string} title - 页面标题
+ * @returns {string}
+ */
+function cleanTitle(title) {
+  const cleaned = String(title || '').split(/\s*[_|｜]\s*|\s+-\s+/)[0].trim();
+  return [...cleaned].slice(0, TITLE_MAX_LENGTH).join('').trim();
+}
+
+/**
+ * 来源名称取主机名
+ * @param {string} url - 报道地址
+ * @returns {string|null}
+ */
+function getSourceName(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 判断报道是否在保留期内，没有日期的报道保留
+ * @param {string|null} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isRecent(date) {
+  if (!date) return true;
+  return Date.now() - new Date(date).getTime() <= NEWS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * 按发布日期倒序，没有日期的排在最后
+ * @param {Object} a - 报道
+ * @param {Object} b - 报道
+ * @returns {number}
+ */
+function compareByDate(a, b) {
+  if (a.date === b.date) return 0;
+  if (!a.date) return 1;
+  if (!b.date) return -1;
+  return a.date < b.date ? 1 : -1;
+}
+
+/**
+ * 合并同一事件的重复报道，保留有发布日期、正文较长的一篇
+ * @param {Array} articles - 报道列表
+ * @returns {Array} 去重后的报道
+ */
+function dedupeNews(articles) {
+  const kept = [];
+
+  for (const article of articles) {
+    const index = kept.findIndex(item => titleSimilarity(item.title, article.title) >= DUPLICATE_THRESHOLD);
+    if (index === -1) {
+      kept.push(article);
+      continue;
+    }
+
+    const existing = kept[index];
+    if ((!existing.date && article.date) || (!!existing.date === !!article.date && article.text.length > existing.text.length)) {
+      kept[index] = article;
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * 标题相似度：字符二元组的 Jaccard 系数
+ * @param {string} a - 标题
+ * @param {string} b - 标题
+ * @returns {number} 0-1
+ */
+function titleSimilarity(a, b) {
+  const bigrams = text => {
+    const chars = text.toLowerCase().replace(/[\s\p{P}]/gu, '');
+    const set = new Set();
+    for (let i = 0; i < chars.length - 1; i++) {
+      set.add(chars.slice(i, i + 2));
+    }
+    return set;
+  };
+
+  const setA = bigrams(a);
+  const setB = bigrams(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  const shared = [...setA].filter(gram => setB.has(gram)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * 生成报道摘要
+ * 按降级链依次尝试模型，模型判定与企业无关的报道摘要为 null；都不可用时取正文开头
+ * @param {string} companyName - 企业名称
+ * @param {Array} items - 报道列表
+ * @returns {Promise<Array<string|null>>} 与 items 顺序一致的摘要
+ */
+async function summarizeNews(companyName, items) {
+  if (items.length === 0) return [];
+
+  for (const provider of llmProviders.getProviderChain()) {
+    if (provider.isMock) break;
+
+    try {
+      console.log(`   📰 使用 ${provider.label} 生成新闻摘要...`);
+      const { content } = await provider.chat(buildMessages(companyName, items), {
+        companyName,
+        webSearch: false,
+        temperature: 0.3,
+        maxTokens: 2000,
+        timeout: 60000
+      });
+
+      const parsed = parseJsonObject(content);
+      if (!parsed || !Array.isArray(parsed.news)) {
+        throw new Error('返回内容缺少 news 数组');
+      }
+
+      return items.map((item, index) => {
+        const entry = parsed.news.find(news => Number(news && news.index) === index + 1);
+        if (!entry) return excerpt(item.text);
+        if (entry.relevant === false) return null;
+        return typeof entry.summary === 'string' && entry.summary.trim().length >= 10
+          ? entry.summary.trim().slice(0, SUMMARY_LENGTH * 2)
+          : excerpt(item.text);
+      });
+    } catch (error) {
+      console.error(`${provider.label} 生成新闻摘要失败:`, error.message);
+    }
+  }
+
+  return items.map(item => excerpt(item.text));
+}
+
+/**
+ * 构建新闻摘要消息
+ * @param {string} companyName - 企业名称
+ * @param {Array} items - 报道列表
+ * @returns {Array} 对话消息
+ */
+function buildMessages(companyName, items) {
+  return promptService.buildMessages(promptService.resolveVersion(), 'news', {
+    companyName,
+    summaryLength: SUMMARY_LENGTH,
+    items: items.map((item, index) => ({
+      index: index + 1,
+      title: item.title,
+      date: item.date,
+      text: searchService.truncateAtSentence(item.text, NEWS_TEXT_LIMIT)
+    }))
+  });
+}
+
+/**
+ * 取正文开头作为摘要，跳过标题行
+ * @param {string} text - 报道正文
+ * @returns {string|null}
+ */
+function excerpt(text) {
+  const body = text
+    .split('\n')
+    .map(line => line.replace(/^-\s*/, '').trim())
+    .filter(line => line && !line.startsWith('#'))
+    .join('');
+  return body.length >= 10 ? searchService.truncateAtSentence(body, SUMMARY_LENGTH) : null;
+}
+
+module.exports = {
+  collectNews,
+  dedupeNews,
+  titleSimilarity
+};
@@ -0,0 +1,255 @@
+/**
+ * 输出目录管理
+ * 每次生成写入独立的构建目录 output/<企业>/builds/<构建 ID>/，完成后写入文件清单，
+ * 再原子地把 output/<企业>/current 指向该目录，并按保留数量清理旧构建
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { REPORT_FILE } = require('./build');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+// 每个企业保留的构建数量，当前版本始终保留
+const BUILD_RETENTION = Math.max(1, parseInt(process.env.BUILD_RETENTION, 10) || 5);
+
+// 构建清单文件名
+const MANIFEST_FILE = 'manifest.json';
+
+// 构建目录中不属于网站的文件，部署时不上传
+const INTERNAL_FILES = [MANIFEST_FILE, REPORT_FILE];
+
+const CURRENT_LINK = 'current';
+
+// 没有清单的构建目录在此时间内视为仍在生成中，不清理；超过后视为中断遗留的目录
+const IN_PROGRESS_TTL = 60 * 60 * 1000;
+
+// 正在读取的构建目录及引用数（如打包下载），清理旧构建时跳过
+const retainedBuilds = new Map();
+
+/**
+ * 企业的输出目录
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string} output/<企业>
+ */
+function getSiteDir(companyInfo) {
+  const companyDirName = companyInfo.name
+    .toLowerCase()
+    .replace(/[^a-z0-9\u4e00-\u9fa5]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return path.join(OUTPUT_DIR, companyDirName);
+}
+
+/**
+ * 创建构建目录
+ * 构建 ID 由精确到毫秒的开始时间和随机后缀组成，按名称排序即按时间排序；同一企业的并发请求各自写入不同目录
+ * @param {Object} companyInfo - 企业信息
+ * @returns {Promise<Object>} { id, dir, siteDir }
+ */
+async function createBuild(companyInfo) {
+  const siteDir = getSiteDir(companyInfo);
+  const timestamp = new Date().toISOString().replace(/[-:.Z]/g, '');
+  const id = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  const dir = path.join(siteDir, 'builds', id);
+
+  await fs.mkdir(dir, { recursive: true });
+  return { id, dir, siteDir };
+}
+
+/**
+ * 查找已有的构建目录
+ * @param {Object} companyInfo - 企业信息
+ * @param {string} buildId - 构建 ID
+ * @returns {Promise<string|null>} 构建目录，已被清理或未完成时为 null
+ */
+async function findBuild(companyInfo, buildId) {
+  if (!buildId || !/^[\w-]+$/.test(buildId)) return null;
+
+  const dir = path.join(getSiteDir(companyInfo), 'builds', buildId);
+  try {
+    await fs.access(path.join(dir, MANIFEST_FILE));
+    return dir;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 取得已有的构建目录并标记为正在使用，在调用释放函数之前不会被清理
+ * 先标记再检查清单，检查通过后并发的清理不会再删除该目录
+ * @param {Object} companyInfo - 企业信息
+ * @param {string} buildId - 构建 ID
+ * @returns {Promise<Object|null>} { dir, release }，构建已被清理或未完成时为 null
+ */
+async function acquireBuild(companyInfo, buildId) {
+  if (!buildId || !/^[\w-]+$/.test(buildId)) return null;
+
+  const release = retainBuild(path.join(getSiteDir(companyInfo), 'builds', buildId));
+  const dir = await findBuild(companyInfo, buildId);
+  if (!dir) {
+    release();
+    return null;
+  }
+  return { dir, release };
+}
+
+/**
+ * 标记构建目录正在使用
+ * @param {string} dir - 构建目录
+ * @returns {Function} 释放函数，重复调用无效
+ */
+function retainBuild(dir) {
+  retainedBuilds.set(dir, (retainedBuilds.get(dir) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = retainedBuilds.get(dir) - 1;
+    if (count > 0) {
+      retainedBuilds.set(dir, count);
+    } else {
+      retainedBuilds.delete(dir);
+    }
+  };
+}
+
+/**
+ * 写入构建清单：各文件的字节数和 SHA-256
+ * @param {Object} build - createBuild 的结果
+ * @param {Object} [meta] - 额外记录的信息，如主题
+ * @returns {Promise<Object>} 清单 { id, createdAt, ...meta, files }
+ */
+async function writeManifest(build, meta = {}) {
+  const files = [];
+  for (const file of await listSiteFiles(build.dir)) {
+    const content = await fs.readFile(path.join(build.dir, file));
+    files.push({
+      file,
+      bytes: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    });
+  }
+
+  const manifest = { id: build.id, createdAt: new Date().toISOString(), ...meta, files };
+  await fs.writeFile(path.join(build.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+  return manifest;
+}
+
+/**
+ * 把 current 指向构建目录
+ * 先创建临时链接再重命名覆盖，读取方始终看到完整的旧版本或新版本
+ * @param {Object} build - createBuild 的结果
+ * @returns {Promise<string>} current 路径
+ */
+async function promoteBuild(build) {
+  const current = path.join(build.siteDir, CURRENT_LINK);
+  const temp = path.join(build.siteDir, `${CURRENT_LINK}.${build.id}.tmp`);
+
+  // Windows 上使用目录联接（junction），不需要管理员权限
+  await fs.symlink(path.join('builds', build.id), temp, 'junction');
+  try {
+    await fs.rename(temp, current);
+  } catch (error) {
+    // Windows 不能重命名覆盖已有的联接，先删除再重命名
+    if (error.code !== 'EPERM' && error.code !== 'EEXIST') {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+    await fs.rm(current, { force: true });
+    await fs.rename(temp, current);
+  }
+  return current;
+}
+
+/**
+ * 当前版本的构建 ID
+ * @param {string} siteDir - 企业的输出目录
+ * @returns {Promise<string|null>}
+ */
+async function getCurrentBuildId(siteDir) {
+  try {
+    return path.basename(await fs.readlink(path.join(siteDir, CURRENT_LINK)));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 按保留数量清理旧构建，当前版本、正在使用和同一企业正在生成中的构建不会被删除
+ * @param {string} siteDir - 企业的输出目录
+ * @returns {Promise<Array<string>>} 删除的构建 ID
+ */
+async function pruneBuilds(siteDir) {
+  const buildsDir = path.join(siteDir, 'builds');
+  const current = await getCurrentBuildId(siteDir);
+  const ids = (await fs.readdir(buildsDir)).sort().reverse();
+
+  const removed = [];
+  for (const id of ids.slice(BUILD_RETENTION)) {
+    const dir = path.join(buildsDir, id);
+    // 正在使用的检查放在最后，与删除之间没有异步等待
+    if (id === current || await isInProgress(dir) || retainedBuilds.has(dir)) continue;
+    await fs.rm(dir, { recursive: true, force: true });
+    removed.push(id);
+  }
+  return removed;
+}
+
+/**
+ * 构建是否仍在生成中：还没有清单且创建不久
+ * @param {string} dir - 构建目录
+ * @returns {Promise<boolean>}
+ */
+async function isInProgress(dir) {
+  try {
+    await fs.access(path.join(dir, MANIFEST_FILE));
+    return false;
+  } catch (error) {
+    const { mtimeMs } = await fs.stat(dir);
+    return Date.now() - mtimeMs < IN_PROGRESS_TTL;
+  }
+}
+
+/**
+ * 丢弃构建目录，生成失败时调用
+ * @param {Object} build - createBuild 的结果
+ */
+async function discardBuild(build) {
+  await fs.rm(build.dir, { recursive: true, force: true });
+}
+
+/**
+ * 列出构建目录中的网站文件，不含清单和构建报告
+ * @param {string} dir - 构建目录
+ * @param {string} [prefix] - 相对路径前缀
+ * @returns {Promise<Array<string>>} 以 / 分隔的相对路径
+ */
+async function listSiteFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listSiteFiles(path.join(dir, entry.name), relative));
+    } else if (!INTERNAL_FILES.includes(relative)) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  INTERNAL_FILES,
+  getSiteDir,
+  createBuild,
+  findBuild,
+  acquireBuild,
+  writeManifest,
+  promoteBuild,
+  getCurrentBuildId,
+  pruneBuilds,
+  discardBuild,
+  listSiteFiles
+};
@@ -0,0 +1,301 @@
+/**
+ * 品牌配色服务
+ * 由一个品牌色推导整套配色（主色、深色、强调色、背景、文字等），
+ * 逐对检查文字与背景的 WCAG AA 对比度，不达标时自动调整
+ */
+
+const {
+  toHex,
+  hexToRgb,
+  rgbToHex,
+  hexToHsl,
+  hslToHex,
+  isBrandColor,
+  colorDistance,
+  mix,
+  darken,
+  relativeLuminance,
+  contrastRatio
+} = require('../utils/color');
+const { isPng, decodePng } = require('../utils/png');
+
+// WCAG AA 正文文字的最低对比度
+const MIN_CONTRAST = 4.5;
+
+// 没有品牌色时按行业选择主色，按顺序匹配第一个包含关键词的行业
+const INDUSTRY_COLORS = [
+  { keywords: ['银行', '金融', '证券', '保险', '基金', '投资'], color: '#1e3a8a' },
+  { keywords: ['医疗', '医药', '医院', '健康', '生物', '制药'], color: '#0f766e' },
+  { keywords: ['环保', '农业', '林业', '园林', '新能源', '光伏'], color: '#15803d' },
+  { keywords: ['餐饮', '食品', '酒', '茶', '饮料'], color: '#c2410c' },
+  { keywords: ['零售', '百货', '超市', '电商', '商贸'], color: '#dc2626' },
+  { keywords: ['教育', '培训', '学校'], color: '#1d4ed8' },
+  { keywords: ['房地产', '地产', '建筑', '建设', '工程', '装饰'], color: '#9a3412' },
+  { keywords: ['物流', '运输', '快递', '供应链'], color: '#ea580c' },
+  { keywords: ['汽车', '机械', '制造', '设备', '钢铁'], color: '#334155' },
+  { keywords: ['能源', '石油', '化工', '电力', '燃气'], color: '#b45309' },
+  { keywords: ['文化', '传媒', '广告', '设计', '娱乐', '游戏'], color: '#7c3aed' },
+  { keywords: ['软件', '互联网', '科技', '信息', '人工智能', '数据', '网络', '电子'], color: '#2563eb' }
+];
+
+// 浅色和深色方案的中性色基准，推导时略微混入主色
+const NEUTRALS = {
+  light: {
+    surface: '#ffffff',
+    surfaceAlt: '#f3f4f6',
+    border: '#e5e7eb',
+    text: '#1f2937',
+    textMuted: '#6b7280',
+    footer: '#111827',
+    onFooter: '#ffffff'
+  },
+  dark: {
+    surface: '#0b1120',
+    surfaceAlt: '#111827',
+    border: '#1f2937',
+    text: '#e5e7eb',
+    textMuted: '#94a3b8',
+    footer: '#060a14',
+    onFooter: '#e5e7eb'
+  }
+};
+
+// 需要检查对比度的文字/背景组合；adjust 表示不达标时调整哪一侧
+const CONTRAST_PAIRS = [
+  { fg: 'text', bg: 'surface', adjust: 'fg' },
+  { fg: 'text', bg: 'surfaceAlt', adjust: 'fg' },
+  { fg: 'textMuted', bg: 'surface', adjust: 'fg' },
+  { fg: 'textMuted', bg: 'surfaceAlt', adjust: 'fg' },
+  { fg: 'primary', bg: 'surface', adjust: 'fg' },
+  { fg: 'primary', bg: 'surfaceAlt', adjust: 'fg' },
+  { fg: 'onPrimary', bg: 'primary', adjust: 'bg' },
+  { fg: 'onPrimary', bg: 'primaryDark', adjust: 'bg' },
+  { fg: 'onAccent', bg: 'accent', adjust: 'bg' },
+  { fg: 'text', bg: 'primaryLight', adjust: 'bg' },
+  { fg: 'onFooter', bg: 'footer', adjust: 'fg' }
+];
+
+/**
+ * 确定配色并推导完整配色
+ * 品牌色来源优先级：主题选项中指定的颜色 > 官网 Logo 和样式中的品牌色 > 行业默认色 > 主题默认色。
+ * 传入上次生成的配色且本次没有指定颜色时沿用上次的配色，保证重新生成的网站外观不变
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object} options
+ * @param {Object} options.theme - 主题（themes.loadTheme 的结果）
+ * @param {Object} options.themeOptions - 主题选项（themes.resolveOptions 的结果）{ options, provided }
+ * @param {Object} [options.previous] - 上次生成时保存的配色
+ * @returns {Object} { scheme, source, theme, brand, tokens, checks }
+ */
+function resolvePalette(companyInfo, { theme, themeOptions, previous = null }) {
+  const scheme = theme.colorScheme === 'dark' ? 'dark' : 'light';
+  const { options, provided } = themeOptions;
+  const explicit = provided.includes('primaryColor') || provided.includes('accentColor');
+
+  // 主题默认色只适用于原来的主题，其余来源的配色换主题后仍可沿用
+  if (!explicit && previous && previous.scheme === scheme && (previous.source !== 'theme' || previous.theme === theme.id)) {
+    return previous;
+  }
+
+  const brandColors = companyInfo.brand?.colors || [];
+  const industryColor = getIndustryColor(companyInfo.industry);
+
+  let primary;
+  let source;
+  if (provided.includes('primaryColor')) {
+    [primary, source] = [options.primaryColor, 'input'];
+  } else if (brandColors[0]) {
+    [primary, source] = [brandColors[0], 'site'];
+  } else if (industryColor) {
+    [primary, source] = [industryColor, 'industry'];
+  } else {
+    [primary, source] = [options.primaryColor || '#2563eb', 'theme'];
+  }
+
+  // 强调色：指定 > 第二品牌色 > 主题默认（仅在主色也是主题默认时） > 由主色推导
+  let accent = null;
+  if (provided.includes('accentColor')) {
+    accent = options.accentColor;
+  } else if (source === 'site' && brandColors[1]) {
+    accent = brandColors[1];
+  } else if (source === 'theme' && options.accentColor) {
+    accent = options.accentColor;
+  }
+
+  return {
+    ...buildPalette(primary, { accent, scheme }),
+    source,
+    theme: theme.id
+  };
+}
+
+/**
+ * 按行业关键词选择默认主色
+ * @param {string|null} industry - 所属行业
+ * @returns {string|null} #rrggbb
+ */
+function getIndustryColor(industry) {
+  if (!industry) return null;
+  const matched = INDUSTRY_COLORS.find(item => item.keywords.some(keyword => String(industry).includes(keyword)));
+  return matched ? matched.color : null;
+}
+
+/**
+ * 由主色推导完整配色，并按 WCAG AA 调整不达标的组合
+ * @param {string} brand - 品牌主色 #rrggbb
+ * @param {Object} [options] - { accent: 强调色，不指定时由主色推导, scheme: light | dark }
+ * @returns {Object} { scheme, brand, tokens, checks }
+ */
+function buildPalette(brand, { accent = null, scheme = 'light' } = {}) {
+  const base = NEUTRALS[scheme];
+  const primary = brand.toLowerCase();
+  const accentColor = (accent || deriveAccent(primary)).toLowerCase();
+
+  const tokens = {
+    primary,
+    primaryDark: darken(primary, scheme === 'dark' ? 0.15 : 0.25),
+    primaryLight: mix(primary, base.surface, 0.88),
+    accent: accentColor,
+    onPrimary: pickTextColor(primary),
+    onAccent: pickTextColor(accentColor),
+    surface: mix(base.surface, primary, scheme === 'dark' ? 0.04 : 0),
+    surfaceAlt: mix(base.surfaceAlt, primary, 0.03),
+    border: mix(base.border, primary, 0.08),
+    text: mix(base.text, primary, 0.06),
+    textMuted: mix(base.textMuted, primary, 0.06),
+    footer: mix(base.footer, primary, 0.1),
+    onFooter: base.onFooter
+  };
+
+  const adjusted = new Set();
+  for (const pair of CONTRAST_PAIRS) {
+    const key = pair.adjust === 'fg' ? pair.fg : pair.bg;
+    const other = pair.adjust === 'fg' ? pair.bg : pair.fg;
+    const before = tokens[key];
+    tokens[key] = ensureContrast(tokens[key], tokens[other], MIN_CONTRAST);
+
+    if (tokens[key] !== before) {
+      adjusted.add(key);
+      // 主色调整后，依赖主色的深色和文字颜色随之更新
+      if (key === 'primary') {
+        tokens.primaryDark = darken(tokens.primary, scheme === 'dark' ? 0.15 : 0.25);
+        tokens.onPrimary = pickTextColor(tokens.primary);
+      }
+    }
+  }
+
+  const checks = CONTRAST_PAIRS.map(({ fg, bg }) => {
+    const ratio = contrastRatio(tokens[fg], tokens[bg]);
+    return {
+      pair: `${fg}/${bg}`,
+      foreground: tokens[fg],
+      background: tokens[bg],
+      ratio: Math.round(ratio * 100) / 100,
+      passed: ratio >= MIN_CONTRAST,
+      adjusted: adjusted.has(fg) || adjusted.has(bg)
+    };
+  });
+
+  return { scheme, brand: primary, tokens, checks };
+}
+
+/**
+ * 由主色推导强调色：取互补色相，饱和度和亮度适中
+ * @param {string} primary - 主色
+ * @returns {string} #rrggbb
+ */
+function deriveAccent(primary) {
+  const [h, s] = hexToHsl(primary);
+  return hslToHex([(h + 180) % 360, Math.max(s, 0.6), 0.5]);
+}
+
+/**
+ * 选择放在某背景色上的文字颜色：白色达标时优先白色，否则取对比度更高的一个
+ * @param {string} background - 背景色
+ * @returns {string} #ffffff 或 #111827
+ */
+function pickTextColor(background) {
+  const light = '#ffffff';
+  const dark = '#111827';
+  if (contrastRatio(light, background) >= MIN_CONTRAST) return light;
+  return contrastRatio(dark, background) > contrastRatio(light, background) ? dark : light;
+}
+
+/**
+ * 调整颜色亮度直到与另一颜色的对比度达标，色相和饱和度不变
+ * 另一颜色偏亮时加深，偏暗时提亮；纯白、纯黑等位于亮度端点的颜色同样从端点开始调整，
+ * 调到另一端仍不达标时取黑白中对比度更高的一个
+ * @param {string} color - 待调整的颜色
+ * @param {string} against - 参照颜色
+ * @param {number} min - 最低对比度
+ * @returns {string} 调整后的颜色，已达标时原样返回
+ */
+function ensureContrast(color, against, min) {
+  if (contrastRatio(color, against) >= min) return color;
+
+  const [h, s, l] = hexToHsl(color);
+  // 相对亮度 0.179 是黑白两色对比度相等的分界点
+  const step = relativeLuminance(against) > 0.179 ? -0.02 : 0.02;
+  const limit = step < 0 ? 0 : 1;
+  let lightness = l;
+  let result = color;
+
+  while (contrastRatio(result, against) < min && lightness !== limit) {
+    lightness = step < 0 ? Math.max(0, lightness + step) : Math.min(1, lightness + step);
+    result = hslToHex([h, s, lightness]);
+  }
+  if (contrastRatio(result, against) >= min) return result;
+  return contrastRatio('#000000', against) >= contrastRatio('#ffffff', against) ? '#000000' : '#ffffff';
+}
+
+/**
+ * 提取 Logo 图片中的品牌色
+ * 支持 SVG 和 PNG，其他格式返回空列表
+ * @param {Buffer|string} content - 图片内容
+ * @returns {Array<string>} 最多 2 个 #rrggbb，按占比排序
+ */
+function extractLogoColors(content) {
+  const weights = new Map();
+  const add = (hex, weight = 1) => {
+    if (hex && isBrandColor(hex)) {
+      weights.set(hex, (weights.get(hex) || 0) + weight);
+    }
+  };
+
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+  if (isPng(buffer)) {
+    const { width, height, pixels } = decodePng(buffer);
+    // 最多采样约一万个像素，颜色按每通道 16 级量化后统计
+    const step = Math.max(1, Math.floor(Math.sqrt((width * height) / 10000)));
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const o = (y * width + x) * 4;
+        if (pixels[o + 3] < 128) continue;
+        add(rgbToHex([pixels[o], pixels[o + 1], pixels[o + 2]].map(n => Math.round(n / 17) * 17)));
+      }
+    }
+  } else {
+    const text = buffer.toString('utf-8');
+    if (!/<svg[\s>]/i.test(text)) return [];
+    const pattern = /(?:fill|stroke|stop-color)\s*[:=]\s*["']?\s*(#[0-9a-f]{3,6}\b|rgba?\([^)]+\))/gi;
+    for (const match of text.matchAll(pattern)) {
+      add(toHex(match[1]));
+    }
+  }
+
+  const colors = [];
+  for (const [hex] of [...weights.entries()].sort((a, b) => b[1] - a[1])) {
+    if (!colors.some(existing => colorDistance(existing, hex) < 40)) {
+      colors.push(hex);
+    }
+    if (colors.length >= 2) break;
+  }
+  return colors;
+}
+
+module.exports = {
+  MIN_CONTRAST,
+  resolvePalette,
+  buildPalette,
+  getIndustryColor,
+  extractLogoColors
+};
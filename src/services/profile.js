@@ -0,0 +1,120 @@
+/**
+ * 企业资料导入服务
+ * 解析客户提供的 JSON/YAML 资料或请求中的 companyInfo，按 CompanyInfo 结构校验
+ */
+
+const yaml = require('js-yaml');
+const { deepMerge } = require('../utils/helpers');
+const {
+  COMPANY_INFO_SCHEMA,
+  COMPANY_INFO_FIELDS,
+  EXTERNAL_FIELDS,
+  STATUS_FIELDS,
+  validateField
+} = require('../schemas/companyInfo');
+
+/**
+ * 解析资料文本
+ * @param {string} text - JSON 或 YAML 文本
+ * @param {string} [format] - json | yaml，不指定时自动识别
+ * @returns {Object} 资料对象
+ */
+function parseProfile(text, format) {
+  const type = String(format || '').toLowerCase();
+  let data;
+
+  try {
+    if (type === 'json' || (!type && /^\s*\{/.test(text))) {
+      data = JSON.parse(text);
+    } else {
+      data = yaml.load(text, { schema: yaml.JSON_SCHEMA });
+    }
+  } catch (error) {
+    throw new Error(`企业资料无法解析: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('企业资料必须是一个对象');
+  }
+
+  // 兼容 { companyInfo: {...} } 形式的资料文件
+  return data.companyInfo && typeof data.companyInfo === 'object' ? data.companyInfo : data;
+}
+
+/**
+ * 从请求中读取手工资料并校验
+ * profile（上传的资料文本）与 companyInfo（请求中的对象）同时提供时，companyInfo 优先
+ * @param {Object} params - { companyInfo, profile, profileFormat }
+ * @returns {Object|null} 校验通过的资料，没有提供资料时返回 null
+ */
+function loadProfile({ companyInfo, profile, profileFormat }) {
+  let info = null;
+
+  if (typeof profile === 'string' && profile.trim()) {
+    info = parseProfile(profile, profileFormat);
+  }
+  if (companyInfo !== undefined && companyInfo !== null) {
+    if (typeof companyInfo !== 'object' || Array.isArray(companyInfo)) {
+      throw new Error('companyInfo 必须是一个对象');
+    }
+    info = deepMerge(info || {}, companyInfo);
+  }
+  if (!info) {
+    return null;
+  }
+
+  // 只保留结构中定义的字段
+  const cleaned = {};
+  for (const field of COMPANY_INFO_FIELDS) {
+    if (info[field] !== undefined && info[field] !== null) {
+      cleaned[field] = info[field];
+    }
+  }
+
+  const errors = Object.keys(cleaned).flatMap(field => validateField(field, cleaned[field]));
+  if (errors.length > 0) {
+    const error = new Error(`企业资料校验失败: ${errors.map(e => `${e.path} ${e.message}`).join('；')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return cleaned;
+}
+
+/**
+ * 列出资料中已提供的字段（对象类字段展开到子字段）
+ * @param {Object} info - 企业资料
+ * @returns {Array<string>} 字段路径列表，如 ['name', 'contact.phone']
+ */
+function getProvidedFields(info) {
+  if (!info) return [];
+
+  return STATUS_FIELDS.filter(field => {
+    const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), info);
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  });
+}
+
+/**
+ * 列出资料中缺失、需要提取的顶层字段（不含只来自外部数据源的字段）
+ * @param {Object} info - 企业资料
+ * @returns {Array<string>} 顶层字段列表
+ */
+function getMissingFields(info) {
+  const provided = new Set(getProvidedFields(info));
+
+  return COMPANY_INFO_FIELDS.filter(field => !EXTERNAL_FIELDS.includes(field)).filter(field => {
+    const fieldSchema = COMPANY_INFO_SCHEMA.properties[field];
+    if (fieldSchema.type === 'object') {
+      return Object.keys(fieldSchema.properties).some(key => !provided.has(`${field}.${key}`));
+    }
+    return !provided.has(field);
+  });
+}
+
+module.exports = {
+  parseProfile,
+  loadProfile,
+  getProvidedFields,
+  getMissingFields
+};
@@ -0,0 +1,149 @@
+/**
+ * 提示词模板服务
+ * 提示词以 EJS 模板存放在 prompts/<版本>/ 目录下，可按请求或行业选择版本，修改后无需重新部署代码
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+
+const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+const CONFIG_FILE = path.join(PROMPTS_DIR, 'prompts.json');
+
+/**
+ * 读取提示词配置
+ * @returns {Object} { default, industries }
+ */
+function getConfig() {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+  } catch (error) {
+    console.warn('⚠️ 读取提示词配置失败:', error.message);
+  }
+
+  return {
+    default: process.env.PROMPT_VERSION || config.default || 'v1',
+    industries: config.industries || {}
+  };
+}
+
+/**
+ * 列出所有提示词版本
+ * @returns {Array} 版本列表 [{ id, description, fingerprint }]
+ */
+function listVersions() {
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(PROMPTS_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  } catch (error) {
+    return [];
+  }
+
+  return dirs.map(entry => {
+    let meta = {};
+    try {
+      meta = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, entry.name, 'meta.json'), 'utf-8'));
+    } catch (error) {
+      // 没有说明文件
+    }
+    return {
+      id: entry.name,
+      description: meta.description || '',
+      fingerprint: getFingerprint(entry.name)
+    };
+  });
+}
+
+/**
+ * 判断提示词版本是否存在
+ * @param {string} version - 版本 ID
+ * @returns {boolean}
+ */
+function hasVersion(version) {
+  return typeof version === 'string'
+    && /^[\w.-]+$/.test(version)
+    && fs.existsSync(path.join(PROMPTS_DIR, version));
+}
+
+/**
+ * 选择提示词版本
+ * 优先级：请求指定 > 行业映射 > PROMPT_VERSION 环境变量 > prompts.json 默认版本
+ * @param {Object} [options] - { version, industry }
+ * @returns {string} 版本 ID
+ */
+function resolveVersion({ version, industry } = {}) {
+  if (version) {
+    if (!hasVersion(version)) {
+      throw new Error(`提示词版本不存在: ${version}`);
+    }
+    return version;
+  }
+
+  const config = getConfig();
+
+  if (industry) {
+    const matched = Object.keys(config.industries).find(keyword => String(industry).includes(keyword));
+    if (matched && hasVersion(config.industries[matched])) {
+      return config.industries[matched];
+    }
+  }
+
+  return config.default;
+}
+
+/**
+ * 计算版本内所有模板的内容指纹，模板修改后缓存随之失效
+ * @param {string} version - 版本 ID
+ * @returns {string} 8 位指纹
+ */
+function getFingerprint(version) {
+  const dir = path.join(PROMPTS_DIR, version);
+  const hash = crypto.createHash('md5');
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    hash.update(file).update(fs.readFileSync(path.join(dir, file)));
+  }
+  return hash.digest('hex').substring(0, 8);
+}
+
+/**
+ * 渲染单个提示词模板
+ * @param {string} version - 版本 ID
+ * @param {string} name - 模板名，如 extraction.user
+ * @param {Object} data - 模板变量
+ * @returns {string} 提示词
+ */
+function renderPrompt(version, name, data) {
+  const file = path.join(PROMPTS_DIR, version, `${name}.ejs`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`提示词模板不存在: ${version}/${name}`);
+  }
+
+  return ejs.render(fs.readFileSync(file, 'utf-8'), data, { filename: file }).trim();
+}
+
+/**
+ * 渲染 system + user 两段式对话消息
+ * @param {string} version - 版本 ID
+ * @param {string} name - 提示词名称，如 extraction
+ * @param {Object} data - 模板变量
+ * @returns {Array} 对话消息
+ */
+function buildMessages(version, name, data) {
+  return [
+    { role: 'system', content: renderPrompt(version, `${name}.system`, data) },
+    { role: 'user', content: renderPrompt(version, `${name}.user`, data) }
+  ];
+}
+
+module.exports = {
+  getConfig,
+  listVersions,
+  hasVersion,
+  resolveVersion,
+  getFingerprint,
+  renderPrompt,
+  buildMessages
+};
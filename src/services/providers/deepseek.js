@@ -0,0 +1,48 @@
+/**
+ * DeepSeek 模型提供方
+ * 使用 OpenAI 兼容接口，不支持联网搜索
+ */
+
+const { chatCompletion, toBaseUrl } = require('./openaiCompatible');
+
+function getConfig() {
+  return {
+    apiKey: process.env.DEEPSEEK_API_KEY,
+    // 基础地址，与 OPENAI_API_URL 含义相同，请求时拼接 /chat/completions
+    apiUrl: toBaseUrl(process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1'),
+    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat'
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().apiKey;
+}
+
+/**
+ * 发送对话请求
+ * @param {Array} messages - 对话消息
+ * @param {Object} options - { temperature, maxTokens, timeout }
+ * @returns {Promise<Object>} { content, references, raw }
+ */
+async function chat(messages, options = {}) {
+  const config = getConfig();
+
+  return chatCompletion({
+    url: `${config.apiUrl}/chat/completions`,
+    apiKey: config.apiKey,
+    model: config.model,
+    messages,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    timeout: options.timeout
+  });
+}
+
+module.exports = {
+  name: 'deepseek',
+  label: 'DeepSeek',
+  supportsWebSearch: false,
+  getConfig,
+  isConfigured,
+  chat
+};
@@ -0,0 +1,107 @@
+/**
+ * 模型提供方注册与选择
+ * 通过 LLM_PROVIDER 指定首选提供方，LLM_FALLBACK 指定降级顺序，模拟数据始终兜底
+ */
+
+const minimax = require('./minimax');
+const deepseek = require('./deepseek');
+const openai = require('./openai');
+const mock = require('./mock');
+
+const PROVIDERS = {
+  minimax,
+  deepseek,
+  openai,
+  mock
+};
+
+// 未显式配置时的默认优先顺序
+const DEFAULT_ORDER = ['minimax', 'deepseek', 'openai'];
+
+/**
+ * 按名称获取提供方
+ * @param {string} name - 提供方名称
+ * @returns {Object|undefined} 提供方
+ */
+function getProvider(name) {
+  return PROVIDERS[String(name || '').trim().toLowerCase()];
+}
+
+/**
+ * 解析逗号分隔的提供方列表
+ * @param {string} value - 环境变量值
+ * @returns {Array<string>} 名称列表
+ */
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * 获取降级链：首选 → LLM_FALLBACK → 模拟数据
+ * 未配置凭证的提供方会被跳过
+ * @returns {Array<Object>} 提供方列表
+ */
+function getProviderChain() {
+  const primary = parseList(process.env.LLM_PROVIDER);
+  const fallback = process.env.LLM_FALLBACK !== undefined
+    ? parseList(process.env.LLM_FALLBACK)
+    : DEFAULT_ORDER;
+
+  const chain = [];
+  for (const name of [...primary, ...fallback]) {
+    const provider = getProvider(name);
+    if (!provider) {
+      console.warn(`⚠️  未知的模型提供方: ${name}`);
+      continue;
+    }
+    if (!chain.includes(provider) && provider.isConfigured()) {
+      chain.push(provider);
+    }
+  }
+
+  if (!chain.includes(mock)) {
+    chain.push(mock);
+  }
+
+  return chain;
+}
+
+/**
+ * 获取当前生效的提供方（降级链第一项）
+ * @returns {Object} 提供方
+ */
+function getActiveProvider() {
+  return getProviderChain()[0];
+}
+
+/**
+ * 检查提供方配置
+ * @returns {Object} 配置状态
+ */
+function checkProviders() {
+  const providers = {};
+  for (const [name, provider] of Object.entries(PROVIDERS)) {
+    providers[name] = {
+      configured: provider.isConfigured(),
+      webSearch: provider.supportsWebSearch,
+      model: provider.getConfig ? provider.getConfig().model : undefined
+    };
+  }
+
+  const chain = getProviderChain();
+  return {
+    active: chain[0].name,
+    chain: chain.map(p => p.name),
+    providers
+  };
+}
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  getActiveProvider,
+  checkProviders
+};
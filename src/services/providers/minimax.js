@@ -0,0 +1,60 @@
+/**
+ * MiniMax 模型提供方
+ * 支持 web_search 联网搜索工具
+ */
+
+const { chatCompletion } = require('./openaiCompatible');
+
+function getConfig() {
+  return {
+    apiKey: process.env.MINIMAX_API_KEY,
+    apiUrl: process.env.MINIMAX_API_URL || 'https://api.minimax.chat/v1',
+    model: process.env.MINIMAX_MODEL || 'MiniMax-M2.5'
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().apiKey;
+}
+
+/**
+ * 发送对话请求
+ * @param {Array} messages - 对话消息
+ * @param {Object} options - { webSearch, temperature, maxTokens, timeout }
+ * @returns {Promise<Object>} { content, references, raw }
+ */
+async function chat(messages, options = {}) {
+  const config = getConfig();
+  const tools = options.webSearch
+    ? [
+        {
+          type: 'web_search',
+          web_search: {
+            search_engine: 'search',
+            enable: true,
+            reason: '需要搜索获取企业详细信息'
+          }
+        }
+      ]
+    : undefined;
+
+  return chatCompletion({
+    url: `${config.apiUrl}/text/chatcompletion_v2`,
+    apiKey: config.apiKey,
+    model: config.model,
+    messages,
+    tools,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    timeout: options.timeout
+  });
+}
+
+module.exports = {
+  name: 'minimax',
+  label: 'MiniMax',
+  supportsWebSearch: true,
+  getConfig,
+  isConfigured,
+  chat
+};
@@ -0,0 +1,89 @@
+/**
+ * 模拟数据提供方
+ * 不调用任何外部服务，返回固定的模拟企业信息，作为降级链的最后一环
+ */
+
+/**
+ * 生成模拟企业信息（用于测试或 API 失败时）
+ * @param {string} companyName - 企业名称
+ * @returns {Object} 模拟的企业信息
+ */
+function generateMockCompanyInfo(companyName) {
+  const shortName = companyName.replace(/有限公司|股份有限公司|集团|科技|网络|信息/g, '');
+
+  return {
+    name: companyName,
+    shortName: shortName || companyName,
+    slogan: '创新引领未来，科技改变生活',
+    business: `${companyName}是一家专注于技术创新和行业解决方案的领先企业。公司致力于为客户提供高质量的产品和专业的服务，在行业内享有良好的声誉。`,
+    description: `${companyName}成立于2000年，总部位于中国北京。作为行业领先的技术企业，我们始终坚持"以客户为中心，以创新为驱动"的经营理念。经过二十多年的发展，公司已经成为集研发，生产、销售、服务于一体的综合性企业集团。
+
+公司拥有一支高素质的专业团队，在人工智能、云计算，大数据等前沿技术领域具有深厚的积累。我们的产品广泛应用于金融、医疗、教育，制造等多个行业，为客户创造价值，推动社会进步。`,
+    industry: '互联网/科技',
+    founded: '2000年',
+    headquarters: '中国北京',
+    services: [
+      {
+        name: '智能解决方案',
+        description: '基于人工智能技术的行业解决方案，帮助企业实现数字化转型'
+      },
+      {
+        name: '云计算服务',
+        description: '安全可靠的云计算基础设施，提供弹性计算和存储服务'
+      },
+      {
+        name: '数据分析',
+        description: '大数据分析和商业智能服务，助力企业数据驱动决策'
+      },
+      {
+        name: '技术咨询',
+        description: '专业的技术咨询服务，为企业量身定制信息化解决方案'
+      }
+    ],
+    features: [
+      '行业领先的技术实力',
+      '丰富的项目经验',
+      '专业的服务团队',
+      '完善的售后支持'
+    ],
+    contact: {
+      phone: '400-123-4567',
+      email: 'contact@company.com',
+      address: '北京市朝阳区科技园区88号'
+    },
+    social: {
+      website: `https://www.${companyName.toLowerCase().replace(/\s+/g, '')}.com`,
+      weibo: '#',
+      wechat: companyName
+    }
+  };
+}
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 返回模拟企业信息的 JSON 文本，与真实模型的返回格式保持一致
+ * @param {Array} messages - 对话消息（忽略）
+ * @param {Object} options - { companyName }
+ * @returns {Promise<Object>} { content, references, raw }
+ */
+async function chat(messages, options = {}) {
+  const info = generateMockCompanyInfo(options.companyName || '示例企业');
+  return {
+    content: JSON.stringify(info),
+    references: [],
+    raw: null
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  label: '模拟数据',
+  supportsWebSearch: false,
+  isMock: true,
+  isConfigured,
+  chat,
+  generateMockCompanyInfo
+};
@@ -0,0 +1,48 @@
+/**
+ * 通用 OpenAI 兼容模型提供方
+ * 可指向任意兼容 /chat/completions 的服务，例如本地替身服务
+ */
+
+const { chatCompletion, toBaseUrl } = require('./openaiCompatible');
+
+function getConfig() {
+  return {
+    apiKey: process.env.OPENAI_API_KEY,
+    // 基础地址，例如 http://localhost:8000/v1
+    apiUrl: toBaseUrl(process.env.OPENAI_API_URL),
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().apiUrl;
+}
+
+/**
+ * 发送对话请求
+ * @param {Array} messages - 对话消息
+ * @param {Object} options - { temperature, maxTokens, timeout }
+ * @returns {Promise<Object>} { content, references, raw }
+ */
+async function chat(messages, options = {}) {
+  const config = getConfig();
+
+  return chatCompletion({
+    url: `${config.apiUrl}/chat/completions`,
+    apiKey: config.apiKey,
+    model: config.model,
+    messages,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    timeout: options.timeout
+  });
+}
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI 兼容接口',
+  supportsWebSearch: false,
+  getConfig,
+  isConfigured,
+  chat
+};
@@ -0,0 +1,97 @@
+/**
+ * OpenAI 兼容接口调用
+ * DeepSeek、本地替身服务等兼容 /chat/completions 协议的服务共用此实现
+ */
+
+const axios = require('axios');
+
+/**
+ * 规范化接口基础地址，去掉末尾的斜杠
+ * 兼容按旧说明配置了完整接口地址（以 /chat/completions 结尾）的情况
+ * @param {string} url - 基础地址，例如 https://api.deepseek.com/v1
+ * @returns {string}
+ */
+function toBaseUrl(url) {
+  return (url || '').replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+/**
+ * 调用 OpenAI 兼容的 chat completions 接口
+ * @param {Object} params - 请求参数
+ * @param {string} params.url - 完整接口地址
+ * @param {string} [params.apiKey] - API Key（本地服务可为空）
+ * @param {string} params.model - 模型名称
+ * @param {Array} params.messages - 对话消息
+ * @param {Array} [params.tools] - 工具定义
+ * @param {number} [params.temperature] - 温度
+ * @param {number} [params.maxTokens] - 最大输出 token 数
+ * @param {number} [params.timeout] - 超时毫秒数
+ * @returns {Promise<Object>} { content, references, raw }
+ */
+async function chatCompletion({ url, apiKey, model, messages, tools, temperature = 0.7, maxTokens = 4000, timeout = 120000 }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const body = {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens
+  };
+  if (tools && tools.length > 0) {
+    body.tools = tools;
+  }
+
+  const response = await axios.post(url, body, { headers, timeout });
+  const message = response.data?.choices?.[0]?.message;
+
+  if (!message) {
+    throw new Error('返回格式异常，缺少 choices[0].message');
+  }
+
+  return {
+    content: message.content || '',
+    references: extractReferences(response.data),
+    raw: response.data
+  };
+}
+
+/**
+ * 从响应中提取联网搜索引用
+ * 不同服务字段名不一致，这里尽量兼容
+ * @param {Object} data - 接口响应
+ * @returns {Array} 引用列表 [{ title, url, snippet }]
+ */
+function extractReferences(data) {
+  const message = data?.choices?.[0]?.message || {};
+  const candidates = [
+    data?.search_results,
+    data?.references,
+    message.references,
+    message.search_results
+  ];
+
+  const references = [];
+  for (const list of candidates) {
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      const url = item?.url || item?.link;
+      if (!url) continue;
+      references.push({
+        title: item.title || item.name || url,
+        url,
+        snippet: item.snippet || item.content || item.summary || ''
+      });
+    }
+  }
+
+  return references;
+}
+
+module.exports = {
+  toBaseUrl,
+  chatCompletion,
+  extractReferences
+};
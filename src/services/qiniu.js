@@ -7,6 +7,7 @@ const qiniu = require('qiniu');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { INTERNAL_FILES } = require('./output');
 
 // 生成8位确定性hash（企业名+密钥）
 function generateHash(companyName) {
@@ -72,7 +73,8 @@ async function deployToQiniu(sourceDir, companyInfo) {
   const putExtra = new qiniu.form_up.PutExtra();
   
   // 递归读取目录
-  const files = await readDirRecursive(sourceDir, sourceDir);
+  const files = (await readDirRecursive(sourceDir, sourceDir))
+    .filter(file => !INTERNAL_FILES.includes(file.relativePath));
   
   console.log(`   📤 开始上传 ${files.length} 个文件...`);
   
@@ -111,10 +113,7 @@ async function deployToQiniu(sourceDir, companyInfo) {
   // 构建访问链接
   // 使用默认域名，最终访问时再替换
   const defaultDomain = `${config.bucket}.${config.zone}.qiniucs.com`;
-  const dirNameWithPrefix = `company-websites/${dirName}`;
-  const baseUrl = config.domain 
-    ? `https://${config.domain}/${dirNameWithPrefix}`
-    : `https://${defaultDomain}/${dirNameWithPrefix}`;
+  const baseUrl = getPublicBaseUrl(companyInfo).replace(/\/$/, '');
   
   // 生成私有签名 URL（始终用默认域名生成）
   const authMac = new qiniu.auth.digest.Mac(config.accessKey, config.secretKey);
@@ -151,6 +150,21 @@ async function deployToQiniu(sourceDir, companyInfo) {
   };
 }
 
+/**
+ * 网站的公开访问地址，部署前即可确定，用于生成规范链接和站点地图
+ * 配置了自定义域名时使用自定义域名
+ * @param {Object} companyInfo - 企业信息
+ * @returns {string|null} 以 / 结尾的地址，未配置 Bucket 时为 null
+ */
+function getPublicBaseUrl(companyInfo) {
+  const config = getQiniuConfig();
+  if (!config.bucket) return null;
+
+  const domain = config.domain || `${config.bucket}.${config.zone}.qiniucs.com`;
+  const dirName = `${companyInfo.name}-${generateHash(companyInfo.name)}`;
+  return `https://${domain}/company-websites/${dirName}/`;
+}
+
 /**
  * 递归读取目录
  */
@@ -247,5 +261,6 @@ module.exports = {
   checkQiniuConfig,
   generateHash,
   getQiniuConfig,
+  getPublicBaseUrl,
   deleteFromQiniu
 };
@@ -0,0 +1,264 @@
+/**
+ * 搜索结果排序与官网识别服务
+ * 按"是官网的可能性"为搜索结果打分：域名与企业名称拼音/英文名匹配、ICP 备案信息、标题含"官网"等加分，
+ * 百科、招聘、企业信息查询等聚合站点降权，政府、交易所、权威媒体等来源提权
+ */
+
+const { pinyin } = require('pinyin-pro');
+const { fetchPage } = require('./searchEngines/common');
+
+// 官网判定的最低分数
+const OFFICIAL_MIN_SCORE = 5;
+// 参与主页核验的候选数
+const VERIFY_CANDIDATES = 3;
+
+// 聚合站点：百科、问答、招聘、企业信息查询、B2B 黄页、社交媒体等
+const AGGREGATOR_DOMAINS = [
+  'baike.baidu.com', 'baike.sogou.com', 'baike.com', 'wikipedia.org', 'zhihu.com', 'zhidao.baidu.com',
+  'tieba.baidu.com', 'jingyan.baidu.com', 'wenku.baidu.com', 'aiqicha.baidu.com', 'qcc.com', 'qichacha.com',
+  'tianyancha.com', 'qixin.com', 'shuidi.cn', 'zhipin.com', 'liepin.com', '51job.com', 'zhaopin.com',
+  'lagou.com', 'kanzhun.com', 'jobui.com', 'maimai.cn', '1688.com', 'made-in-china.com', 'hc360.com',
+  '11467.com', 'qiyeku.com', 'weibo.com', 'douyin.com', 'bilibili.com', 'xiaohongshu.com', 'csdn.net',
+  'jianshu.com', 'sohu.com', 'toutiao.com', 'baijiahao.baidu.com', '163.com', 'sina.com.cn', 'qq.com',
+  'dianping.com', 'meituan.com', 'taobao.com', 'tmall.com', 'jd.com'
+];
+
+// 权威来源：政府、教育机构、交易所与信息披露平台、主流官方媒体
+const AUTHORITY_DOMAINS = [
+  'gov.cn', 'edu.cn', 'sse.com.cn', 'szse.cn', 'bse.cn', 'cninfo.com.cn', 'hkexnews.hk', 'hkex.com.hk',
+  'xinhuanet.com', 'news.cn', 'people.com.cn', 'cctv.com', 'chinadaily.com.cn', 'gsxt.gov.cn'
+];
+
+// 双段后缀，如 com.cn，可注册域名取其前一段
+const SECOND_LEVEL_SUFFIX = /^(com|net|org|gov|edu|ac|co)\.(cn|hk|tw|uk|jp)$/;
+
+const NAME_SUFFIX = /(股份有限公司|有限责任公司|有限公司|股份公司|集团公司|集团|控股|公司)$/;
+const INDUSTRY_WORDS = /(科技|技术|网络|信息|电子|软件|计算机|系统|通信|设备|制造|工程|建设|物流|医药|生物|食品|餐饮|教育|商业|零售|百货|汽车|能源|环保|广告|实业|贸易|商贸|发展|文化|传媒|咨询|服务|投资|管理|智能|数字|国际|中国)+$/;
+const REGION_PREFIX = /^([\u4e00-\u9fa5]{2,3}(省|市|自治区)|中国|北京|上海|天津|重庆|深圳|广州|杭州|南京|苏州|成都|武汉|西安|厦门|青岛|宁波|长沙|郑州|合肥|济南|福州|无锡|东莞|佛山)/;
+
+/**
+ * 提取企业名称的核心字号，如"深圳市腾讯计算机系统有限公司" → "腾讯"
+ * @param {string} companyName - 企业名称
+ * @returns {string} 核心字号
+ */
+function getCoreName(companyName) {
+  let core = String(companyName || '').replace(/[（(][^）)]*[）)]/g, '').trim();
+
+  // 依次去掉组织形式、地区和行业用词，直到不再变化；剩余不足两个字时保留上一步结果
+  let previous;
+  do {
+    previous = core;
+    for (const pattern of [NAME_SUFFIX, REGION_PREFIX, INDUSTRY_WORDS]) {
+      const stripped = core.replace(pattern, '');
+      if (stripped.length >= 2) {
+        core = stripped;
+      }
+    }
+  } while (core !== previous);
+
+  return core;
+}
+
+/**
+ * 生成用于匹配域名的名称特征
+ * @param {string} companyName - 企业名称
+ * @returns {Object} { core, full, initials, latin }
+ *   full: 字号全拼，如 huawei；initials: 字号首字母，如 hw；latin: 名称中的英文片段
+ */
+function getNameTokens(companyName) {
+  const core = getCoreName(companyName);
+  const hanzi = core.replace(/[^\u4e00-\u9fa5]/g, '');
+  const latin = (String(companyName).match(/[A-Za-z][A-Za-z0-9&-]+/g) || []).map(s => s.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+  return {
+    core,
+    full: hanzi ? pinyin(hanzi, { toneType: 'none', type: 'array' }).join('').toLowerCase() : '',
+    initials: hanzi ? pinyin(hanzi, { pattern: 'first', toneType: 'none', type: 'array' }).join('').toLowerCase() : '',
+    latin
+  };
+}
+
+/**
+ * 解析 URL 的主机名和可注册域名主体
+ * @param {string} url - URL
+ * @returns {Object|null} { host, label, pathname }，如 www.huawei.com.cn → label: huawei
+ */
+function parseDomain(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const parts = host.split('.');
+    const suffixLength = parts.length >= 3 && SECOND_LEVEL_SUFFIX.test(parts.slice(-2).join('.')) ? 2 : 1;
+    const label = parts[parts.length - suffixLength - 1] || parts[0];
+
+    return { host, label: label.replace(/-/g, ''), pathname: parsed.pathname };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 判断主机是否属于列表中的域名
+ * @param {string} host - 主机名
+ * @param {Array<string>} domains - 域名列表
+ * @returns {boolean}
+ */
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * 判断链接是否来自聚合站点（百科、企业信息查询、招聘等）
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function isAggregator(url) {
+  const domain = parseDomain(url);
+  return !!domain && matchesDomain(domain.host, AGGREGATOR_DOMAINS);
+}
+
+/**
+ * 计算单个结果的官网得分
+ * @param {Object} result - 搜索结果 { title, url, snippet, engines }
+ * @param {Object} tokens - 名称特征
+ * @returns {Object} { score, reasons, aggregator, authority }
+ */
+function scoreResult(result, tokens) {
+  const domain = parseDomain(result.url);
+  if (!domain) {
+    return { score: -10, reasons: ['无效链接'], aggregator: false, authority: false };
+  }
+
+  const reasons = [];
+  let score = 0;
+  const { label, host, pathname } = domain;
+  const title = result.title || '';
+  const text = `${title} ${result.snippet || ''}`;
+
+  if ((tokens.full && label === tokens.full) || tokens.latin.includes(label)) {
+    score += 5;
+    reasons.push('域名与企业名称一致');
+  } else if ((tokens.full.length >= 4 && label.includes(tokens.full))
+    || tokens.latin.some(word => word.length >= 3 && label.includes(word))) {
+    score += 3;
+    reasons.push('域名包含企业名称');
+  } else if (tokens.initials.length >= 3 && label === tokens.initials) {
+    score += 2;
+    reasons.push('域名为企业名称首字母');
+  }
+
+  if (/官网|官方网站/.test(title)) {
+    score += 3;
+    reasons.push('标题含"官网"');
+  }
+  if (tokens.core && title.includes(tokens.core)) {
+    score += 1;
+    reasons.push('标题含企业字号');
+  }
+  if (/ICP[备证]/i.test(text)) {
+    score += 2;
+    reasons.push('含 ICP 备案信息');
+  }
+  if (/^\/(index\.\w+)?$/i.test(pathname)) {
+    score += 1;
+    reasons.push('站点首页');
+  }
+  if (result.engines && result.engines.length > 1) {
+    score += 0.5 * (result.engines.length - 1);
+    reasons.push(`${result.engines.length} 个搜索引擎均找到`);
+  }
+
+  const aggregator = matchesDomain(host, AGGREGATOR_DOMAINS);
+  if (aggregator) {
+    score -= 6;
+    reasons.push('聚合站点');
+  }
+
+  return {
+    score,
+    reasons,
+    aggregator,
+    authority: matchesDomain(host, AUTHORITY_DOMAINS)
+  };
+}
+
+/**
+ * 对搜索结果排序：官网可能性高的在前，权威来源提权，聚合站点降权
+ * @param {Array} results - 搜索结果
+ * @param {string} companyName - 企业名称
+ * @returns {Array} 排序后的结果，附带 score 和 officialScore
+ */
+function rankResults(results, companyName) {
+  const tokens = getNameTokens(companyName);
+
+  return results
+    .map((result, index) => {
+      const { score, authority } = scoreResult(result, tokens);
+      return {
+        ...result,
+        officialScore: score,
+        score: score + (authority ? 3 : 0),
+        index
+      };
+    })
+    // 同分时保持搜索引擎原有顺序
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...result }) => result);
+}
+
+/**
+ * 从搜索结果中识别企业官网
+ * 对得分靠前的候选抓取首页，核验 ICP 备案信息和企业字号
+ * @param {Array} results - 搜索结果
+ * @param {string} companyName - 企业名称
+ * @param {Object} [options] - { verify: 是否抓取首页核验，默认 true }
+ * @returns {Promise<Object|null>} { url, score, reasons }，未识别时返回 null
+ */
+async function detectOfficialSite(results, companyName, options = {}) {
+  const tokens = getNameTokens(companyName);
+  const seenHosts = new Set();
+  const candidates = [];
+
+  for (const result of results) {
+    const domain = parseDomain(result.url);
+    if (!domain || seenHosts.has(domain.host)) continue;
+    seenHosts.add(domain.host);
+
+    const { score, reasons, aggregator } = scoreResult(result, tokens);
+    if (!aggregator && score > 0) {
+      candidates.push({ url: `${new URL(result.url).origin}/`, score, reasons: [...reasons] });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  if (options.verify !== false) {
+    await Promise.all(candidates.slice(0, VERIFY_CANDIDATES).map(async candidate => {
+      try {
+        const html = String(await fetchPage(candidate.url, { timeout: 8000 }));
+        if (/ICP[备证]/i.test(html)) {
+          candidate.score += 3;
+          candidate.reasons.push('首页含 ICP 备案号');
+        }
+        if (tokens.core && html.includes(tokens.core)) {
+          candidate.score += 2;
+          candidate.reasons.push('首页含企业字号');
+        }
+      } catch (error) {
+        candidate.score -= 2;
+        candidate.reasons.push('首页无法访问');
+      }
+    }));
+    candidates.sort((a, b) => b.score - a.score);
+  }
+
+  const best = candidates[0];
+  return best && best.score >= OFFICIAL_MIN_SCORE ? best : null;
+}
+
+module.exports = {
+  getCoreName,
+  getNameTokens,
+  isAggregator,
+  rankResults,
+  detectOfficialSite
+};
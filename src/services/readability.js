@@ -0,0 +1,412 @@
+/**
+ * 网页正文提取服务
+ * 按内容密度为页面区块打分，去掉导航、侧栏、评论等模板内容，保留标题和列表结构；
+ * 自动识别 GBK/GB2312 等中文编码，返回标题、正文、发布日期和正文中的链接
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { BROWSER_HEADERS } = require('./searchEngines/common');
+const { normalizeDate } = require('../utils/helpers');
+const { MAX_RESPONSE_BYTES, checkUrl, publicLookup, checkRedirect } = require('../utils/network');
+
+// 请求超时（毫秒）
+const FETCH_TIMEOUT = 10000;
+// 最多跟随的重定向次数
+const MAX_REDIRECTS = 3;
+// 嗅探 <meta charset> 时读取的字节数
+const SNIFF_BYTES = 4096;
+// 接受的网页类型，没有 Content-Type 时按 HTML 处理
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/i;
+
+// 类名或 ID 含这些词的区块多为模板内容
+const UNLIKELY_PATTERN = /comment|footer|foot|nav|sidebar|side-|menu|share|related|recommend|advert|\bads?\b|banner|breadcrumb|copyright|login|popup|modal|toolbar|pager|pagination|tags?\b/i;
+// 类名或 ID 含这些词的区块多为正文
+const LIKELY_PATTERN = /article|content|main|post|body|text|detail|entry|news|正文/i;
+
+// 直接移除的元素
+const REMOVE_SELECTOR = 'script, style, noscript, iframe, form, nav, header, footer, aside, svg, canvas, button, select, input, textarea';
+// 块级元素，遇到时换行
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'ul', 'ol', 'li', 'table', 'tr', 'td', 'th', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr', 'figure', 'figcaption']);
+
+// 中文编码别名，统一用 GB18030 解码（兼容 GBK 和 GB2312）
+const GB_ENCODINGS = /^(gbk|gb2312|gb_2312-80|x-gbk|gb18030|cp936|euc-cn)$/i;
+
+/**
+ * 获取网页并提取正文
+ * @param {string} url - 网页地址
+ * @returns {Promise<Object>} { url, encoding, title, text, publishDate, links }
+ */
+async function fetchReadable(url) {
+  const { html, encoding, finalUrl } = await fetchHtml(url);
+  return {
+    url: finalUrl,
+    encoding,
+    ...extractReadable(html, finalUrl)
+  };
+}
+
+/**
+ * 获取网页 HTML，按响应头、<meta charset> 的顺序识别编码，都没有声明时按内容猜测
+ * 不访问内网地址（包括重定向后的地址），响应超过 MAX_RESPONSE_BYTES 或不是网页时抛出错误
+ * @param {string} url - 网页地址
+ * @returns {Promise<Object>} { html, encoding, finalUrl }
+ */
+async function fetchHtml(url) {
+  const reason = checkUrl(url);
+  if (reason) throw new Error(reason);
+
+  const response = await axios.get(url, {
+    headers: BROWSER_HEADERS,
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT,
+    maxRedirects: MAX_REDIRECTS,
+    maxContentLength: MAX_RESPONSE_BYTES,
+    maxBodyLength: MAX_RESPONSE_BYTES,
+    lookup: publicLookup,
+    beforeRedirect: checkRedirect
+  });
+
+  const contentType = response.headers['content-type'];
+  if (contentType && !HTML_TYPES.test(contentType)) {
+    throw new Error(`不是网页: ${contentType}`);
+  }
+
+  const buffer = Buffer.from(response.data);
+  const encoding = detectEncoding(buffer, response.headers['content-type']);
+
+  return {
+    html: decodeBuffer(buffer, encoding),
+    encoding,
+    finalUrl: response.request?.res?.responseUrl || url
+  };
+}
+
+/**
+ * 识别网页编码
+ * 依次采用响应头和 <meta> 中声明的编码；声明为 UTF-8 但内容不是合法 UTF-8 时视为声明有误，
+ * 都不可用时按内容猜测
+ * @param {Buffer} buffer - 响应内容
+ * @param {string} [contentType] - Content-Type 响应头
+ * @returns {string} 编码名称，如 utf-8、gb18030
+ */
+function detectEncoding(buffer, contentType = '') {
+  const isUtf8 = isValidUtf8(buffer);
+  const declared = [
+    matchCharset(contentType),
+    matchCharset(buffer.subarray(0, SNIFF_BYTES).toString('latin1'))
+  ].filter(Boolean);
+
+  for (const charset of declared) {
+    const encoding = GB_ENCODINGS.test(charset) ? 'gb18030' : charset.toLowerCase();
+    if (/^utf-?8$/.test(encoding) && !isUtf8) continue;
+    try {
+      new TextDecoder(encoding);
+      return encoding;
+    } catch (e) {
+      // 不支持的编码
+    }
+  }
+
+  // 不是合法 UTF-8 时按中文编码处理
+  return isUtf8 ? 'utf-8' : 'gb18030';
+}
+
+/**
+ * 判断内容是否为合法 UTF-8
+ * @param {Buffer} buffer - 响应内容
+ * @returns {boolean}
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 从 Content-Type 或 HTML 中读取 charset
+ * @param {string} text - 响应头或 HTML 开头
+ * @returns {string|null}
+ */
+function matchCharset(text) {
+  const match = String(text).match(/charset\s*=\s*["']?([\w-]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 按编码解码响应内容
+ * @param {Buffer} buffer - 响应内容
+ * @param {string} encoding - 编码名称
+ * @returns {string}
+ */
+function decodeBuffer(buffer, encoding) {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * 从 HTML 中提取正文
+ * @param {string} html - 页面 HTML
+ * @param {string} [url] - 页面地址，用于解析相对链接
+ * @returns {Object} { title, text, publishDate, links }
+ *   text: 正文，标题以 # 开头、列表项以 - 开头，段落之间换行
+ *   links: 正文中的链接 [{ url, text, external }]
+ */
+function extractReadable(html, url) {
+  const $ = cheerio.load(html);
+
+  const title = extractTitle($);
+  const publishDate = extractPublishDate($);
+
+  $(REMOVE_SELECTOR).remove();
+  removeUnlikely($);
+
+  const $root = findContentRoot($);
+  const text = collectBlocks($, $root)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    title,
+    text,
+    publishDate: publishDate || findDateInText(text),
+    links: collectLinks($, $root, url)
+  };
+}
+
+/**
+ * 提取页面标题：优先 og:title，其次与 <title> 一致的 h1，最后取 <title> 去掉站点名的部分
+ * @param {Function} $ - cheerio 实例
+ * @returns {string}
+ */
+function extractTitle($) {
+  const ogTitle = $('meta[property="og:title"]').attr('content');
+  if (ogTitle && ogTitle.trim()) return ogTitle.trim();
+
+  const docTitle = $('title').first().text().replace(/\s+/g, ' ').trim();
+  const h1 = $('h1').first().text().replace(/\s+/g, ' ').trim();
+  if (h1 && (!docTitle || docTitle.includes(h1))) return h1;
+
+  // "文章标题 - 站点名" / "文章标题_站点名"
+  const [head] = docTitle.split(/\s+[-|–—]\s+|_/);
+  return head && head.length >= 4 ? head.trim() : docTitle;
+}
+
+/**
+ * 从 meta 标签和 <time> 元素读取发布日期
+ * @param {Function} $ - cheerio 实例
+ * @returns {string|null} YYYY-MM-DD
+ */
+function extractPublishDate($) {
+  const selectors = [
+    'meta[property="article:published_time"]',
+    'meta[name="pubdate"]',
+    'meta[name="publishdate"]',
+    'meta[name="PubDate"]',
+    'meta[itemprop="datePublished"]',
+    'meta[name="date"]'
+  ];
+
+  for (const selector of selectors) {
+    const date = normalizeDate($(selector).attr('content'));
+    if (date) return date;
+  }
+
+  const $time = $('time[datetime]').first();
+  return normalizeDate($time.attr('datetime')) || normalizeDate($('[class*="date" i], [class*="time" i], [class*="pub" i]').first().text());
+}
+
+/**
+ * 在正文开头查找"发布时间：2024-01-02"之类的日期
+ * @param {string} text - 正文
+ * @returns {string|null} YYYY-MM-DD
+ */
+function findDateInText(text) {
+  const head = text.slice(0, 500);
+  const labeled = head.match(/(?:发布|更新|发表)?(?:时间|日期)\s*[:：]?\s*(\d{4}\s*[-/.年]\s*\d{1,2}\s*[-/.月]\s*\d{1,2})/);
+  return normalizeDate(labeled ? labeled[1] : null);
+}
+
+/**
+ * 移除类名或 ID 像模板内容、又不像正文的区块
+ * @param {Function} $ - cheerio 实例
+ */
+function removeUnlikely($) {
+  $('body *').each((_, el) => {
+    if (['html', 'body', 'main', 'article'].includes(el.tagName)) return;
+
+    const signature = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (UNLIKELY_PATTERN.test(signature) && !LIKELY_PATTERN.test(signature)) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * 按内容密度选出正文区块
+ * 每个段落按长度和标点数计分，分数累加到父元素（全额）和祖父元素（一半），
+ * 再按链接文字占比折算，取最高分的区块
+ * @param {Function} $ - cheerio 实例
+ * @returns {Object} 正文区块
+ */
+function findContentRoot($) {
+  const scores = new Map();
+
+  const initScore = el => {
+    if (!scores.has(el)) {
+      const signature = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+      let score = { article: 10, main: 10, section: 5, div: 5, td: 3, blockquote: 3 }[el.tagName] || 0;
+      if (LIKELY_PATTERN.test(signature)) score += 25;
+      scores.set(el, score);
+    }
+  };
+
+  $('p, pre, td, li, div, section').each((_, el) => {
+    // div/section 只有不含块级子元素时才算作段落
+    if (['div', 'section'].includes(el.tagName) && $(el).children().toArray().some(child => BLOCK_TAGS.has(child.tagName))) {
+      return;
+    }
+
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text.length < 25) return;
+
+    const score = 1 + (text.match(/[，,。；;！？]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+
+    if (parent && parent.type === 'tag') {
+      initScore(parent);
+      scores.set(parent, scores.get(parent) + score);
+    }
+    if (grandparent && grandparent.type === 'tag') {
+      initScore(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, el));
+    if (finalScore > bestScore) {
+      best = el;
+      bestScore = finalScore;
+    }
+  }
+
+  return best ? $(best) : $('body');
+}
+
+/**
+ * 链接文字占区块文字的比例
+ * @param {Function} $ - cheerio 实例
+ * @param {Object} el - 元素
+ * @returns {number} 0-1
+ */
+function linkDensity($, el) {
+  const length = $(el).text().replace(/\s+/g, '').length;
+  if (length === 0) return 0;
+
+  const linkLength = $(el).find('a').text().replace(/\s+/g, '').length;
+  return Math.min(linkLength / length, 1);
+}
+
+/**
+ * 将正文区块展开为文字行，保留标题和列表结构
+ * @param {Function} $ - cheerio 实例
+ * @param {Object} $root - 正文区块
+ * @returns {Array<string>} 文字行
+ */
+function collectBlocks($, $root) {
+  const lines = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline.replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+    inline = '';
+  };
+
+  const walk = node => {
+    if (node.type === 'text') {
+      inline += node.data;
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.tagName;
+    const heading = tag.match(/^h([1-6])$/);
+
+    if (heading || tag === 'li') {
+      flush();
+      const text = $(node).text().replace(/\s+/g, ' ').trim();
+      if (text) {
+        lines.push(heading ? `${'#'.repeat(Number(heading[1]))} ${text}` : `- ${text}`);
+      }
+      return;
+    }
+
+    if (BLOCK_TAGS.has(tag)) flush();
+    for (const child of node.children || []) {
+      walk(child);
+    }
+    if (BLOCK_TAGS.has(tag)) flush();
+  };
+
+  for (const node of $root.toArray()) {
+    walk(node);
+  }
+  flush();
+
+  return lines;
+}
+
+/**
+ * 收集正文中的链接
+ * @param {Function} $ - cheerio 实例
+ * @param {Object} $root - 正文区块
+ * @param {string} [pageUrl] - 页面地址
+ * @returns {Array} [{ url, text, external }]
+ */
+function collectLinks($, $root, pageUrl) {
+  const host = pageUrl ? safeHost(pageUrl) : null;
+  const links = [];
+  const seen = new Set();
+
+  $root.find('a[href]').each((_, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href').trim(), pageUrl).href.replace(/#.*$/, '');
+    } catch (e) {
+      return;
+    }
+    if (!/^https?:\/\//i.test(url) || seen.has(url) || url === pageUrl) return;
+
+    seen.add(url);
+    links.push({
+      url,
+      text: $(el).text().replace(/\s+/g, ' ').trim(),
+      external: !!host && safeHost(url) !== host
+    });
+  });
+
+  return links;
+}
+
+function safeHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  fetchReadable,
+  fetchHtml,
+  detectEncoding,
+  extractReadable
+};
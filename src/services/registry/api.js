@@ -0,0 +1,124 @@
+/**
+ * 通用企业信息接口适配器
+ * 以 GET {REGISTRY_API_URL}?name=企业名称 查询，REGISTRY_API_URL 也可指向本地替身服务。
+ * 兼容常见企业信息接口的字段命名（如 creditCode / CreditCode / credit_code），
+ * 响应可以是企业对象本身，也可以包在 data / result / Result 中，或为企业列表；
+ * 列表中只采用名称或统一社会信用代码完全一致的企业，没有时视为未找到
+ */
+
+const axios = require('axios');
+
+// 各字段可能使用的名称
+const FIELD_ALIASES = {
+  name: ['name', 'Name', 'companyName', 'entName'],
+  creditCode: ['creditCode', 'CreditCode', 'credit_code', 'unifiedSocialCreditCode', 'uscc', 'regNo'],
+  legalRepresentative: ['legalRepresentative', 'legalPersonName', 'legalPerson', 'legal_person', 'OperName', 'operName'],
+  registeredCapital: ['registeredCapital', 'regCapital', 'RegistCapi', 'registCapi', 'reg_capital'],
+  registrationDate: ['registrationDate', 'establishDate', 'estiblishTime', 'StartDate', 'startDate', 'foundDate', 'reg_date'],
+  status: ['status', 'Status', 'regStatus', 'entStatus'],
+  address: ['address', 'Address', 'regLocation', 'regAddress']
+};
+
+function getConfig() {
+  return {
+    url: process.env.REGISTRY_API_URL || '',
+    apiKey: process.env.REGISTRY_API_KEY || '',
+    timeout: parseInt(process.env.REGISTRY_TIMEOUT || '10000', 10)
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().url;
+}
+
+/**
+ * 查询企业工商登记信息
+ * @param {string} companyName - 企业名称
+ * @returns {Promise<Object|null>} 接口返回的企业记录，未找到时返回 null
+ */
+async function lookup(companyName) {
+  const config = getConfig();
+
+  let data;
+  try {
+    const response = await axios.get(config.url, {
+      params: { name: companyName },
+      headers: {
+        'Accept': 'application/json',
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+      },
+      timeout: config.timeout
+    });
+    data = response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+
+  let record = data && (data.data ?? data.result ?? data.Result ?? data);
+  if (Array.isArray(record)) {
+    record = findExactMatch(record, companyName);
+  }
+  if (!record || typeof record !== 'object') return null;
+
+  const mapped = {};
+  for (const field of Object.keys(FIELD_ALIASES)) {
+    mapped[field] = pick(record, field);
+  }
+  return mapped.name || mapped.creditCode ? mapped : null;
+}
+
+/**
+ * 从列表结果中找出名称或统一社会信用代码完全一致的企业
+ * 模糊搜索接口会返回名称相近的多家企业，没有完全一致的企业时无法确定是哪一家，不取第一条，避免把其他企业的登记信息当作核验结果
+ * @param {Array} records - 接口返回的企业列表
+ * @param {string} companyName - 查询的企业名称或信用代码
+ * @returns {Object|null} 唯一匹配的企业记录
+ */
+function findExactMatch(records, companyName) {
+  const query = normalizeName(companyName);
+  const matches = records.filter(item => item && typeof item === 'object' && (
+    normalizeName(pick(item, 'name')) === query
+    || String(pick(item, 'creditCode') ?? '').trim().toUpperCase() === query.toUpperCase()
+  ));
+
+  // 同一家企业可能重复出现，以信用代码去重
+  const codes = new Set(matches.map(item => pick(item, 'creditCode') || pick(item, 'name')));
+  if (codes.size === 1) return matches[0];
+
+  const names = records.slice(0, 5).map(item => pick(item || {}, 'name')).filter(Boolean).join('、');
+  if (matches.length === 0) {
+    console.warn(`   ⚠️ 工商信息接口返回 ${records.length} 家企业，没有名称与"${companyName}"完全一致的${names ? `：${names}` : ''}`);
+  } else {
+    console.warn(`   ⚠️ 工商信息接口返回 ${matches.length} 家名称为"${companyName}"的企业，无法确定是哪一家`);
+  }
+  return null;
+}
+
+/**
+ * 统一企业名称的写法：去掉空白，全角括号视同半角
+ * @param {*} name - 企业名称
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name ?? '').replace(/\s+/g, '').replace(/（/g, '(').replace(/）/g, ')');
+}
+
+/**
+ * 按别名读取字段
+ * @param {Object} record - 接口返回的企业记录
+ * @param {string} field - 字段名
+ * @returns {*} 字段值，不存在时为 null
+ */
+function pick(record, field) {
+  const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== null && record[alias] !== '');
+  return key ? record[key] : null;
+}
+
+module.exports = {
+  name: 'api',
+  label: '企业信息接口',
+  getConfig,
+  isConfigured,
+  lookup
+};
@@ -0,0 +1,80 @@
+/**
+ * 工商登记信息服务
+ * 通过 REGISTRY_PROVIDER 选择企业信息接口适配器，查询统一社会信用代码、法定代表人、注册资本、成立日期等核验过的登记信息。
+ * 适配器需实现 { name, label, isConfigured(), lookup(companyName) }，lookup 返回以本服务字段名映射后的记录
+ */
+
+const api = require('./api');
+const { normalizeDate } = require('../../utils/helpers');
+
+const ADAPTERS = {
+  api
+};
+
+// 统一社会信用代码：18 位，不含 I、O、S、V、Z
+const CREDIT_CODE_PATTERN = /^[0-9A-HJ-NPQRTUWXY]{2}\d{6}[0-9A-HJ-NPQRTUWXY]{10}$/;
+
+/**
+ * 获取当前适配器
+ * @returns {Object|null} 已配置的适配器，未配置时返回 null
+ */
+function getAdapter() {
+  const name = String(process.env.REGISTRY_PROVIDER || 'api').trim().toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    console.warn(`⚠️  未知的工商信息适配器: ${name}`);
+    return null;
+  }
+  return adapter.isConfigured() ? adapter : null;
+}
+
+/**
+ * 查询企业工商登记信息
+ * @param {string} companyName - 企业名称
+ * @returns {Promise<Object|null>} { name, creditCode, legalRepresentative, registeredCapital, registrationDate, status, address }，
+ *   未配置接口或未找到企业时返回 null；缺失的字段不出现在结果中
+ */
+async function lookupRegistration(companyName) {
+  const adapter = getAdapter();
+  if (!adapter) return null;
+
+  const record = await adapter.lookup(companyName);
+  if (!record) return null;
+
+  const text = value => (value === null || value === undefined ? null : String(value).trim() || null);
+  const creditCode = text(record.creditCode)?.toUpperCase();
+
+  const registration = {
+    name: text(record.name),
+    creditCode: creditCode && CREDIT_CODE_PATTERN.test(creditCode) ? creditCode : null,
+    legalRepresentative: text(record.legalRepresentative),
+    registeredCapital: typeof record.registeredCapital === 'number'
+      ? `${record.registeredCapital}万元人民币`
+      : text(record.registeredCapital),
+    registrationDate: normalizeDate(record.registrationDate, { minYear: 1900 }),
+    status: text(record.status),
+    address: text(record.address)
+  };
+
+  const result = Object.fromEntries(Object.entries(registration).filter(([, value]) => value !== null));
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * 检查工商信息接口配置
+ * @returns {Object} 配置状态
+ */
+function checkConfig() {
+  const adapter = getAdapter();
+  return {
+    configured: !!adapter,
+    provider: adapter ? adapter.name : null
+  };
+}
+
+module.exports = {
+  CREDIT_CODE_PATTERN,
+  getAdapter,
+  lookupRegistration,
+  checkConfig
+};
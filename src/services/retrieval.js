@@ -0,0 +1,181 @@
+/**
+ * 检索增强服务
+ * 搜索企业相关网页、抓取正文并切分为片段，作为模型提取企业信息的参考资料
+ */
+
+const searchService = require('./search');
+const ranking = require('./ranking');
+
+// 检索模式：rag 仅用检索资料；web_search 仅用模型联网搜索；hybrid 两者同时使用
+const RETRIEVAL_MODES = ['rag', 'web_search', 'hybrid'];
+
+// 抓取正文的页面数
+const RAG_PAGES = parseInt(process.env.RAG_PAGES || '4', 10);
+// 单个片段的最大字符数
+const RAG_CHUNK_SIZE = parseInt(process.env.RAG_CHUNK_SIZE || '500', 10);
+// 传给模型的最大片段数
+const RAG_MAX_CHUNKS = parseInt(process.env.RAG_MAX_CHUNKS || '8', 10);
+
+/**
+ * 获取检索模式
+ * @param {string} [mode] - 请求指定的模式
+ * @returns {string} 生效的检索模式
+ */
+function getRetrievalMode(mode) {
+  const value = String(mode || process.env.EXTRACT_MODE || 'hybrid').trim().toLowerCase();
+  return RETRIEVAL_MODES.includes(value) ? value : 'hybrid';
+}
+
+/**
+ * 检索企业相关资料
+ * @param {string} companyName - 企业名称
+ * @param {Object} [searchOptions] - 搜索选项 { engines, strategy }
+ * @returns {Promise<Object>} { documents, chunks, officialSite, searchErrors }
+ *   documents: 来源列表 [{ url, title, text, origin }]，可复用于字段引用
+ *   chunks: 挑选后的片段 [{ id, url, title, text }]
+ *   officialSite: 识别出的企业官网 { url, score, reasons }，未识别时为 null
+ *   searchErrors: 搜索失败记录
+ */
+async function retrieveContext(companyName, searchOptions = {}) {
+  const { results: searchResults, errors: searchErrors } = await searchService.searchCompany(companyName, searchOptions);
+  if (searchErrors.length > 0) {
+    console.warn(`   ⚠️ 检索搜索有 ${searchErrors.length} 次请求失败`);
+  }
+
+  const documents = searchResults.map(result => ({
+    url: result.url,
+    title: result.title,
+    text: result.snippet || '',
+    origin: 'search'
+  }));
+
+  const pages = await Promise.all(
+    searchResults.slice(0, RAG_PAGES).map(async result => ({
+      url: result.url,
+      title: result.title,
+      text: cleanText(await searchService.fetchPageContent(result.url)),
+      origin: 'page'
+    }))
+  );
+  documents.push(...pages.filter(page => page.text));
+
+  // 页面正文切片；没有正文的结果使用搜索摘要
+  const fetchedUrls = new Set(pages.filter(page => page.text).map(page => page.url));
+  const allChunks = documents
+    .filter(doc => doc.origin === 'page' || !fetchedUrls.has(doc.url))
+    .flatMap(doc => chunkText(doc.text, RAG_CHUNK_SIZE).map(text => ({ url: doc.url, title: doc.title, text })));
+
+  const chunks = rankChunks(allChunks, companyName)
+    .slice(0, RAG_MAX_CHUNKS)
+    .map((chunk, index) => ({ id: index + 1, ...chunk }));
+
+  console.log(`   📄 检索到 ${searchResults.length} 条结果，选取 ${chunks.length} 个片段`);
+
+  const officialSite = await ranking.detectOfficialSite(searchResults, companyName);
+  if (officialSite) {
+    console.log(`   🏠 识别到企业官网: ${officialSite.url}`);
+  }
+
+  return { documents, chunks, officialSite, searchErrors };
+}
+
+/**
+ * 清理网页文本
+ * @param {string} text - 原始文本
+ * @returns {string} 清理后的文本
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/[\u200b-\u200f\ufeff]/g, '')
+    .replace(/(版权所有|Copyright|©|All Rights Reserved)[^。]*$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 按句子切分文本，每片不超过指定长度
+ * @param {string} text - 文本
+ * @param {number} size - 片段最大长度
+ * @returns {Array<string>} 片段列表
+ */
+function chunkText(text, size) {
+  const sentences = String(text || '').match(/[^。！？!?]+[。！？!?]?/g) || [];
+  const chunks = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    const piece = sentence.trim();
+    if (!piece) continue;
+
+    if (current && current.length + piece.length > size) {
+      chunks.push(current);
+      current = '';
+    }
+    // 超长句子直接截断成多片
+    for (let i = 0; i < piece.length; i += size) {
+      const part = piece.slice(i, i + size);
+      if (current.length + part.length > size) {
+        chunks.push(current);
+        current = '';
+      }
+      current += part;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.filter(chunk => chunk.length >= 20);
+}
+
+/**
+ * 按与企业的相关度排序片段
+ * @param {Array} chunks - 片段列表
+ * @param {string} companyName - 企业名称
+ * @returns {Array} 排序后的片段
+ */
+function rankChunks(chunks, companyName) {
+  const shortName = companyName.replace(/有限公司|股份有限公司|有限责任公司|集团|科技|网络|信息/g, '') || companyName;
+  const keywords = ['成立', '总部', '业务', '产品', '服务', '电话', '地址', '邮箱', '官网', '简介', '致力于'];
+
+  const score = text => {
+    let value = 0;
+    if (text.includes(companyName)) value += 5;
+    if (shortName !== companyName && text.includes(shortName)) value += 3;
+    for (const keyword of keywords) {
+      if (text.includes(keyword)) value += 1;
+    }
+    return value;
+  };
+
+  const seen = new Set();
+  return chunks
+    .filter(chunk => {
+      if (seen.has(chunk.text)) return false;
+      seen.add(chunk.text);
+      return true;
+    })
+    .map(chunk => ({ ...chunk, score: score(chunk.text) }))
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...chunk }) => chunk);
+}
+
+/**
+ * 将片段格式化为提示词中的参考资料
+ * @param {Array} chunks - 片段列表
+ * @returns {string} 参考资料文本
+ */
+function formatContext(chunks) {
+  return chunks
+    .map(chunk => `[${chunk.id}] ${chunk.title} (${chunk.url})\n${chunk.text}`)
+    .join('\n\n');
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  getRetrievalMode,
+  retrieveContext,
+  chunkText,
+  formatContext
+};
@@ -1,17 +1,30 @@
 /**
  * 企业信息搜索服务
- * 使用网络搜索获取企业相关信息
+ * 通过可插拔的搜索引擎适配器（Bing / 百度 / DuckDuckGo / SearXNG）获取企业相关信息
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+const searchEngines = require('./searchEngines');
+const readability = require('./readability');
+const ranking = require('./ranking');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+// 同时执行的搜索查询数
+const SEARCH_CONCURRENCY = parseInt(process.env.SEARCH_CONCURRENCY || '2', 10);
+// 单个页面正文的最大长度
+const PAGE_CONTENT_LIMIT = 3000;
 
 /**
  * 搜索企业信息
+ * 多个查询按 SEARCH_CONCURRENCY 并发执行，单个引擎或查询失败不影响其他结果
  * @param {string} companyName - 企业名称
- * @returns {Promise<Array>} 搜索结果列表
+ * @param {Object} [options] - 搜索选项
+ * @param {Array|string} [options.engines] - 使用的搜索引擎，不指定时取 SEARCH_ENGINES
+ * @param {string} [options.strategy] - fallback | merge，不指定时取 SEARCH_STRATEGY
+ * @returns {Promise<Object>} { results, errors }
+ *   results: 按官网可能性和来源权威度排序的搜索结果 [{ title, url, snippet, source, engines, score, officialScore }]
+ *   errors: 失败记录 [{ query, engine, status, message }]
  */
-async function searchCompany(companyName) {
+async function searchCompany(companyName, options = {}) {
   const searchQueries = [
     `${companyName} 公司介绍`,
     `${companyName} 官网`,
@@ -19,148 +32,141 @@ async function searchCompany(companyName) {
     `${companyName} 产品服务`
   ];
   
-  const results = [];
+  const outcomes = await mapWithConcurrency(searchQueries, SEARCH_CONCURRENCY, query => performSearch(query, options));
+  
+  const results = outcomes.flatMap(outcome => outcome.results);
+  const errors = outcomes.flatMap(outcome => outcome.errors);
   
-  for (const query of searchQueries) {
+  // 跨查询、跨引擎去重，排序后限制数量
+  const rankedResults = ranking.rankResults(mergeResults(results), companyName);
+  return {
+    results: rankedResults.slice(0, 10),
+    errors
+  };
+}
+
+/**
+ * 单独搜索并识别企业官网（不需要完整检索时使用）
+ * @param {string} companyName - 企业名称
+ * @param {Object} [options] - 搜索选项 { engines, strategy }
+ * @returns {Promise<Object|null>} { url, score, reasons }，未识别时返回 null
+ */
+async function findOfficialSite(companyName, options = {}) {
+  const { results } = await performSearch(`${companyName} 官网`, options);
+  return ranking.detectOfficialSite(results, companyName);
+}
+
+/**
+ * 执行搜索请求
+ * fallback 策略按引擎顺序尝试，返回第一个有结果的引擎；merge 策略同时查询全部引擎后合并
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - { engines, strategy }
+ * @returns {Promise<Object>} { results, errors }
+ */
+async function performSearch(query, options = {}) {
+  const chain = searchEngines.getEngineChain(options.engines);
+  const strategy = searchEngines.getSearchStrategy(options.strategy);
+  const results = [];
+  const errors = [];
+
+  if (chain.length === 0) {
+    errors.push({ query, engine: null, status: null, message: '没有可用的搜索引擎' });
+    return { results, errors };
+  }
+
+  const run = async engine => {
     try {
-      const searchResults = await performSearch(query);
-      results.push(...searchResults);
+      const engineResults = await engine.search(query);
+      results.push(...engineResults.map(result => ({
+        ...result,
+        source: engine.name,
+        engines: [engine.name]
+      })));
     } catch (error) {
-      console.warn(`搜索 "${query}" 失败:`, error.message);
+      console.warn(`${engine.label} 搜索 "${query}" 失败:`, error.message);
+      errors.push({
+        query,
+        engine: engine.name,
+        status: error.response?.status || null,
+        message: error.message
+      });
+    }
+  };
+
+  if (strategy === 'merge') {
+    await Promise.all(chain.map(run));
+  } else {
+    for (const engine of chain) {
+      await run(engine);
+      if (results.length > 0) break;
     }
   }
-  
-  // 去重并限制数量
-  const uniqueResults = removeDuplicates(results, 'url');
-  return uniqueResults.slice(0, 10);
+
+  return { results: mergeResults(results), errors };
 }
 
 /**
- * 执行搜索请求
- * 使用 Bing 搜索（免费，无需 API Key）
- * @param {string} query - 搜索关键词
- * @returns {Promise<Array>} 搜索结果
+ * 规范化 URL 用于去重：忽略协议、www 前缀、末尾斜杠、锚点和跟踪参数
+ * @param {string} url - 原始 URL
+ * @returns {string} 规范化后的 URL
  */
-async function performSearch(query) {
+function normalizeUrl(url) {
   try {
-    // 使用 Bing 搜索
-    const searchUrl = `https://www.bing.com/search?q=${encodeURIComponent(query)}`;
-    
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': 'https://www.bing.com/'
-      },
-      timeout: 10000,
-      maxRedirects: 5
-    });
-    
-    // 解析搜索结果
-    const $ = cheerio.load(response.data);
-    const results = [];
-    
-    // Bing 搜索结果选择器
-    $('.b_algo').each((index, element) => {
-      const $el = $(element);
-      const title = $el.find('h2').text().trim();
-      const url = $el.find('h2 a').attr('href');
-      const snippet = $el.find('.b_caption p, .b_paractl p').text().trim();
-      
-      if (title && url) {
-        results.push({
-          title,
-          url,
-          snippet: snippet || title,
-          source: 'bing'
-        });
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !/^(utm_|spm$|from$|fr$)/i.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+
+    return `${host}${pathname}${query}`;
+  } catch (e) {
+    return String(url || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * 合并搜索结果：按规范化 URL 去重，记录找到该结果的全部引擎
+ * @param {Array} results - 搜索结果
+ * @returns {Array} 合并后的结果
+ */
+function mergeResults(results) {
+  const merged = new Map();
+
+  for (const result of results) {
+    const key = normalizeUrl(result.url);
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...result, engines: [...(result.engines || [result.source])] });
+      continue;
+    }
+
+    for (const engine of result.engines || [result.source]) {
+      if (!existing.engines.includes(engine)) {
+        existing.engines.push(engine);
       }
-    });
-    
-    // 如果没有结果，尝试备用选择器
-    if (results.length === 0) {
-      $('li.b_algo').each((index, element) => {
-        const $el = $(element);
-        const title = $el.find('a').first().text().trim();
-        const url = $el.find('a').first().attr('href');
-        const snippet = $el.find('p').first().text().trim();
-        
-        if (title && url) {
-          results.push({
-            title,
-            url,
-            snippet: snippet || title,
-            source: 'bing'
-          });
-        }
-      });
     }
-    
-    return results;
-  } catch (error) {
-    console.error('搜索请求失败:', error.message);
-    return [];
+    // 保留更长的摘要
+    if ((result.snippet || '').length > (existing.snippet || '').length) {
+      existing.snippet = result.snippet;
+    }
   }
+
+  return [...merged.values()];
 }
 
 /**
- * 获取网页详情内容
+ * 获取网页正文
+ * 按内容密度提取正文，超长时在句末截断
  * @param {string} url - 网页 URL
  * @returns {Promise<string>} 页面内容
  */
 async function fetchPageContent(url) {
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 10000,
-      maxRedirects: 3
-    });
-    
-    const $ = cheerio.load(response.data);
-    
-    // 移除脚本和样式
-    $('script, style, nav, footer, header, aside').remove();
-    
-    // 提取主要内容
-    let content = '';
-    
-    // 尝试多种内容选择器
-    const contentSelectors = [
-      'main',
-      'article',
-      '.content',
-      '.main-content',
-      '#content',
-      '.post-content',
-      'body'
-    ];
-    
-    for (const selector of contentSelectors) {
-      const $content = $(selector);
-      if ($content.length > 0) {
-        content = $content.text().trim();
-        if (content.length > 200) {
-          break;
-        }
-      }
-    }
-    
-    // 清理文本
-    content = content
-      .replace(/\s+/g, ' ')
-      .replace(/\n+/g, '\n')
-      .trim();
-    
-    // 限制长度
-    if (content.length > 3000) {
-      content = content.substring(0, 3000) + '...';
-    }
-    
-    return content;
+    const { text } = await readability.fetchReadable(url);
+    return truncateAtSentence(text, PAGE_CONTENT_LIMIT);
   } catch (error) {
     console.warn(`获取页面内容失败: ${url}`, error.message);
     return '';
@@ -168,24 +174,25 @@ async function fetchPageContent(url) {
 }
 
 /**
- * 数组去重
- * @param {Array} arr - 数组
- * @param {string} key - 去重键
- * @returns {Array} 去重后的数组
+ * 在句末截断文本，找不到合适的句末时硬截断
+ * @param {string} text - 文本
+ * @param {number} limit - 最大长度
+ * @returns {string}
  */
-function removeDuplicates(arr, key) {
-  const seen = new Set();
-  return arr.filter(item => {
-    const val = item[key];
-    if (seen.has(val)) {
-      return false;
-    }
-    seen.add(val);
-    return true;
-  });
+function truncateAtSentence(text, limit) {
+  if (text.length <= limit) return text;
+
+  const head = text.slice(0, limit);
+  const end = Math.max(...['。', '！', '？', '!', '?', '\n', '. '].map(mark => head.lastIndexOf(mark)));
+  return end >= limit / 2 ? head.slice(0, end + 1).trim() : `${head}...`;
 }
 
 module.exports = {
   searchCompany,
-  fetchPageContent
+  performSearch,
+  findOfficialSite,
+  fetchPageContent,
+  truncateAtSentence,
+  normalizeUrl,
+  mergeResults
 };
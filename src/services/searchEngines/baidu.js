@@ -0,0 +1,48 @@
+/**
+ * 百度搜索适配器
+ * 解析网页搜索结果，结果链接优先取真实地址（mu 属性），否则保留百度跳转链接
+ */
+
+const cheerio = require('cheerio');
+const { fetchPage, isHttpUrl } = require('./common');
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 执行搜索
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - { timeout }
+ * @returns {Promise<Array>} 搜索结果 [{ title, url, snippet }]
+ */
+async function search(query, options = {}) {
+  const html = await fetchPage(`https://www.baidu.com/s?wd=${encodeURIComponent(query)}&rn=20`, {
+    headers: { 'Referer': 'https://www.baidu.com/' },
+    timeout: options.timeout
+  });
+
+  const $ = cheerio.load(html);
+  const results = [];
+
+  $('#content_left .result, #content_left .c-container').each((index, element) => {
+    const $el = $(element);
+    const $link = $el.find('h3 a').first();
+    const title = $link.text().trim();
+    const url = $el.attr('mu') || $link.attr('href');
+    const snippet = $el.find('.c-abstract, [class*="content-right"], .c-span-last').first().text().trim();
+
+    if (title && isHttpUrl(url)) {
+      results.push({ title, url, snippet: snippet || title });
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  name: 'baidu',
+  label: '百度',
+  isConfigured,
+  search
+};
@@ -0,0 +1,66 @@
+/**
+ * Bing 搜索适配器
+ * 解析网页搜索结果（免费，无需 API Key）
+ */
+
+const cheerio = require('cheerio');
+const { fetchPage, isHttpUrl } = require('./common');
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 还原 Bing 跳转链接（bing.com/ck/a?...&u=a1<base64>）
+ * @param {string} url - 结果链接
+ * @returns {string} 目标地址
+ */
+function resolveUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const encoded = parsed.hostname.endsWith('bing.com') && parsed.searchParams.get('u');
+    if (encoded && encoded.startsWith('a1')) {
+      return Buffer.from(encoded.slice(2), 'base64url').toString('utf-8');
+    }
+  } catch (e) {
+    // 不是有效 URL，原样返回
+  }
+  return url;
+}
+
+/**
+ * 执行搜索
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - { timeout }
+ * @returns {Promise<Array>} 搜索结果 [{ title, url, snippet }]
+ */
+async function search(query, options = {}) {
+  const html = await fetchPage(`https://www.bing.com/search?q=${encodeURIComponent(query)}`, {
+    headers: { 'Referer': 'https://www.bing.com/' },
+    timeout: options.timeout
+  });
+
+  const $ = cheerio.load(html);
+  const results = [];
+
+  $('.b_algo').each((index, element) => {
+    const $el = $(element);
+    const $link = $el.find('h2 a').first().length ? $el.find('h2 a').first() : $el.find('a').first();
+    const title = ($el.find('h2').first().text() || $link.text()).trim();
+    const url = resolveUrl($link.attr('href'));
+    const snippet = $el.find('.b_caption p, .b_paractl p, p').first().text().trim();
+
+    if (title && isHttpUrl(url)) {
+      results.push({ title, url, snippet: snippet || title });
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  name: 'bing',
+  label: 'Bing',
+  isConfigured,
+  search
+};
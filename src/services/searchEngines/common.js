@@ -0,0 +1,132 @@
+/**
+ * 搜索引擎适配器公共方法
+ * 所有搜索请求经过同一个按主机限速、遇到 429/5xx 指数退避重试的请求函数
+ */
+
+const axios = require('axios');
+const { sleep } = require('../../utils/helpers');
+
+// 同一主机两次请求之间的最小间隔（毫秒）
+const HOST_INTERVAL = parseInt(process.env.SEARCH_HOST_INTERVAL || '1000', 10);
+// 429/5xx 时的最大重试次数
+const MAX_RETRIES = parseInt(process.env.SEARCH_RETRIES || '2', 10);
+// 退避基础时长（毫秒），第 n 次重试等待 基础时长 × 2^(n-1)
+const RETRY_BASE_DELAY = parseInt(process.env.SEARCH_RETRY_DELAY || '500', 10);
+// Retry-After 最长等待时间（毫秒）
+const MAX_RETRY_AFTER = 30000;
+
+// 模拟浏览器请求头，降低被搜索引擎拦截的概率
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+  'Accept-Encoding': 'gzip, deflate, br'
+};
+
+// 每个主机下一次可发起请求的时间
+const hostSlots = new Map();
+
+/**
+ * 等待主机的请求时段，并发调用时依次排队
+ * @param {string} host - 主机名
+ */
+async function waitForHost(host) {
+  const now = Date.now();
+  const slot = Math.max(now, hostSlots.get(host) || 0);
+  hostSlots.set(host, slot + HOST_INTERVAL);
+
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string} value - 秒数或 HTTP 日期
+ * @returns {number|null} 等待毫秒数
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  return Number.isFinite(delay) && delay >= 0 ? Math.min(delay, MAX_RETRY_AFTER) : null;
+}
+
+/**
+ * 判断错误是否值得重试（限流或服务端错误）
+ * @param {Error} error - 请求错误
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * 发起搜索请求
+ * @param {string} url - 请求地址
+ * @param {Object} [options] - { params, headers, timeout, responseType, maxRedirects, maxContentLength, lookup }
+ * @returns {Promise<*>} 响应内容
+ */
+async function request(url, options = {}) {
+  const host = new URL(url).hostname;
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForHost(host);
+
+    try {
+      const response = await axios.get(url, {
+        params: options.params,
+        headers: options.headers,
+        timeout: options.timeout || 10000,
+        responseType: options.responseType,
+        maxRedirects: options.maxRedirects ?? 5,
+        maxContentLength: options.maxContentLength,
+        lookup: options.lookup
+      });
+      return response.data;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = parseRetryAfter(error.response.headers?.['retry-after'])
+        ?? RETRY_BASE_DELAY * 2 ** attempt;
+      console.warn(`   ⏳ ${host} 返回 ${error.response.status}，${delay}ms 后重试（第 ${attempt + 1}/${MAX_RETRIES} 次）`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * 请求搜索结果页
+ * @param {string} url - 请求地址
+ * @param {Object} [options] - { headers, timeout, maxRedirects, maxContentLength, lookup }
+ * @returns {Promise<string>} 页面内容
+ */
+async function fetchPage(url, options = {}) {
+  return request(url, {
+    headers: { ...BROWSER_HEADERS, ...options.headers },
+    timeout: options.timeout,
+    maxRedirects: options.maxRedirects,
+    maxContentLength: options.maxContentLength,
+    lookup: options.lookup
+  });
+}
+
+/**
+ * 判断是否为可用的结果链接
+ * @param {string} url - 链接
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+module.exports = {
+  BROWSER_HEADERS,
+  request,
+  fetchPage,
+  isHttpUrl
+};
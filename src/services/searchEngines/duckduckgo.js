@@ -0,0 +1,66 @@
+/**
+ * DuckDuckGo 搜索适配器
+ * 使用无脚本的 HTML 版本（html.duckduckgo.com）
+ */
+
+const cheerio = require('cheerio');
+const { fetchPage, isHttpUrl } = require('./common');
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 还原 DuckDuckGo 跳转链接（//duckduckgo.com/l/?uddg=<编码后的地址>）
+ * @param {string} href - 结果链接
+ * @returns {string} 目标地址
+ */
+function resolveUrl(href) {
+  if (!href) return href;
+  try {
+    const parsed = new URL(href, 'https://duckduckgo.com');
+    const target = parsed.searchParams.get('uddg');
+    return target || parsed.href;
+  } catch (e) {
+    return href;
+  }
+}
+
+/**
+ * 执行搜索
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - { timeout }
+ * @returns {Promise<Array>} 搜索结果 [{ title, url, snippet }]
+ */
+async function search(query, options = {}) {
+  const html = await fetchPage(`https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}&kl=cn-zh`, {
+    headers: { 'Referer': 'https://html.duckduckgo.com/' },
+    timeout: options.timeout
+  });
+
+  const $ = cheerio.load(html);
+  const results = [];
+
+  $('.result').each((index, element) => {
+    const $el = $(element);
+    if ($el.hasClass('result--ad')) return;
+
+    const $link = $el.find('.result__a').first();
+    const title = $link.text().trim();
+    const url = resolveUrl($link.attr('href'));
+    const snippet = $el.find('.result__snippet').first().text().trim();
+
+    if (title && isHttpUrl(url)) {
+      results.push({ title, url, snippet: snippet || title });
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  name: 'duckduckgo',
+  label: 'DuckDuckGo',
+  isConfigured,
+  search
+};
@@ -0,0 +1,118 @@
+/**
+ * 搜索引擎注册与选择
+ * 通过 SEARCH_ENGINES 指定引擎顺序，SEARCH_STRATEGY 指定按顺序降级（fallback）还是合并全部引擎结果（merge）
+ */
+
+const bing = require('./bing');
+const baidu = require('./baidu');
+const duckduckgo = require('./duckduckgo');
+const searxng = require('./searxng');
+
+const ENGINES = {
+  bing,
+  baidu,
+  duckduckgo,
+  searxng
+};
+
+// 未显式配置时的默认顺序
+const DEFAULT_ORDER = ['bing', 'baidu', 'duckduckgo', 'searxng'];
+
+// fallback: 按顺序尝试，取第一个有结果的引擎；merge: 使用全部引擎并合并结果
+const SEARCH_STRATEGIES = ['fallback', 'merge'];
+
+/**
+ * 按名称获取搜索引擎
+ * @param {string} name - 引擎名称
+ * @returns {Object|undefined} 引擎
+ */
+function getEngine(name) {
+  return ENGINES[String(name || '').trim().toLowerCase()];
+}
+
+/**
+ * 解析引擎列表，支持数组或逗号分隔的字符串
+ * @param {Array|string} value - 引擎列表
+ * @returns {Array<string>} 名称列表
+ */
+function parseEngines(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list
+    .map(s => String(s).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * 找出列表中未知的引擎名称
+ * @param {Array|string} value - 引擎列表
+ * @returns {Array<string>} 未知名称
+ */
+function findUnknownEngines(value) {
+  return parseEngines(value).filter(name => !getEngine(name));
+}
+
+/**
+ * 获取引擎顺序：请求指定 → SEARCH_ENGINES → 默认顺序
+ * 未配置的引擎（如未设置 SEARXNG_URL）会被跳过
+ * @param {Array|string} [engines] - 请求指定的引擎
+ * @returns {Array<Object>} 引擎列表
+ */
+function getEngineChain(engines) {
+  let names = parseEngines(engines);
+  if (names.length === 0) {
+    names = process.env.SEARCH_ENGINES !== undefined
+      ? parseEngines(process.env.SEARCH_ENGINES)
+      : DEFAULT_ORDER;
+  }
+
+  const chain = [];
+  for (const name of names) {
+    const engine = getEngine(name);
+    if (!engine) {
+      console.warn(`⚠️  未知的搜索引擎: ${name}`);
+      continue;
+    }
+    if (!chain.includes(engine) && engine.isConfigured()) {
+      chain.push(engine);
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * 获取搜索策略
+ * @param {string} [strategy] - 请求指定的策略
+ * @returns {string} 生效的策略
+ */
+function getSearchStrategy(strategy) {
+  const value = String(strategy || process.env.SEARCH_STRATEGY || 'fallback').trim().toLowerCase();
+  return SEARCH_STRATEGIES.includes(value) ? value : 'fallback';
+}
+
+/**
+ * 检查搜索引擎配置
+ * @returns {Object} 配置状态
+ */
+function checkEngines() {
+  const engines = {};
+  for (const [name, engine] of Object.entries(ENGINES)) {
+    engines[name] = { configured: engine.isConfigured() };
+  }
+
+  return {
+    strategy: getSearchStrategy(),
+    chain: getEngineChain().map(e => e.name),
+    engines
+  };
+}
+
+module.exports = {
+  SEARCH_STRATEGIES,
+  getEngine,
+  parseEngines,
+  findUnknownEngines,
+  getEngineChain,
+  getSearchStrategy,
+  checkEngines
+};
@@ -0,0 +1,53 @@
+/**
+ * SearXNG 搜索适配器
+ * 调用自建 SearXNG 实例的 JSON 接口，SEARXNG_URL 也可指向本地替身服务
+ */
+
+const { request, isHttpUrl } = require('./common');
+
+function getConfig() {
+  return {
+    url: (process.env.SEARXNG_URL || '').replace(/\/+$/, ''),
+    language: process.env.SEARXNG_LANGUAGE || 'zh-CN'
+  };
+}
+
+function isConfigured() {
+  return !!getConfig().url;
+}
+
+/**
+ * 执行搜索
+ * @param {string} query - 搜索关键词
+ * @param {Object} [options] - { timeout }
+ * @returns {Promise<Array>} 搜索结果 [{ title, url, snippet }]
+ */
+async function search(query, options = {}) {
+  const config = getConfig();
+
+  const data = await request(`${config.url}/search`, {
+    params: { q: query, format: 'json', language: config.language },
+    headers: { 'Accept': 'application/json' },
+    timeout: options.timeout
+  });
+
+  if (!data || !Array.isArray(data.results)) {
+    throw new Error('SearXNG 返回内容缺少 results 数组（请确认实例已开启 json 格式）');
+  }
+
+  return data.results
+    .filter(item => item.title && isHttpUrl(item.url))
+    .map(item => ({
+      title: item.title.trim(),
+      url: item.url,
+      snippet: (item.content || item.title).trim()
+    }));
+}
+
+module.exports = {
+  name: 'searxng',
+  label: 'SearXNG',
+  getConfig,
+  isConfigured,
+  search
+};
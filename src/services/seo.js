@@ -0,0 +1,175 @@
+/**
+ * 搜索引擎优化服务
+ * 生成规范链接、Open Graph / Twitter 卡片所需的地址、JSON-LD 结构化数据、sitemap.xml 和 robots.txt
+ */
+
+// 百度站长平台验证码，请求未指定时使用
+const BAIDU_SITE_VERIFICATION = process.env.BAIDU_SITE_VERIFICATION || '';
+
+/**
+ * 构建模板使用的 SEO 数据
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object} options
+ * @param {string|null} options.baseUrl - 网站公开访问地址，未知时不生成规范链接和站点地图
+ * @param {Object} options.assets - Logo 与图标（logo.generateBrandAssets 的结果）
+ * @param {string} [options.baiduVerification] - 百度站长平台验证码
+ * @returns {Object} { baseUrl, baiduVerification, url, jsonLd }
+ *   url(file): 页面或资源的绝对地址，baseUrl 未知时原样返回相对路径
+ */
+function buildSeoData(companyInfo, { baseUrl, assets, baiduVerification }) {
+  const base = normalizeBaseUrl(baseUrl);
+  const url = file => (base ? absoluteUrl(base, file) : file);
+
+  return {
+    baseUrl: base,
+    baiduVerification: baiduVerification || BAIDU_SITE_VERIFICATION || null,
+    url,
+    jsonLd: serializeJsonLd(buildStructuredData(companyInfo, { baseUrl: base, assets }))
+  };
+}
+
+/**
+ * 规范化公开访问地址：必须是 http(s) 地址，统一以 / 结尾
+ * @param {string|null} baseUrl - 地址
+ * @returns {string|null}
+ */
+function normalizeBaseUrl(baseUrl) {
+  if (!baseUrl) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`网站地址无效: ${baseUrl}`);
+  }
+  if (!/^https?:$/.test(parsed.protocol)) {
+    throw new Error(`网站地址应以 http:// 或 https:// 开头: ${baseUrl}`);
+  }
+  parsed.search = '';
+  parsed.hash = '';
+  if (!parsed.pathname.endsWith('/')) parsed.pathname += '/';
+  return parsed.href;
+}
+
+/**
+ * 拼接绝对地址，首页使用目录地址
+ * @param {string} base - 以 / 结尾的网站地址
+ * @param {string} file - 相对网站根目录的路径
+ * @returns {string}
+ */
+function absoluteUrl(base, file) {
+  if (/^https?:\/\//i.test(file)) return file;
+  return new URL(file === 'index.html' ? '' : file, base).href;
+}
+
+/**
+ * 构建 JSON-LD 结构化数据
+ * 有详细地址和电话时标为 LocalBusiness，否则为 Organization
+ * @param {Object} companyInfo - 企业信息
+ * @param {Object} options - { baseUrl, assets }
+ * @returns {Object}
+ */
+function buildStructuredData(companyInfo, { baseUrl, assets }) {
+  const contact = companyInfo.contact || {};
+  const social = companyInfo.social || {};
+  const url = file => (baseUrl ? absoluteUrl(baseUrl, file) : null);
+  const isLocalBusiness = !!(contact.address && contact.phone);
+
+  // 搜索引擎要求 Logo 为位图：优先官网 Logo，其次生成的 apple-touch-icon
+  const logo = companyInfo.brand?.logo || (assets?.appleTouchIcon && url(assets.appleTouchIcon));
+  const sameAs = [social.website, social.weibo]
+    .filter(link => link && /^https?:\/\//i.test(link) && link !== baseUrl);
+  const foundingYear = String(companyInfo.founded || '').match(/\d{4}/);
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': isLocalBusiness ? 'LocalBusiness' : 'Organization',
+    name: companyInfo.name,
+    alternateName: companyInfo.shortName && companyInfo.shortName !== companyInfo.name ? companyInfo.shortName : undefined,
+    description: companyInfo.business || companyInfo.description || undefined,
+    url: baseUrl || social.website || undefined,
+    logo: logo || undefined,
+    image: assets?.ogImage ? url(assets.ogImage) || undefined : undefined,
+    telephone: contact.phone || undefined,
+    email: contact.email || undefined,
+    foundingDate: foundingYear ? foundingYear[0] : undefined,
+    address: contact.address
+      ? { '@type': 'PostalAddress', streetAddress: contact.address, addressCountry: 'CN' }
+      : undefined,
+    sameAs: sameAs.length > 0 ? sameAs : undefined
+  };
+
+  if (companyInfo.registration?.creditCode) {
+    data.taxID = companyInfo.registration.creditCode;
+  }
+  if (!isLocalBusiness && (contact.phone || contact.email)) {
+    data.contactPoint = {
+      '@type': 'ContactPoint',
+      contactType: 'customer service',
+      telephone: contact.phone || undefined,
+      email: contact.email || undefined
+    };
+  }
+  return data;
+}
+
+/**
+ * 序列化 JSON-LD，转义 < 以免提前结束 script 标签
+ * @param {Object} data - 结构化数据
+ * @returns {string}
+ */
+function serializeJsonLd(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * 生成 sitemap.xml
+ * @param {string} baseUrl - 以 / 结尾的网站地址
+ * @param {Array<string>} files - 页面文件，如 index.html、news-1.html
+ * @param {Date} [lastmod] - 更新时间
+ * @returns {string}
+ */
+function buildSitemap(baseUrl, files, lastmod = new Date()) {
+  const date = lastmod.toISOString().slice(0, 10);
+  const urls = files.map(file => `  <url>
+    <loc>${escapeXml(absoluteUrl(baseUrl, file))}</loc>
+    <lastmod>${date}</lastmod>
+    <priority>${file === 'index.html' ? '1.0' : '0.8'}</priority>
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * 生成 robots.txt
+ * @param {string|null} baseUrl - 网站地址，已知时声明站点地图
+ * @returns {string}
+ */
+function buildRobots(baseUrl) {
+  const lines = ['User-agent: *', 'Allow: /'];
+  if (baseUrl) {
+    lines.push('', `Sitemap: ${absoluteUrl(baseUrl, 'sitemap.xml')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+module.exports = {
+  buildSeoData,
+  normalizeBaseUrl,
+  buildStructuredData,
+  buildSitemap,
+  buildRobots
+};
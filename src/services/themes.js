@@ -0,0 +1,230 @@
+/**
+ * 网站主题服务
+ * 主题存放在 themes/<主题>/ 目录下，包含布局、页面模板、样式和脚本，以及描述页面和可选项的 theme.json。
+ * 主题可以通过 extends 继承另一个主题，缺少的文件、页面和选项沿用被继承的主题
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const THEMES_DIR = path.join(__dirname, '../../themes');
+const MANIFEST_FILE = 'theme.json';
+
+// 默认主题
+const DEFAULT_THEME = process.env.SITE_THEME || 'corporate';
+
+// 继承层级上限，防止循环继承
+const MAX_EXTENDS_DEPTH = 5;
+
+/**
+ * 判断主题是否存在
+ * @param {string} id - 主题 ID
+ * @returns {boolean}
+ */
+function hasTheme(id) {
+  return typeof id === 'string'
+    && /^[\w-]+$/.test(id)
+    && fs.existsSync(path.join(THEMES_DIR, id, MANIFEST_FILE));
+}
+
+/**
+ * 读取主题自身的 theme.json
+ * @param {string} id - 主题 ID
+ * @returns {Object} 主题清单
+ */
+function readManifest(id) {
+  if (!hasTheme(id)) {
+    throw new Error(`主题不存在: ${id}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.join(THEMES_DIR, id, MANIFEST_FILE), 'utf-8'));
+  } catch (error) {
+    throw new Error(`主题 ${id} 的 ${MANIFEST_FILE} 无法解析: ${error.message}`);
+  }
+}
+
+/**
+ * 加载主题，展开继承关系
+ * @param {string} [id] - 主题 ID，不指定时使用默认主题
+ * @returns {Object} { id, label, description, extends, colorScheme, dirs, pages, options }
+ *   colorScheme: 配色方案 light | dark，决定背景和文字颜色的推导方式
+ *   pages: 站点页面清单，按导航顺序 [{ name, title, template, file, requires, detail, optional, nav, footer }]
+ *   dirs: 查找模板文件的目录，自身在前、被继承的主题在后
+ */
+function loadTheme(id = DEFAULT_THEME) {
+  const chain = [];
+  let current = id;
+
+  while (current) {
+    if (chain.some(item => item.id === current) || chain.length >= MAX_EXTENDS_DEPTH) {
+      throw new Error(`主题 ${id} 的继承关系无效`);
+    }
+    chain.push({ id: current, manifest: readManifest(current) });
+    current = chain[chain.length - 1].manifest.extends;
+  }
+
+  const [own] = chain;
+  const inherited = key => chain.map(item => item.manifest[key]).find(value => value !== undefined);
+
+  return {
+    id,
+    label: own.manifest.label || id,
+    description: own.manifest.description || '',
+    extends: own.manifest.extends || null,
+    colorScheme: inherited('colorScheme') === 'dark' ? 'dark' : 'light',
+    dirs: chain.map(item => path.join(THEMES_DIR, item.id)),
+    pages: (inherited('pages') || []).map(page => ({
+      ...page,
+      template: page.template || page.name,
+      file: page.name === 'index' ? 'index.html' : `${page.name}.html`,
+      optional: !!page.optional,
+      nav: page.nav !== false,
+      footer: page.footer !== false
+    })),
+    // 选项逐项继承，子主题可以只覆盖默认值
+    options: Object.assign({}, ...chain.map(item => item.manifest.options || {}).reverse())
+  };
+}
+
+/**
+ * 列出所有主题
+ * @returns {Array} [{ id, label, description, extends, colorScheme, pages, options, default }]
+ */
+function listThemes() {
+  let dirs = [];
+  try {
+    dirs = fs.readdirSync(THEMES_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory() && hasTheme(entry.name));
+  } catch (error) {
+    return [];
+  }
+
+  return dirs.map(entry => {
+    const theme = loadTheme(entry.name);
+    return {
+      id: theme.id,
+      label: theme.label,
+      description: theme.description,
+      extends: theme.extends,
+      colorScheme: theme.colorScheme,
+      pages: theme.pages.map(({ name, title, requires, optional }) => ({ name, title, requires: requires || null, optional })),
+      options: theme.options,
+      default: theme.id === DEFAULT_THEME
+    };
+  });
+}
+
+/**
+ * 查找主题中的模板文件，自身没有时到被继承的主题中查找
+ * @param {Object} theme - loadTheme 返回的主题
+ * @param {string} fileName - 文件名，如 layout.ejs
+ * @returns {string} 文件路径
+ */
+function resolveFile(theme, fileName) {
+  for (const dir of theme.dirs) {
+    const file = path.join(dir, fileName);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  throw new Error(`主题 ${theme.id} 缺少模板: ${fileName}`);
+}
+
+/**
+ * 按请求选择的页面筛选页面清单
+ * 不指定时生成所有非可选页面；首页总是生成；页面顺序以清单为准
+ * @param {Object} theme - loadTheme 返回的主题
+ * @param {Array<string>} [selection] - 页面名称，如 ['about', 'services', 'faq']
+ * @returns {Array} 选中的页面
+ */
+function resolvePages(theme, selection) {
+  if (selection === undefined || selection === null) {
+    return theme.pages.filter(page => !page.optional);
+  }
+  if (!Array.isArray(selection) || selection.some(name => typeof name !== 'string')) {
+    throw new Error('页面选择应为页面名称数组');
+  }
+
+  for (const name of selection) {
+    if (!theme.pages.some(page => page.name === name)) {
+      throw new Error(`主题 ${theme.id} 没有页面: ${name}，可选: ${theme.pages.map(page => page.name).join(', ')}`);
+    }
+  }
+  return theme.pages.filter(page => page.name === 'index' || selection.includes(page.name));
+}
+
+/**
+ * 校验主题选项并补齐默认值
+ * @param {Object} theme - loadTheme 返回的主题
+ * @param {Object} [values] - 请求传入的选项
+ * @returns {Object} { options: 补齐后的选项, provided: 请求中指定的选项名 }
+ */
+function resolveOptions(theme, values = {}) {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('主题选项应为对象');
+  }
+
+  const options = {};
+  const provided = [];
+
+  for (const key of Object.keys(values)) {
+    if (!theme.options[key]) {
+      throw new Error(`主题 ${theme.id} 不支持选项: ${key}`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(theme.options)) {
+    const value = values[key];
+    if (value === undefined || value === null) {
+      options[key] = spec.default ?? null;
+      continue;
+    }
+
+    options[key] = checkOption(key, spec, value);
+    provided.push(key);
+  }
+
+  return { options, provided };
+}
+
+/**
+ * 校验单个选项
+ * @param {string} key - 选项名
+ * @param {Object} spec - 选项定义 { type, enum, default }
+ * @param {*} value - 选项值
+ * @returns {*} 规范化后的值
+ */
+function checkOption(key, spec, value) {
+  switch (spec.type) {
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`主题选项 ${key} 应为 #rrggbb 格式的颜色`);
+      }
+      return value.toLowerCase();
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`主题选项 ${key} 应为 true 或 false`);
+      }
+      return value;
+    case 'enum':
+      if (!spec.enum.includes(value)) {
+        throw new Error(`主题选项 ${key} 应为 ${spec.enum.join(' / ')} 之一`);
+      }
+      return value;
+    default:
+      if (typeof value !== 'string') {
+        throw new Error(`主题选项 ${key} 应为字符串`);
+      }
+      return value;
+  }
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  hasTheme,
+  loadTheme,
+  listThemes,
+  resolveFile,
+  resolvePages,
+  resolveOptions
+};
@@ -0,0 +1,166 @@
+/**
+ * 颜色工具函数
+ * 统一使用 #rrggbb 小写格式
+ */
+
+/**
+ * 将 CSS 颜色转换为 #rrggbb
+ * @param {string} value - #rgb、#rrggbb 或 rgb()/rgba()
+ * @returns {string|null}
+ */
+function toHex(value) {
+  const color = String(value).trim().toLowerCase();
+
+  if (/^#[0-9a-f]{3}$/.test(color)) {
+    return `#${[...color.slice(1)].map(c => c + c).join('')}`;
+  }
+  if (/^#[0-9a-f]{6}$/.test(color)) {
+    return color;
+  }
+
+  const match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (match) {
+    // 半透明颜色多为阴影和遮罩，不算品牌色
+    if (match[4] !== undefined && parseFloat(match[4]) < (match[4].endsWith('%') ? 100 : 1)) return null;
+    return rgbToHex(match.slice(1, 4).map(Number));
+  }
+  return null;
+}
+
+/**
+ * @param {string} hex - #rrggbb
+ * @returns {Array<number>} [r, g, b]，0-255
+ */
+function hexToRgb(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * @param {Array<number>} rgb - [r, g, b]，0-255
+ * @returns {string} #rrggbb
+ */
+function rgbToHex(rgb) {
+  return `#${rgb.map(n => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * @param {string} hex - #rrggbb
+ * @returns {Array<number>} [h, s, l]，h 为 0-360，s、l 为 0-1
+ */
+function hexToHsl(hex) {
+  const [r, g, b] = hexToRgb(hex).map(n => n / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return [(h * 60 + 360) % 360, s, l];
+}
+
+/**
+ * @param {Array<number>} hsl - [h, s, l]
+ * @returns {string} #rrggbb
+ */
+function hslToHex([h, s, l]) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0]
+    : h < 120 ? [x, c, 0]
+      : h < 180 ? [0, c, x]
+        : h < 240 ? [0, x, c]
+          : h < 300 ? [x, 0, c]
+            : [c, 0, x];
+
+  return rgbToHex([r, g, b].map(n => (n + m) * 255));
+}
+
+/**
+ * 判断是否可作为品牌色：排除接近黑、白、灰的颜色
+ * @param {string} hex - #rrggbb
+ * @returns {boolean}
+ */
+function isBrandColor(hex) {
+  const [, saturation, lightness] = hexToHsl(hex);
+  return saturation >= 0.25 && lightness > 0.12 && lightness < 0.9;
+}
+
+/**
+ * RGB 空间中的颜色距离
+ * @param {string} a - #rrggbb
+ * @param {string} b - #rrggbb
+ * @returns {number} 0-441
+ */
+function colorDistance(a, b) {
+  const [r1, g1, b1] = hexToRgb(a);
+  const [r2, g2, b2] = hexToRgb(b);
+  return Math.sqrt((r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2);
+}
+
+/**
+ * 按比例混合两种颜色
+ * @param {string} a - #rrggbb
+ * @param {string} b - #rrggbb
+ * @param {number} weight - b 的比例 0-1
+ * @returns {string} #rrggbb
+ */
+function mix(a, b, weight) {
+  const rgbA = hexToRgb(a);
+  const rgbB = hexToRgb(b);
+  return rgbToHex(rgbA.map((n, i) => n * (1 - weight) + rgbB[i] * weight));
+}
+
+/**
+ * 按比例加深颜色
+ * @param {string} hex - #rrggbb
+ * @param {number} amount - 加深比例 0-1
+ * @returns {string} #rrggbb
+ */
+function darken(hex, amount) {
+  return mix(hex, '#000000', amount);
+}
+
+/**
+ * WCAG 相对亮度
+ * @param {string} hex - #rrggbb
+ * @returns {number} 0-1
+ */
+function relativeLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map(n => {
+    const c = n / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 对比度
+ * @param {string} a - #rrggbb
+ * @param {string} b - #rrggbb
+ * @returns {number} 1-21
+ */
+function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+module.exports = {
+  toHex,
+  hexToRgb,
+  rgbToHex,
+  hexToHsl,
+  hslToHex,
+  isBrandColor,
+  colorDistance,
+  mix,
+  darken,
+  relativeLuminance,
+  contrastRatio
+};
@@ -38,6 +38,29 @@ function formatDate(date = new Date()) {
   return date.toISOString().split('T')[0];
 }
 
+/**
+ * 统一日期格式
+ * @param {string|number} value - 日期文本，如 2024-1-2、2024年01月02日、2024-01-02T08:00:00+08:00，或毫秒时间戳
+ * @param {Object} [options] - { minYear: 最早年份，默认 1990 }
+ * @returns {string|null} YYYY-MM-DD，无法识别时返回 null
+ */
+function normalizeDate(value, options = {}) {
+  let parts;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const date = new Date(value);
+    parts = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  } else {
+    const match = String(value || '').match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/);
+    if (!match) return null;
+    parts = match.slice(1).map(Number);
+  }
+
+  const [year, month, day] = parts;
+  const minYear = options.minYear ?? 1990;
+  const valid = year >= minYear && year <= new Date().getFullYear() + 1 && month >= 1 && month <= 12 && day >= 1 && day <= 31;
+  return valid ? `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}` : null;
+}
+
 /**
  * 延迟函数
  * @param {number} ms - 延迟毫秒数
@@ -116,6 +139,54 @@ function isValidUrl(url) {
   }
 }
 
+/**
+ * 从文本中解析第一个 JSON 对象
+ * 兼容 Markdown 代码块以及 JSON 前后夹带说明文字的情况
+ * @param {string} content - 文本内容
+ * @returns {Object|null} 解析结果，无法解析时返回 null
+ */
+function parseJsonObject(content) {
+  if (!content || typeof content !== 'string') {
+    return null;
+  }
+
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : content;
+
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  // 找到与第一个 { 配对的 }，跳过字符串内的括号
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          const parsed = JSON.parse(text.slice(start, i + 1));
+          return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (parseError) {
+          console.warn('解析 JSON 失败:', parseError.message);
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
 /**
  * 防抖函数
  * @param {Function} func - 目标函数
@@ -151,16 +222,42 @@ function throttle(func, limit = 300) {
   };
 }
 
+/**
+ * 限制并发数地处理列表，结果顺序与输入一致
+ * @param {Array} items - 待处理列表
+ * @param {number} limit - 最大并发数
+ * @param {Function} fn - 处理函数 (item, index) => Promise
+ * @returns {Promise<Array>} 处理结果
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
 module.exports = {
   ensureDir,
   sanitizeFilename,
   formatDate,
+  normalizeDate,
   sleep,
   randomString,
   truncate,
   deepMerge,
   isValidEmail,
   isValidUrl,
+  parseJsonObject,
   debounce,
-  throttle
+  throttle,
+  mapWithConcurrency
 };
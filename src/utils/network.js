@@ -0,0 +1,129 @@
+/**
+ * 网络访问限制
+ * 抓取外部网页时拒绝本机、内网、链路本地（含云服务器元数据地址 169.254.169.254）等非公网地址，
+ * 并限制响应大小
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// 允许访问内网地址，用于对照本地替身站点调试抓取，默认关闭
+const ALLOW_PRIVATE_URLS = process.env.ALLOW_PRIVATE_URLS === 'true';
+// 抓取外部网页时的响应大小上限（字节）
+const MAX_RESPONSE_BYTES = parseInt(process.env.FETCH_MAX_BYTES || String(5 * 1024 * 1024), 10);
+
+// 非公网地址段
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * 判断 IP 是否为非公网地址（IPv4 映射的 IPv6 地址按 IPv4 判断）
+ * @param {string} address - IP 地址
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * 检查网址的协议和主机，主机为 IP 时直接判断；域名在连接时由 publicLookup 判断
+ * @param {string} url - 网址
+ * @returns {string|null} 不允许访问的原因，允许时为 null
+ */
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return `无效的网址: ${url}`;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return `不支持的协议: ${parsed.protocol}`;
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return `不允许访问内网地址: ${parsed.hostname}`;
+  }
+  return null;
+}
+
+/**
+ * 检查网址是否指向公网，域名会解析全部地址，任一地址为内网即拒绝
+ * 供接口在请求前校验参数；域名解析失败时交给后续请求报错
+ * @param {string} url - 网址
+ * @returns {Promise<string|null>} 不允许访问的原因，允许时为 null
+ */
+async function checkPublicUrl(url) {
+  const reason = checkUrl(url);
+  if (reason || ALLOW_PRIVATE_URLS) return reason;
+
+  const { hostname } = new URL(url);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return null;
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    if (addresses.some(item => isPrivateAddress(item.address))) {
+      return `不允许访问内网地址: ${hostname}`;
+    }
+  } catch (e) {
+    // 解析失败
+  }
+  return null;
+}
+
+/**
+ * 拒绝内网地址的 DNS 解析函数，作为请求的 lookup 选项使用
+ * 在建立连接时判断，重定向到的域名和解析结果变化（DNS 重绑定）同样会被拒绝
+ * @param {string} hostname - 主机名
+ * @param {Object} options - dns.lookup 选项
+ * @param {Function} callback - dns.lookup 回调
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!ALLOW_PRIVATE_URLS && addresses.some(item => isPrivateAddress(item.address))) {
+      return callback(new Error(`不允许访问内网地址: ${hostname}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * 检查重定向目标，作为请求的 beforeRedirect 选项使用
+ * 目标主机为 IP 时不经过 DNS 解析，需要在这里拒绝
+ * @param {Object} options - 重定向请求的选项，含 href
+ */
+function checkRedirect(options) {
+  const reason = checkUrl(options.href);
+  if (reason) throw new Error(reason);
+}
+
+module.exports = {
+  MAX_RESPONSE_BYTES,
+  isPrivateAddress,
+  checkUrl,
+  checkPublicUrl,
+  publicLookup,
+  checkRedirect
+};
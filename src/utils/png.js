@@ -0,0 +1,135 @@
+/**
+ * PNG 解码
+ * 只实现提取 Logo 颜色所需的子集：8 位深度、非隔行扫描的灰度、RGB、调色板和带透明通道的图片
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 颜色类型 -> 每像素通道数
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * 判断是否为 PNG 数据
+ * @param {Buffer} buffer - 文件内容
+ * @returns {boolean}
+ */
+function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+/**
+ * 解码 PNG
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Object} { width, height, pixels }，pixels 为 RGBA 排列的 Uint8Array
+ */
+function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('不是 PNG 图片');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !CHANNELS[header.colorType]) {
+    throw new Error('不支持的 PNG 格式');
+  }
+
+  const { width, height, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const pixels = new Uint8Array(width * height * 4);
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const current = unfilter(filter, line, previous, channels);
+
+    for (let x = 0; x < width; x++) {
+      const i = x * channels;
+      const o = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = current[i];
+        pixels.set([palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]], o);
+        pixels[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        pixels.set([current[i], current[i], current[i]], o);
+        pixels[o + 3] = colorType === 4 ? current[i + 1] : 255;
+      } else {
+        pixels.set([current[i], current[i + 1], current[i + 2]], o);
+        pixels[o + 3] = colorType === 6 ? current[i + 3] : 255;
+      }
+    }
+    previous = current;
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * 还原一行扫描线的过滤
+ * @param {number} filter - 过滤类型 0-4
+ * @param {Buffer} line - 过滤后的扫描线
+ * @param {Uint8Array} previous - 上一行还原后的数据
+ * @param {number} bpp - 每像素字节数
+ * @returns {Uint8Array} 还原后的扫描线
+ */
+function unfilter(filter, line, previous, bpp) {
+  const out = new Uint8Array(line.length);
+
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? out[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+    let predictor = 0;
+
+    if (filter === 1) predictor = left;
+    else if (filter === 2) predictor = up;
+    else if (filter === 3) predictor = (left + up) >> 1;
+    else if (filter === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+    }
+
+    out[i] = (line[i] + predictor) & 0xff;
+  }
+  return out;
+}
+
+module.exports = {
+  isPng,
+  decodePng
+};
@@ -0,0 +1,105 @@
+/**
+ * JSON Schema 校验
+ * 实现项目用到的 JSON Schema 子集：type、required、properties、items、
+ * minItems、maxItems、minLength、maxLength、pattern、format、enum
+ */
+
+const { isValidEmail, isValidUrl } = require('./helpers');
+
+const FORMAT_CHECKERS = {
+  email: isValidEmail,
+  uri: isValidUrl
+};
+
+/**
+ * 获取值的 JSON 类型
+ * @param {*} value - 任意值
+ * @returns {string} JSON Schema 类型名
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 判断值是否匹配 schema 中声明的类型
+ * @param {*} value - 值
+ * @param {string|Array<string>} type - 类型声明
+ * @returns {boolean} 是否匹配
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * 按 schema 校验数据
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验数据
+ * @param {string} [path] - 当前路径（用于错误信息）
+ * @returns {Array<Object>} 错误列表 [{ path, message }]
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `类型应为 ${[].concat(schema.type).join('/')}，实际为 ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `取值应为 ${schema.enum.join('/')} 之一` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: `长度不能少于 ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `长度不能超过 ${schema.maxLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: at, message: `格式不符合 ${schema.pattern}` });
+    }
+    if (schema.format && FORMAT_CHECKERS[schema.format] && !FORMAT_CHECKERS[schema.format](value)) {
+      errors.push({ path: at, message: `不是有效的 ${schema.format}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `至少需要 ${schema.minItems} 项` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `最多 ${schema.maxItems} 项` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: '缺少必填字段' });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validate(propSchema, value[key], path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,142 @@
+/**
+ * 接口响应的 CompanyInfo 契约测试
+ * 使用模拟数据提供方调用 /api/generate，并读取 /api/history，检查返回的企业信息符合契约，
+ * 不符合契约的历史记录以 contractErrors 返回
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_FALLBACK = '';
+
+const fs = require('fs').promises;
+const express = require('express');
+
+// 历史记录保存在内存中，不修改 data/history.json
+jest.mock('../src/services/history', () => {
+  let records = [];
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    getHistory: async () => copy(records),
+    saveRecord: async record => {
+      const now = new Date().toISOString();
+      records.unshift({ ...copy(record), createdAt: now, updatedAt: now });
+      return copy(records);
+    },
+    getRecord: async id => {
+      const record = records.find(item => item.id === id);
+      return record && copy(record);
+    },
+    updateRecord: async (id, updates) => {
+      const record = records.find(item => item.id === id);
+      if (!record) return null;
+      Object.assign(record, copy(updates), { updatedAt: new Date().toISOString() });
+      return copy(record);
+    },
+    deleteRecord: async id => {
+      records = records.filter(record => record.id !== id);
+      return copy(records);
+    }
+  };
+});
+
+const apiRoutes = require('../src/routes/api');
+const historyService = require('../src/services/history');
+const outputService = require('../src/services/output');
+const { validateCompanyInfo } = require('../src/schemas/companyInfo');
+
+const COMPANY_NAME = '契约测试示例科技有限公司';
+
+let server;
+let baseUrl;
+
+/**
+ * 请求本地接口
+ * @param {string} path - 接口路径
+ * @param {Object} [body] - 请求体，提供时以 POST 发送
+ * @returns {Promise<Object>} { status, json }
+ */
+async function request(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, body
+    ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+    : {});
+  return { status: response.status, json: await response.json() };
+}
+
+/**
+ * 按契约校验响应中的企业信息，并与 contractErrors 核对
+ * @param {Object} data - 生成结果或历史记录
+ */
+function expectContract(data) {
+  const { valid, errors } = validateCompanyInfo(data.companyInfo, { partial: true });
+  expect(errors).toEqual([]);
+  expect(valid).toBe(true);
+  expect(data.contractErrors).toEqual([]);
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(outputService.getSiteDir({ name: COMPANY_NAME }), { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('CompanyInfo 契约', () => {
+  let generated;
+
+  test('/api/generate 返回的企业信息符合契约', async () => {
+    const { status, json } = await request('/generate', {
+      companyName: COMPANY_NAME,
+      companyInfo: { business: '工业软件研发、技术咨询与系统集成服务' }
+    });
+
+    expect(status).toBe(200);
+    expect(json.success).toBe(true);
+    expect(json.data.companyName).toBe(COMPANY_NAME);
+    expectContract(json.data);
+    generated = json.data;
+  }, 60000);
+
+  test('/api/history 的每条记录符合契约', async () => {
+    const { status, json } = await request('/history');
+
+    expect(status).toBe(200);
+    expect(json.data.length).toBeGreaterThan(0);
+    expect(json.data[0].id).toBe(generated.id);
+    json.data.forEach(expectContract);
+  });
+
+  test('/api/history/:id 返回的记录符合契约', async () => {
+    const { status, json } = await request(`/history/${generated.id}`);
+
+    expect(status).toBe(200);
+    expect(json.data.companyInfo).toEqual(generated.companyInfo);
+    expectContract(json.data);
+  });
+
+  test('不符合契约的历史记录以 contractErrors 返回', async () => {
+    await historyService.saveRecord({
+      id: 'invalid-record',
+      companyName: COMPANY_NAME,
+      companyInfo: { name: COMPANY_NAME, founded: '很多年前', contact: { email: 'not-an-email' } }
+    });
+
+    const { json } = await request('/history/invalid-record');
+    expect(json.success).toBe(true);
+    expect(json.data.contractErrors.map(error => error.path)).toEqual(expect.arrayContaining(['founded', 'contact.email']));
+    expect(json.data.contractErrors.every(error => typeof error.message === 'string')).toBe(true);
+
+    const list = await request('/history');
+    const record = list.json.data.find(item => item.id === 'invalid-record');
+    expect(record.contractErrors).toEqual(json.data.contractErrors);
+  });
+});
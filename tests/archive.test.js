@@ -0,0 +1,105 @@
+/**
+ * 网站打包测试
+ * 检查压缩包的目录结构、部署说明和 nginx / Apache 配置示例，以及打包开始后删除构建目录不影响压缩包内容
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const archiveService = require('../src/services/archive');
+
+const COMPANY_INFO = { name: 'Acme Ltd' };
+
+let buildDir;
+
+/**
+ * 读取压缩包的全部输出
+ * @param {Object} archive - archiver 实例
+ * @returns {Promise<Buffer>}
+ */
+async function collect(archive) {
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  await archive.finalize();
+  return Buffer.concat(chunks);
+}
+
+beforeEach(async () => {
+  buildDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+  await fs.mkdir(path.join(buildDir, 'css'));
+  await fs.writeFile(path.join(buildDir, 'index.html'), '<!DOCTYPE html><title>Acme</title>');
+  await fs.writeFile(path.join(buildDir, 'css/style.3f2a9c1b.css'), 'body{color:#333}');
+  await fs.writeFile(path.join(buildDir, 'manifest.json'), '{}');
+});
+
+afterEach(async () => {
+  await fs.rm(buildDir, { recursive: true, force: true });
+});
+
+describe('getArchiveName', () => {
+  test('按企业目录名命名', () => {
+    expect(archiveService.getArchiveName(COMPANY_INFO)).toBe('acme-ltd-website.zip');
+  });
+});
+
+describe('createSiteArchive', () => {
+  test('网站文件放在 site/ 下，不含构建清单', async () => {
+    const zip = await collect(await archiveService.createSiteArchive(buildDir, { companyInfo: COMPANY_INFO }));
+    const text = zip.toString('latin1');
+
+    expect(text).toContain('acme-ltd-website/site/index.html');
+    expect(text).toContain('acme-ltd-website/site/css/style.3f2a9c1b.css');
+    expect(text).toContain('acme-ltd-website/README.md');
+    expect(text).toContain('acme-ltd-website/deploy/nginx.conf');
+    expect(text).toContain('acme-ltd-website/deploy/apache.htaccess');
+    expect(text).not.toContain('manifest.json');
+  });
+
+  test('不附带部署说明和配置示例', async () => {
+    const archive = await archiveService.createSiteArchive(buildDir, { companyInfo: COMPANY_INFO, readme: false, serverConfig: false });
+    const text = (await collect(archive)).toString('latin1');
+
+    expect(text).toContain('acme-ltd-website/site/index.html');
+    expect(text).not.toContain('README.md');
+    expect(text).not.toContain('deploy/');
+  });
+
+  test('返回后删除构建目录，压缩包仍然完整', async () => {
+    const archive = await archiveService.createSiteArchive(buildDir, { companyInfo: COMPANY_INFO });
+    const warnings = [];
+    archive.on('warning', warning => warnings.push(warning));
+    await fs.rm(buildDir, { recursive: true, force: true });
+
+    const text = (await collect(archive)).toString('latin1');
+    expect(warnings).toEqual([]);
+    expect(text).toContain('acme-ltd-website/site/index.html');
+    expect(text).toContain('acme-ltd-website/site/css/style.3f2a9c1b.css');
+  });
+
+  test('构建目录不存在时抛出错误', async () => {
+    await fs.rm(buildDir, { recursive: true, force: true });
+    await expect(archiveService.createSiteArchive(buildDir, { companyInfo: COMPANY_INFO })).rejects.toThrow('ENOENT');
+  });
+});
+
+describe('服务器配置示例', () => {
+  test('nginx 的哈希资源正则加引号', () => {
+    const config = archiveService.buildNginxConfig(COMPANY_INFO, 'https://www.acme.test/');
+
+    expect(config).toContain('location ~* "\\.[0-9a-f]{8}\\.(css|js|png|svg)$" {');
+    // 除加引号的正则外，花括号只用于配置块
+    for (const line of config.split('\n').filter(item => item.includes('{'))) {
+      expect(line.replace(/"[^"]*"/g, '')).toMatch(/^[^{}]*\{\s*$/);
+    }
+    expect(config).toContain('server_name www.acme.test;');
+    expect(config).toContain('root /var/www/acme-ltd;');
+  });
+
+  test('没有网站地址时使用示例域名', () => {
+    expect(archiveService.buildNginxConfig(COMPANY_INFO, null)).toContain('server_name www.example.com;');
+  });
+
+  test('Apache 的哈希资源正则加引号', () => {
+    expect(archiveService.buildApacheConfig(COMPANY_INFO)).toContain('<FilesMatch "\\.[0-9a-f]{8}\\.(css|js|png|svg)$">');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * 网站构建测试
+ * 在临时目录中构建一个小型网站，检查资源文件名哈希与引用改写（包括样式表中对 images/ 的引用）、
+ * 首屏样式提取（包括 @media 内的规则）、压缩和构建报告
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { REPORT_FILE, buildSite, extractCriticalCss } = require('../src/services/build');
+
+const BASE_URL = 'https://www.acme.test/';
+
+const INDEX_HTML = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta property="og:image" content="${BASE_URL}images/logo.png">
+  <link rel="stylesheet" href="css/style.css">
+</head>
+<body>
+  <header class="site-header"><nav><a class="brand" href="index.html"><img src="images/logo.png" alt="Acme"></a></nav></header>
+  <main>
+    <section class="hero"><h1>示例科技</h1></section>
+    <section class="features"><p>产品介绍</p></section>
+  </main>
+  <footer class="site-footer"><a href="https://cdn.other.test/images/logo.png">外部图片</a></footer>
+  <script src="js/main.js"></script>
+</body>
+</html>
+`;
+
+const ABOUT_HTML = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head><link rel="stylesheet" href="../css/style.css"></head>
+<body><main><section class="page-title"><h1>关于我们</h1></section></main></body>
+</html>
+`;
+
+const STYLE_CSS = `
+.site-header { background: url(../images/bg.png) no-repeat; }
+.hero { background-image: url("../images/bg.png"); }
+.hero h1 { font-size: 40px; }
+.features p { color: #333333; }
+.site-footer { background: url(https://cdn.other.test/images/bg.png); }
+@media (max-width: 600px) {
+  .hero h1 { font-size: 24px; }
+  .site-footer { padding: 8px; }
+}
+@font-face { font-family: Brand; src: url(../images/brand.woff2); }
+`;
+
+const MAIN_JS = `
+function toggleMenu(button) {
+  const menu = document.querySelector('.menu');
+  menu.classList.toggle('open');
+}
+`;
+
+let siteDir;
+
+/**
+ * 读取构建后的文件
+ * @param {string} file - 相对路径
+ * @returns {Promise<string>}
+ */
+function read(file) {
+  return fs.readFile(path.join(siteDir, file), 'utf-8');
+}
+
+beforeEach(async () => {
+  siteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-test-'));
+  await fs.mkdir(path.join(siteDir, 'css'));
+  await fs.mkdir(path.join(siteDir, 'js'));
+  await fs.mkdir(path.join(siteDir, 'images'));
+  await fs.mkdir(path.join(siteDir, 'about'));
+  await fs.writeFile(path.join(siteDir, 'index.html'), INDEX_HTML);
+  await fs.writeFile(path.join(siteDir, 'about/index.html'), ABOUT_HTML);
+  await fs.writeFile(path.join(siteDir, 'css/style.css'), STYLE_CSS);
+  await fs.writeFile(path.join(siteDir, 'js/main.js'), MAIN_JS);
+  await fs.writeFile(path.join(siteDir, 'images/logo.png'), 'logo');
+  await fs.writeFile(path.join(siteDir, 'images/bg.png'), 'background');
+  await fs.writeFile(path.join(siteDir, 'images/brand.woff2'), 'font');
+});
+
+afterEach(async () => {
+  await fs.rm(siteDir, { recursive: true, force: true });
+});
+
+describe('buildSite', () => {
+  test('资源文件名加内容哈希，原文件删除', async () => {
+    const report = await buildSite(siteDir, { baseUrl: BASE_URL });
+
+    for (const source of ['css/style.css', 'js/main.js', 'images/logo.png', 'images/bg.png', 'images/brand.woff2']) {
+      const hashed = report.assets[source];
+      expect(hashed).toMatch(/\.[0-9a-f]{8}\.\w+$/);
+      await expect(fs.access(path.join(siteDir, hashed))).resolves.toBeUndefined();
+      await expect(fs.access(path.join(siteDir, source))).rejects.toThrow('ENOENT');
+    }
+  });
+
+  test('样式表中对 images/ 的引用改为加哈希后的文件名', async () => {
+    const { assets } = await buildSite(siteDir);
+    const css = await read(assets['css/style.css']);
+    const bg = path.posix.basename(assets['images/bg.png']);
+
+    expect(css).not.toMatch(/\.\.\/images\/bg\.png/);
+    expect(css.match(new RegExp(`\\.\\./images/${bg.replace(/\./g, '\\.')}`, 'g'))).toHaveLength(2);
+    expect(css).toContain(`../images/${path.posix.basename(assets['images/brand.woff2'])}`);
+    // 外部网站上的同名文件不改写
+    expect(css).toContain('https://cdn.other.test/images/bg.png');
+  });
+
+  test('页面中的相对引用和以网站地址开头的引用都改写', async () => {
+    const { assets } = await buildSite(siteDir, { baseUrl: BASE_URL });
+    const html = await read('index.html');
+    const about = await read('about/index.html');
+
+    expect(html).toContain(`src="${assets['images/logo.png']}"`);
+    expect(html).toContain(`content="${BASE_URL}${assets['images/logo.png']}"`);
+    expect(html).toContain(`src="${assets['js/main.js']}"`);
+    expect(html).toContain('href="https://cdn.other.test/images/logo.png"');
+    expect(about).toContain(`../${assets['css/style.css']}`);
+  });
+
+  test('首屏样式内联，完整样式表改为异步加载', async () => {
+    const { assets } = await buildSite(siteDir);
+    const html = await read('index.html');
+    const critical = html.match(/<style>([\s\S]*?)<\/style>/)[1];
+
+    expect(critical).toContain('.hero h1{font-size:40px}');
+    expect(critical).toMatch(/@media \(max-width:600px\)\{\.hero h1\{font-size:24px\}\}/);
+    expect(critical).not.toContain('.features');
+    expect(critical).not.toContain('.site-footer');
+    expect(html).toContain(`<link rel="preload" href="${assets['css/style.css']}" as="style"`);
+    expect(html).toContain(`<noscript><link rel="stylesheet" href="${assets['css/style.css']}"></noscript>`);
+  });
+
+  test('压缩页面、样式和脚本，写出构建报告', async () => {
+    const report = await buildSite(siteDir);
+    const js = await read(report.assets['js/main.js']);
+
+    expect(await read('index.html')).not.toContain('\n  <main>');
+    expect(await read(report.assets['css/style.css'])).not.toContain('\n');
+    expect(js).not.toContain('const menu');
+    expect(js.length).toBeLessThan(MAIN_JS.length);
+
+    const saved = JSON.parse(await read(REPORT_FILE));
+    expect(saved.assets).toEqual(report.assets);
+    const style = report.files.find(item => item.source === 'css/style.css');
+    expect(style.file).toBe(report.assets['css/style.css']);
+    expect(style.bytes).toBeLessThan(style.originalBytes);
+    expect(report.total.bytes).toBe(report.files.reduce((sum, item) => sum + item.bytes, 0));
+    expect(report.files.map(item => item.file)).not.toContain(REPORT_FILE);
+  });
+});
+
+describe('extractCriticalCss', () => {
+  const html = '<html><body><header class="top"><nav class="menu"><a>首页</a></nav></header>'
+    + '<main><section class="hero"><h1>标题</h1></section><section class="news"><p>新闻</p></section></main></body></html>';
+
+  test('@media、@supports 内的规则同样按首屏元素筛选', () => {
+    const css = '.hero{color:red}.news{color:blue}'
+      + '@media (max-width:600px){.hero h1{font-size:20px}.news p{margin:0}}'
+      + '@supports (display:grid){.menu{display:grid}.news{display:grid}}'
+      + '@media print{.news{display:none}}';
+
+    expect(extractCriticalCss(html, css)).toBe(
+      '.hero{color:red}@media (max-width:600px){.hero h1{font-size:20px}}@supports (display:grid){.menu{display:grid}}'
+    );
+  });
+
+  test('交互状态和伪元素按所属元素判断，字体和动画定义保留', () => {
+    const css = '.menu a:hover{color:red}.hero::before{content:""}.news p:hover{color:blue}'
+      + '@font-face{font-family:Brand;src:url(a.woff2)}@keyframes fade{from{opacity:0}to{opacity:1}}';
+
+    expect(extractCriticalCss(html, css)).toBe(
+      '.menu a:hover{color:red}.hero::before{content:""}'
+      + '@font-face{font-family:Brand;src:url(a.woff2)}@keyframes fade{from{opacity:0}to{opacity:1}}'
+    );
+  });
+});
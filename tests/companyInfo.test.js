@@ -0,0 +1,75 @@
+/**
+ * CompanyInfo 字段状态测试
+ * 检查 assessCompanyInfo 对顶层和嵌套字段中占位内容的清除，以及清除后的结果符合契约
+ */
+
+const { assessCompanyInfo, validateCompanyInfo } = require('../src/schemas/companyInfo');
+
+describe('assessCompanyInfo', () => {
+  test('剔除 brand.colors 中的占位颜色，写回原字段', () => {
+    const { companyInfo, fieldStatus, missingFields } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      brand: { colors: ['#123456', '待确认'] }
+    });
+
+    expect(companyInfo.brand.colors).toEqual(['#123456']);
+    expect(companyInfo).not.toHaveProperty(['brand.colors']);
+    expect(fieldStatus['brand.colors']).toBe('real');
+    expect(missingFields).not.toContain('brand.colors');
+    expect(validateCompanyInfo(companyInfo, { partial: true }).errors).toEqual([]);
+  });
+
+  test('嵌套列表只有占位内容时清除该字段', () => {
+    const { companyInfo, fieldStatus, missingFields } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      brand: { logo: 'https://www.example.test/logo.png', colors: ['待确认', '暂无'] }
+    });
+
+    expect(companyInfo.brand).toEqual({ logo: 'https://www.example.test/logo.png' });
+    expect(fieldStatus['brand.colors']).toBe('missing');
+    expect(missingFields).toContain('brand.colors');
+  });
+
+  test('清空后的对象字段整体删除', () => {
+    const { companyInfo } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      brand: { colors: ['待确认'] }
+    });
+
+    expect(companyInfo).not.toHaveProperty('brand');
+    expect(Object.keys(companyInfo)).toEqual(['name']);
+  });
+
+  test('剔除顶层列表中的占位项', () => {
+    const { companyInfo, fieldStatus } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      services: [
+        { name: '主营业务一', description: '相关服务描述' },
+        { name: 'MES 生产执行系统', description: '车间生产管理' }
+      ]
+    });
+
+    expect(companyInfo.services).toEqual([{ name: 'MES 生产执行系统', description: '车间生产管理' }]);
+    expect(fieldStatus.services).toBe('real');
+  });
+
+  test('模拟数据保留占位内容并标记为 placeholder', () => {
+    const { companyInfo, fieldStatus } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      brand: { colors: ['#123456', '待确认'] }
+    }, { isMock: true });
+
+    expect(companyInfo.brand.colors).toEqual(['#123456', '待确认']);
+    expect(fieldStatus['brand.colors']).toBe('placeholder');
+  });
+
+  test('手工提供的字段原样保留', () => {
+    const { companyInfo, fieldStatus } = assessCompanyInfo({
+      name: '示例科技有限公司',
+      contact: { phone: '待确认' }
+    }, { manualFields: ['contact.phone'] });
+
+    expect(companyInfo.contact.phone).toBe('待确认');
+    expect(fieldStatus['contact.phone']).toBe('manual');
+  });
+});
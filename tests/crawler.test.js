@@ -0,0 +1,322 @@
+/**
+ * 官网抓取测试
+ * 用 tests/fixtures/site 下的静态站点替代真实网络，检查域名范围、深度和页数限制、
+ * robots.txt 规则以及提取的品牌、联系方式、产品和简介
+ */
+
+// 本地服务不需要按主机限速
+process.env.SEARCH_HOST_INTERVAL = '0';
+// 默认请求函数的测试使用本地服务
+process.env.ALLOW_PRIVATE_URLS = 'true';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROBOTS_AGENT, crawlSite, parseRobots } = require('../src/services/crawler');
+
+const SITE_DIR = path.join(__dirname, 'fixtures/site');
+const SITE_URL = 'http://www.fixture.test/';
+
+// 站内跳转链接，按重定向后的最终地址返回站外页面
+const REDIRECTS = {
+  '/go/partner.html': 'http://other.test/partner.html'
+};
+
+/**
+ * 创建读取本地站点的请求函数
+ * 只响应 www.fixture.test 的地址，其他主机和不存在的文件抛出错误；记录所有请求过的地址。
+ * REDIRECTS 中的地址模拟跟随重定向，返回 { url, body }
+ * @returns {Object} { fetch, fetchBinary, requested }
+ */
+function createFixtureFetch() {
+  const requested = [];
+  const read = url => {
+    requested.push(url);
+    const { hostname, pathname } = new URL(url);
+    if (hostname !== 'www.fixture.test') {
+      throw new Error(`站外请求: ${url}`);
+    }
+    const file = path.join(SITE_DIR, pathname === '/' ? 'index.html' : pathname);
+    if (!fs.existsSync(file)) {
+      throw new Error('Request failed with status code 404');
+    }
+    return fs.readFileSync(file);
+  };
+
+  return {
+    requested,
+    fetch: async url => {
+      const target = REDIRECTS[new URL(url).pathname];
+      if (target) {
+        requested.push(url);
+        return { url: target, body: '<html><head><title>站外页面</title></head><body><a href="/more.html">更多</a></body></html>' };
+      }
+      return read(url).toString('utf-8');
+    },
+    fetchBinary: async url => read(url)
+  };
+}
+
+/**
+ * 抓取测试站点，不输出日志
+ * @param {Object} [options] - crawlSite 的选项
+ * @returns {Promise<Object>} { result, requested }
+ */
+async function crawlFixture(options = {}) {
+  const fixture = createFixtureFetch();
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  try {
+    const result = await crawlSite(SITE_URL, { fetch: fixture.fetch, fetchBinary: fixture.fetchBinary, ...options });
+    return { result, requested: fixture.requested };
+  } finally {
+    log.mockRestore();
+  }
+}
+
+const pagePaths = result => result.pages.map(page => new URL(page.url).pathname);
+
+describe('parseRobots', () => {
+  test('没有规则时全部允许', () => {
+    const robots = parseRobots('');
+    expect(robots.isAllowed('/')).toBe(true);
+    expect(robots.isAllowed('/private/a.html')).toBe(true);
+    expect(robots.crawlDelay).toBeNull();
+  });
+
+  test('使用 User-agent: * 的规则组', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /admin\n\nUser-agent: other-bot\nDisallow: /');
+    expect(robots.isAllowed('/admin/login')).toBe(false);
+    expect(robots.isAllowed('/about.html')).toBe(true);
+  });
+
+  test('与本爬虫名称匹配的规则组优先于 *', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /\n\nUser-agent: company-website-generator\nDisallow: /tmp/');
+    expect(robots.isAllowed('/about.html')).toBe(true);
+    expect(robots.isAllowed('/tmp/a.html')).toBe(false);
+  });
+
+  test('多个 User-agent 行共用一个规则组', () => {
+    const robots = parseRobots('User-agent: other-bot\nUser-agent: company-website-generator\nDisallow: /tmp/');
+    expect(robots.isAllowed('/tmp/a.html')).toBe(false);
+  });
+
+  test('最长匹配优先，长度相同时 Allow 优先', () => {
+    const robots = parseRobots([
+      'User-agent: *',
+      'Disallow: /docs/',
+      'Allow: /docs/public/',
+      'Disallow: /page',
+      'Allow: /page'
+    ].join('\n'));
+    expect(robots.isAllowed('/docs/internal.html')).toBe(false);
+    expect(robots.isAllowed('/docs/public/a.html')).toBe(true);
+    expect(robots.isAllowed('/page.html')).toBe(true);
+  });
+
+  test('支持 * 通配符和 $ 结尾', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /*.php$\nDisallow: /*?session=');
+    expect(robots.isAllowed('/index.php')).toBe(false);
+    expect(robots.isAllowed('/index.php?id=1')).toBe(true);
+    expect(robots.isAllowed('/list?session=abc')).toBe(false);
+  });
+
+  test('User-agent 按产品标识完整匹配，不区分大小写并忽略版本号', () => {
+    expect(parseRobots('User-agent: Company-Website-Generator/1.0\nDisallow: /tmp/').isAllowed('/tmp/a')).toBe(false);
+    // 名称片段不匹配本爬虫
+    expect(parseRobots('User-agent: e\nDisallow: /').isAllowed('/a')).toBe(true);
+    expect(parseRobots('User-agent: company\nDisallow: /').isAllowed('/a')).toBe(true);
+    expect(parseRobots('User-agent: company-website-generator-pro\nDisallow: /').isAllowed('/a')).toBe(true);
+  });
+
+  test('同名的多个规则组合并', () => {
+    const robots = parseRobots([
+      'User-agent: company-website-generator',
+      'Disallow: /a/',
+      '',
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: company-website-generator',
+      'Disallow: /b/',
+      'Crawl-delay: 1'
+    ].join('\n'));
+    expect(robots.isAllowed('/a/1')).toBe(false);
+    expect(robots.isAllowed('/b/1')).toBe(false);
+    expect(robots.isAllowed('/c/1')).toBe(true);
+    expect(robots.crawlDelay).toBe(1000);
+  });
+
+  test('忽略注释和空的 Disallow', () => {
+    const robots = parseRobots('# 注释\nUser-agent: * # 所有爬虫\nDisallow:\nDisallow: /tmp/ # 临时文件');
+    expect(robots.isAllowed('/')).toBe(true);
+    expect(robots.isAllowed('/tmp/a')).toBe(false);
+  });
+
+  test('Crawl-delay 换算为毫秒并限制上限', () => {
+    expect(parseRobots('User-agent: *\nCrawl-delay: 2').crawlDelay).toBe(2000);
+    expect(parseRobots('User-agent: *\nCrawl-delay: 60').crawlDelay).toBe(5000);
+  });
+});
+
+describe('crawlSite', () => {
+  test('只抓取本站页面', async () => {
+    const { result, requested } = await crawlFixture({ maxDepth: 2, maxPages: 20 });
+
+    expect(requested.every(url => new URL(url).hostname === 'www.fixture.test')).toBe(true);
+    expect(result.pages.every(page => new URL(page.url).hostname === 'www.fixture.test')).toBe(true);
+    // 站外样式表、PDF 等资源链接不作为页面抓取
+    expect(requested).not.toContain('https://cdn.other.test/lib.css');
+    expect(requested).not.toContain('http://www.fixture.test/files/brochure.pdf');
+  });
+
+  test('重定向到站外的页面不抓取', async () => {
+    const { result } = await crawlFixture({ maxDepth: 2, maxPages: 20 });
+
+    expect(result.skipped).toContainEqual({
+      url: 'http://www.fixture.test/go/partner.html',
+      reason: '重定向到站外: http://other.test/partner.html'
+    });
+    expect(result.pages.map(page => page.title)).not.toContain('站外页面');
+    expect(pagePaths(result)).not.toContain('/more.html');
+  });
+
+  test('遵守 robots.txt', async () => {
+    const { result, requested } = await crawlFixture({ maxDepth: 2, maxPages: 20 });
+
+    expect(requested[0]).toBe('http://www.fixture.test/robots.txt');
+    expect(requested).not.toContain('http://www.fixture.test/private/secret.html');
+    expect(requested).not.toContain('http://www.fixture.test/archive/2019.html');
+    expect(result.skipped).toEqual(expect.arrayContaining([
+      { url: 'http://www.fixture.test/private/secret.html', reason: 'robots.txt 禁止抓取' },
+      { url: 'http://www.fixture.test/archive/2019.html', reason: 'robots.txt 禁止抓取' }
+    ]));
+    // 专用规则组中更长的 Allow 放行
+    expect(pagePaths(result)).toContain('/private/public.html');
+  });
+
+  test('按深度限制抓取', async () => {
+    const shallow = await crawlFixture({ maxDepth: 0, maxPages: 20 });
+    expect(pagePaths(shallow.result)).toEqual(['/']);
+
+    const { result } = await crawlFixture({ maxDepth: 2, maxPages: 20 });
+    expect(pagePaths(result)).toEqual(expect.arrayContaining(['/level1.html', '/level2.html']));
+    expect(pagePaths(result)).not.toContain('/level3.html');
+    expect(result.pages.find(page => page.url.endsWith('/level2.html')).depth).toBe(2);
+
+    const deep = await crawlFixture({ maxDepth: 3, maxPages: 20 });
+    expect(pagePaths(deep.result)).toContain('/level3.html');
+    expect(deep.requested).not.toContain('http://www.fixture.test/level4.html');
+  });
+
+  test('按页数限制抓取，简介、产品、联系页面优先', async () => {
+    const { result } = await crawlFixture({ maxDepth: 2, maxPages: 3 });
+
+    expect(result.pages).toHaveLength(3);
+    expect(pagePaths(result)).toEqual(['/', '/about.html', '/products.html']);
+    expect(result.pages.map(page => page.kind)).toEqual([null, 'about', 'products']);
+  });
+
+  test('提取 Logo、网站图标和品牌色', async () => {
+    const { result } = await crawlFixture({ maxDepth: 1, maxPages: 20 });
+
+    expect(result.brand.logo).toBe('http://www.fixture.test/images/logo.svg');
+    expect(result.brand.favicon).toBe('http://www.fixture.test/favicon.ico');
+    expect(result.brand.colors[0]).toBe('#c8102e');
+    expect(result.brand.colors).toContain('#1d4ed8');
+    // 接近黑白灰的颜色不作为品牌色
+    expect(result.brand.colors).not.toContain('#333333');
+    expect(result.brand.colors).not.toContain('#222222');
+  });
+
+  test('提取联系方式，联系页面优先', async () => {
+    const { result } = await crawlFixture({ maxDepth: 1, maxPages: 20 });
+
+    expect(result.contact).toEqual({
+      phone: '400-800-1234',
+      email: 'info@example.test',
+      address: '苏州市工业园区星湖街1号'
+    });
+  });
+
+  test('提取产品和企业简介', async () => {
+    const { result } = await crawlFixture({ maxDepth: 1, maxPages: 20 });
+
+    expect(result.services).toEqual([
+      { name: 'MES 生产执行系统', description: '覆盖计划排产、生产报工和质量追溯的车间管理系统。' },
+      { name: '设备运维平台', description: '设备台账、点检保养和故障预警一体化管理。' }
+    ]);
+    expect(result.about).toContain('示例科技成立于 2010 年');
+    expect(result.about).toContain('公司服务制造业客户超过三百家');
+    expect(result.about).not.toContain('短句不计入');
+  });
+
+  test('首页无法抓取时抛出错误', async () => {
+    const fetch = async () => { throw new Error('connect ECONNREFUSED'); };
+    await expect(crawlSite(SITE_URL, { fetch, fetchBinary: fetch })).rejects.toThrow('官网无法抓取');
+  });
+});
+
+describe('默认请求函数', () => {
+  let server;
+  let origin;
+  const userAgents = [];
+  const requests = [];
+
+  beforeAll(async () => {
+    // 127.0.0.1 与 localhost 是不同的主机，/partner.html 重定向到站外
+    server = http.createServer((req, res) => {
+      userAgents.push(req.headers['user-agent']);
+      requests.push(req.url);
+      const { port } = server.address();
+      const pages = {
+        '/robots.txt': `User-agent: ${ROBOTS_AGENT}\nDisallow: /private/`,
+        '/': '<html><head><title>首页</title></head><body><a href="/about.html">关于我们</a><a href="/partner.html">合作伙伴</a><a href="/moved.html">旧页面</a><a href="/hidden.html">隐藏</a></body></html>',
+        '/about.html': '<html><head><title>关于我们</title></head><body><p>本地测试站点的简介段落，用于检查默认请求函数。</p></body></html>'
+      };
+      const redirects = {
+        '/partner.html': `http://localhost:${port}/about.html`,
+        '/moved.html': '/about.html',
+        '/hidden.html': '/private/hidden.html'
+      };
+
+      if (redirects[req.url]) {
+        res.writeHead(301, { Location: redirects[req.url] });
+        res.end();
+      } else if (pages[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(pages[req.url]);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('使用可识别的 User-Agent，跳过重定向到站外或 robots.txt 禁止的页面', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    let result;
+    try {
+      result = await crawlSite(`${origin}/`, { maxDepth: 1, maxPages: 10 });
+    } finally {
+      log.mockRestore();
+    }
+
+    // 站外和 robots.txt 禁止的重定向目标不会被请求
+    expect(requests).not.toContain('/private/hidden.html');
+    expect(userAgents.length).toBeGreaterThan(0);
+    expect(userAgents.every(agent => agent.includes(`${ROBOTS_AGENT}/`))).toBe(true);
+    expect(userAgents.some(agent => /Chrome/.test(agent))).toBe(false);
+
+    expect(pagePaths(result)).toEqual(['/', '/about.html']);
+    expect(result.skipped).toEqual(expect.arrayContaining([
+      { url: `${origin}/partner.html`, reason: `重定向到站外: http://localhost:${server.address().port}/about.html` },
+      { url: `${origin}/hidden.html`, reason: 'robots.txt 禁止抓取' }
+    ]));
+  });
+});
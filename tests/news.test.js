@@ -0,0 +1,83 @@
+/**
+ * 企业新闻测试
+ * 用替身代替搜索和网页抓取，检查新闻条数和标题长度不超过 CompanyInfo 契约的上限
+ */
+
+// 配置值超过契约上限时按上限处理
+process.env.NEWS_LIMIT = '20';
+
+jest.mock('../src/services/search', () => ({
+  ...jest.requireActual('../src/services/search'),
+  performSearch: jest.fn()
+}));
+jest.mock('../src/services/readability', () => ({
+  fetchReadable: jest.fn()
+}));
+jest.mock('../src/services/providers', () => ({
+  getProviderChain: () => []
+}));
+
+const searchService = require('../src/services/search');
+const readability = require('../src/services/readability');
+const { collectNews } = require('../src/services/news');
+const { COMPANY_INFO_SCHEMA, validateCompanyInfo } = require('../src/schemas/companyInfo');
+
+const COMPANY_NAME = '示例科技有限公司';
+const ARTICLE_COUNT = 30;
+
+/**
+ * 生成互不相似的长标题，避免被当作重复报道合并
+ * @param {number} index - 报道序号
+ * @returns {string} 超过 100 字的标题
+ */
+function longTitle(index) {
+  const words = Array.from({ length: 120 }, (_, k) => String.fromCharCode(0x4e00 + index * 150 + k)).join('');
+  return `${COMPANY_NAME}${words}`;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  const results = Array.from({ length: ARTICLE_COUNT }, (_, index) => ({
+    title: longTitle(index),
+    url: `https://news${index}.example.com/article.html`,
+    snippet: `${COMPANY_NAME}近期动态`,
+    source: 'bing'
+  }));
+  searchService.performSearch.mockResolvedValue({ results, errors: [] });
+
+  readability.fetchReadable.mockImplementation(async url => {
+    const index = Number(url.match(/news(\d+)/)[1]);
+    const date = new Date(Date.now() - index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return { title: longTitle(index), text: `${COMPANY_NAME}发布了第 ${index + 1} 项新产品，受到行业关注。`, publishDate: date };
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('collectNews', () => {
+  const schema = COMPANY_INFO_SCHEMA.properties.news;
+
+  test('条数不超过契约上限', async () => {
+    const news = await collectNews(COMPANY_NAME);
+
+    expect(news).toHaveLength(schema.maxItems);
+    expect(validateCompanyInfo({ name: COMPANY_NAME, news }, { partial: true }).errors).toEqual([]);
+  });
+
+  test('指定条数超过上限时同样按上限返回', async () => {
+    const news = await collectNews(COMPANY_NAME, { limit: 50 });
+    expect(news).toHaveLength(schema.maxItems);
+  });
+
+  test('标题截断到契约长度', async () => {
+    const news = await collectNews(COMPANY_NAME, { limit: 3 });
+
+    expect(news).toHaveLength(3);
+    for (const item of news) {
+      expect([...item.title]).toHaveLength(schema.items.properties.title.maxLength);
+    }
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * 输出目录测试
+ * 检查 current 原子切换到新构建、旧构建清理时保留当前版本、生成中和正在使用的构建，以及 acquireBuild 的标记与释放
+ */
+
+// 只保留最新的两个构建，便于检查清理范围
+process.env.BUILD_RETENTION = '2';
+
+const fs = require('fs').promises;
+const path = require('path');
+const outputService = require('../src/services/output');
+
+const COMPANY_INFO = { name: `output-test-${process.pid}` };
+const siteDir = outputService.getSiteDir(COMPANY_INFO);
+
+/**
+ * 创建构建并写入页面，complete 为 true 时写入清单
+ * 构建 ID 以毫秒时间开头，创建前稍等以保证按创建顺序排序
+ * @param {string} content - 页面内容
+ * @param {boolean} [complete] - 是否写入清单
+ * @returns {Promise<Object>} createBuild 的结果
+ */
+async function makeBuild(content, complete = true) {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const build = await outputService.createBuild(COMPANY_INFO);
+  await fs.writeFile(path.join(build.dir, 'index.html'), content);
+  if (complete) await outputService.writeManifest(build);
+  return build;
+}
+
+/**
+ * 已有的构建 ID
+ * @returns {Promise<Array<string>>}
+ */
+async function listBuilds() {
+  return (await fs.readdir(path.join(siteDir, 'builds'))).sort();
+}
+
+beforeEach(async () => {
+  await fs.rm(siteDir, { recursive: true, force: true });
+});
+
+afterAll(async () => {
+  await fs.rm(siteDir, { recursive: true, force: true });
+});
+
+describe('promoteBuild', () => {
+  test('current 指向新构建，不留下临时链接', async () => {
+    const first = await makeBuild('first');
+    const second = await makeBuild('second');
+
+    await outputService.promoteBuild(first);
+    await outputService.promoteBuild(second);
+
+    expect(await fs.readlink(path.join(siteDir, 'current'))).toBe(path.join('builds', second.id));
+    expect(await outputService.getCurrentBuildId(siteDir)).toBe(second.id);
+    expect(await fs.readFile(path.join(siteDir, 'current/index.html'), 'utf-8')).toBe('second');
+    expect((await fs.readdir(siteDir)).sort()).toEqual(['builds', 'current']);
+  });
+
+  test('切换过程中读取方始终看到完整的旧版本或新版本', async () => {
+    const builds = [await makeBuild('first'), await makeBuild('second')];
+    await outputService.promoteBuild(builds[0]);
+
+    let switching = true;
+    const seen = new Set();
+    const reader = (async () => {
+      while (switching) {
+        // current 不存在或指向不完整的目录时读取会抛出错误，测试失败
+        seen.add(await fs.readFile(path.join(siteDir, 'current/index.html'), 'utf-8'));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    })();
+
+    for (let i = 1; i <= 40; i++) {
+      await outputService.promoteBuild(builds[i % 2]);
+    }
+    switching = false;
+    await reader;
+
+    expect([...seen].every(content => content === 'first' || content === 'second')).toBe(true);
+    expect(await outputService.getCurrentBuildId(siteDir)).toBe(builds[0].id);
+  });
+});
+
+describe('pruneBuilds', () => {
+  test('保留当前版本、生成中和正在使用的构建，清理其余旧构建', async () => {
+    const oldest = await makeBuild('oldest');
+    const current = await makeBuild('current');
+    const inProgress = await makeBuild('in progress', false);
+    const retained = await makeBuild('retained');
+    const abandoned = await makeBuild('abandoned', false);
+    const latest = [await makeBuild('latest 1'), await makeBuild('latest 2')];
+
+    await outputService.promoteBuild(current);
+    const acquired = await outputService.acquireBuild(COMPANY_INFO, retained.id);
+    // 超过有效期仍没有清单的构建视为中断遗留
+    const stale = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(abandoned.dir, stale, stale);
+
+    const removed = await outputService.pruneBuilds(siteDir);
+
+    expect(removed.sort()).toEqual([oldest.id, abandoned.id].sort());
+    expect(await listBuilds()).toEqual([current.id, inProgress.id, retained.id, ...latest.map(build => build.id)].sort());
+
+    acquired.release();
+    expect(await outputService.pruneBuilds(siteDir)).toEqual([retained.id]);
+    expect(await outputService.getCurrentBuildId(siteDir)).toBe(current.id);
+  });
+
+  test('构建数不超过保留数量时不清理', async () => {
+    await makeBuild('first');
+    await makeBuild('second');
+
+    expect(await outputService.pruneBuilds(siteDir)).toEqual([]);
+    expect(await listBuilds()).toHaveLength(2);
+  });
+});
+
+describe('acquireBuild', () => {
+  test('只返回已完成的构建', async () => {
+    const complete = await makeBuild('complete');
+    const inProgress = await makeBuild('in progress', false);
+
+    const acquired = await outputService.acquireBuild(COMPANY_INFO, complete.id);
+    expect(acquired.dir).toBe(complete.dir);
+    acquired.release();
+
+    expect(await outputService.acquireBuild(COMPANY_INFO, inProgress.id)).toBeNull();
+    expect(await outputService.acquireBuild(COMPANY_INFO, 'missing-build')).toBeNull();
+    expect(await outputService.acquireBuild(COMPANY_INFO, '../current')).toBeNull();
+  });
+
+  test('多次取得时全部释放后才允许清理，重复释放无效', async () => {
+    const target = await makeBuild('target');
+    for (let i = 0; i < 3; i++) await makeBuild(`newer ${i}`);
+
+    const first = await outputService.acquireBuild(COMPANY_INFO, target.id);
+    const second = await outputService.acquireBuild(COMPANY_INFO, target.id);
+
+    first.release();
+    first.release();
+    expect(await outputService.pruneBuilds(siteDir)).not.toContain(target.id);
+
+    second.release();
+    expect(await outputService.pruneBuilds(siteDir)).toContain(target.id);
+  });
+
+  test('未能取得的构建不保留标记', async () => {
+    const inProgress = await makeBuild('in progress', false);
+    expect(await outputService.acquireBuild(COMPANY_INFO, inProgress.id)).toBeNull();
+
+    const stale = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(inProgress.dir, stale, stale);
+    for (let i = 0; i < 2; i++) await makeBuild(`newer ${i}`);
+
+    expect(await outputService.pruneBuilds(siteDir)).toEqual([inProgress.id]);
+  });
+});
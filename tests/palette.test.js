@@ -0,0 +1,66 @@
+/**
+ * 品牌配色测试
+ * 检查各主题下推导出的配色全部达到 WCAG AA，包括纯白、纯黑等位于亮度端点的品牌色
+ */
+
+const themes = require('../src/services/themes');
+const { MIN_CONTRAST, resolvePalette, buildPalette } = require('../src/services/palette');
+const { contrastRatio } = require('../src/utils/color');
+
+/**
+ * 检查配色中每组文字/背景的对比度
+ * @param {Object} palette - buildPalette 或 resolvePalette 的结果
+ */
+function expectAllPassed(palette) {
+  for (const check of palette.checks) {
+    expect({ pair: check.pair, passed: check.passed }).toEqual({ pair: check.pair, passed: true });
+    expect(contrastRatio(check.foreground, check.background)).toBeGreaterThanOrEqual(MIN_CONTRAST);
+  }
+}
+
+/**
+ * 按主题和主题选项确定配色
+ * @param {string} themeId - 主题
+ * @param {Object} values - 主题选项
+ * @returns {Object} 配色
+ */
+function paletteFor(themeId, values) {
+  const theme = themes.loadTheme(themeId);
+  return resolvePalette({ name: '示例科技有限公司' }, { theme, themeOptions: themes.resolveOptions(theme, values) });
+}
+
+describe('对比度调整', () => {
+  test('浅色方案中纯白主色调整为可读的颜色', () => {
+    const palette = paletteFor('corporate', { primaryColor: '#ffffff' });
+
+    expect(palette.scheme).toBe('light');
+    expect(palette.tokens.primary).not.toBe('#ffffff');
+    expectAllPassed(palette);
+  });
+
+  test('深色主题中纯黑主色调整为可读的颜色', () => {
+    const palette = paletteFor('tech-dark', { primaryColor: '#000000' });
+
+    expect(palette.scheme).toBe('dark');
+    expect(palette.tokens.primary).not.toBe('#000000');
+    expectAllPassed(palette);
+  });
+
+  test('纯白、纯黑和中灰作为主色和强调色时全部达标', () => {
+    const colors = ['#ffffff', '#000000', '#777777', '#ffff00', '#2563eb'];
+    for (const scheme of ['light', 'dark']) {
+      for (const primary of colors) {
+        for (const accent of [null, ...colors]) {
+          expectAllPassed(buildPalette(primary, { accent, scheme }));
+        }
+      }
+    }
+  });
+
+  test('已达标的主色保持不变', () => {
+    const palette = buildPalette('#1d4ed8');
+
+    expect(palette.tokens.primary).toBe('#1d4ed8');
+    expect(palette.checks.find(check => check.pair === 'primary/surface').adjusted).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * 网页获取限制测试
+ * 检查抓取外部网页时拒绝本机、内网和云服务器元数据地址，超过大小上限或不是网页的响应抛出错误，
+ * 以及 /api/fetch、/api/crawl 对内网地址返回 400
+ */
+
+const http = require('http');
+const express = require('express');
+
+let server;
+let origin;
+
+/**
+ * 按指定环境变量重新加载模块
+ * @param {Object} env - 环境变量
+ * @param {string} modulePath - 模块路径
+ * @returns {Object} 模块
+ */
+function loadWith(env, modulePath) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = require(modulePath);
+  });
+  process.env = saved;
+  return loaded;
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/large.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(`<html><body>${'a'.repeat(2048)}</body></html>`);
+    } else if (req.url === '/file.pdf') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.end('%PDF-1.4');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<html><head><title>示例页面</title></head><body><p>正文</p></body></html>');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('内网地址', () => {
+  const network = loadWith({ ALLOW_PRIVATE_URLS: 'false' }, '../src/utils/network');
+  const readability = loadWith({ ALLOW_PRIVATE_URLS: 'false' }, '../src/services/readability');
+
+  test('识别本机、内网、链路本地和 IPv6 地址', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => expect(network.isPrivateAddress(address)).toBe(true));
+    ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888']
+      .forEach(address => expect(network.isPrivateAddress(address)).toBe(false));
+  });
+
+  test('拒绝 IP 和 localhost 网址，不发出请求', async () => {
+    for (const url of [`${origin}/`, 'http://localhost/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data/', 'http://2130706433/']) {
+      await expect(readability.fetchHtml(url)).rejects.toThrow('不允许访问内网地址');
+    }
+    await expect(readability.fetchHtml('file:///etc/passwd')).rejects.toThrow('不支持的协议');
+  });
+
+  test('域名解析到内网地址时拒绝连接', done => {
+    network.publicLookup('localhost', {}, error => {
+      expect(error.message).toContain('不允许访问内网地址');
+      done();
+    });
+  });
+
+  test('重定向到内网地址时中止', () => {
+    expect(() => network.checkRedirect({ href: 'http://169.254.169.254/latest/meta-data/' })).toThrow('不允许访问内网地址');
+    expect(() => network.checkRedirect({ href: 'https://www.example.com/' })).not.toThrow();
+  });
+
+  test('接口对内网地址返回 400', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const apiRoutes = loadWith({ ALLOW_PRIVATE_URLS: 'false' }, '../src/routes/api');
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+    const apiServer = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => apiServer.once('listening', resolve));
+
+    try {
+      for (const route of ['/api/fetch', '/api/crawl']) {
+        const response = await fetch(`http://127.0.0.1:${apiServer.address().port}${route}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url: 'http://169.254.169.254/latest/meta-data/' })
+        });
+        const json = await response.json();
+        expect(response.status).toBe(400);
+        expect(json.success).toBe(false);
+        expect(json.message).toContain('不允许访问内网地址');
+      }
+    } finally {
+      await new Promise(resolve => apiServer.close(resolve));
+      jest.restoreAllMocks();
+    }
+  });
+});
+
+describe('响应限制', () => {
+  const readability = loadWith({ ALLOW_PRIVATE_URLS: 'true', FETCH_MAX_BYTES: '1024' }, '../src/services/readability');
+
+  test('允许内网地址时正常读取网页', async () => {
+    const page = await readability.fetchReadable(`${origin}/`);
+    expect(page.title).toBe('示例页面');
+  });
+
+  test('超过大小上限时抛出错误', async () => {
+    await expect(readability.fetchHtml(`${origin}/large.html`)).rejects.toThrow('maxContentLength');
+  });
+
+  test('不是网页时抛出错误', async () => {
+    await expect(readability.fetchHtml(`${origin}/file.pdf`)).rejects.toThrow('不是网页: application/pdf');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * 工商登记信息测试
+ * 用本地 HTTP 服务替代企业信息接口，检查列表结果的精确匹配、错误响应和字段映射，
+ * 以及登记信息合并到企业信息时优先于模型输出
+ */
+
+const http = require('http');
+const api = require('../src/services/registry/api');
+const registryService = require('../src/services/registry');
+const { applyRegistration } = require('../src/services/extractor');
+const { EXTERNAL_FIELDS } = require('../src/schemas/companyInfo');
+
+const COMPANY_NAME = '示例科技（苏州）有限公司';
+
+const RECORD = {
+  entName: COMPANY_NAME,
+  CreditCode: '91320594MA1XXXXX0K',
+  OperName: '张三',
+  RegistCapi: 1000,
+  StartDate: '2010-06-01 00:00:00',
+  Status: '存续',
+  regLocation: '苏州市工业园区星湖街1号'
+};
+
+let server;
+let respond;
+let requests;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers });
+    const { status = 200, body, type = 'application/json' } = respond(req);
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  respond = () => ({ body: RECORD });
+  process.env.REGISTRY_API_URL = `http://127.0.0.1:${server.address().port}/company`;
+  process.env.REGISTRY_API_KEY = 'test-key';
+  process.env.REGISTRY_TIMEOUT = '2000';
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.REGISTRY_API_URL;
+  delete process.env.REGISTRY_API_KEY;
+  delete process.env.REGISTRY_TIMEOUT;
+  jest.restoreAllMocks();
+});
+
+describe('企业信息接口适配器', () => {
+  test('按名称查询并映射字段别名', async () => {
+    const record = await api.lookup(COMPANY_NAME);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url.pathname).toBe('/company');
+    expect(requests[0].url.searchParams.get('name')).toBe(COMPANY_NAME);
+    expect(requests[0].headers.authorization).toBe('Bearer test-key');
+    expect(record).toEqual({
+      name: COMPANY_NAME,
+      creditCode: '91320594MA1XXXXX0K',
+      legalRepresentative: '张三',
+      registeredCapital: 1000,
+      registrationDate: '2010-06-01 00:00:00',
+      status: '存续',
+      address: '苏州市工业园区星湖街1号'
+    });
+  });
+
+  test('读取包在 data / result / Result 中的记录', async () => {
+    for (const key of ['data', 'result', 'Result']) {
+      respond = () => ({ body: { code: 0, [key]: RECORD } });
+      expect((await api.lookup(COMPANY_NAME)).creditCode).toBe('91320594MA1XXXXX0K');
+    }
+  });
+
+  test('列表结果取名称完全一致的企业', async () => {
+    respond = () => ({
+      body: {
+        data: [
+          { ...RECORD, entName: '示例科技有限公司', CreditCode: '91110000MA00000000' },
+          RECORD,
+          { ...RECORD, entName: '示例科技（苏州）有限公司分公司', CreditCode: '91320594MA1YYYYY0K' }
+        ]
+      }
+    });
+
+    const record = await api.lookup(COMPANY_NAME);
+    expect(record.name).toBe(COMPANY_NAME);
+    expect(record.creditCode).toBe('91320594MA1XXXXX0K');
+  });
+
+  test('全角和半角括号视为相同', async () => {
+    respond = () => ({ body: [{ ...RECORD, entName: '示例科技(苏州)有限公司' }] });
+    expect((await api.lookup(COMPANY_NAME)).creditCode).toBe('91320594MA1XXXXX0K');
+  });
+
+  test('按统一社会信用代码查询时取信用代码一致的企业', async () => {
+    respond = () => ({ body: [{ ...RECORD, entName: '其他企业', CreditCode: '91110000MA00000000' }, RECORD] });
+    expect((await api.lookup('91320594ma1xxxxx0k')).name).toBe(COMPANY_NAME);
+  });
+
+  test('同一家企业重复出现时仍然采用', async () => {
+    respond = () => ({ body: [RECORD, RECORD] });
+    expect((await api.lookup(COMPANY_NAME)).name).toBe(COMPANY_NAME);
+  });
+
+  test('列表中没有完全一致的企业时返回 null 并警告，不取第一条', async () => {
+    respond = () => ({
+      body: [
+        { ...RECORD, entName: '示例科技有限公司', CreditCode: '91110000MA00000000' },
+        { ...RECORD, entName: '示例科技（苏州）有限公司分公司', CreditCode: '91320594MA1YYYYY0K' }
+      ]
+    });
+
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('没有名称与'));
+  });
+
+  test('多家不同的同名企业时返回 null 并警告', async () => {
+    respond = () => ({ body: [RECORD, { ...RECORD, CreditCode: '91320594MA1YYYYY0K' }] });
+
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('无法确定是哪一家'));
+  });
+
+  test('空列表返回 null', async () => {
+    respond = () => ({ body: { data: [] } });
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+  });
+
+  test('404 视为未找到', async () => {
+    respond = () => ({ status: 404, body: { message: 'not found' } });
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+  });
+
+  test('其他 HTTP 错误抛出', async () => {
+    respond = () => ({ status: 500, body: { message: 'internal error' } });
+    await expect(api.lookup(COMPANY_NAME)).rejects.toThrow('500');
+
+    respond = () => ({ status: 401, body: { message: 'invalid key' } });
+    await expect(api.lookup(COMPANY_NAME)).rejects.toThrow('401');
+  });
+
+  test('响应不是 JSON 时返回 null', async () => {
+    respond = () => ({ body: '<html><body>维护中</body></html>', type: 'text/html' });
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+
+    respond = () => ({ body: '{"data": [', type: 'application/json' });
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+  });
+
+  test('记录中没有名称和信用代码时返回 null', async () => {
+    respond = () => ({ body: { data: { message: 'ok', total: 0 } } });
+    expect(await api.lookup(COMPANY_NAME)).toBeNull();
+  });
+});
+
+describe('lookupRegistration', () => {
+  test('未配置接口时返回 null，不发送请求', async () => {
+    delete process.env.REGISTRY_API_URL;
+
+    expect(registryService.checkConfig()).toEqual({ configured: false, provider: null });
+    expect(await registryService.lookupRegistration(COMPANY_NAME)).toBeNull();
+    expect(requests).toHaveLength(0);
+  });
+
+  test('统一登记信息的格式', async () => {
+    expect(await registryService.lookupRegistration(COMPANY_NAME)).toEqual({
+      name: COMPANY_NAME,
+      creditCode: '91320594MA1XXXXX0K',
+      legalRepresentative: '张三',
+      registeredCapital: '1000万元人民币',
+      registrationDate: '2010-06-01',
+      status: '存续',
+      address: '苏州市工业园区星湖街1号'
+    });
+  });
+
+  test('丢弃格式不正确的信用代码和缺失的字段', async () => {
+    respond = () => ({ body: { name: COMPANY_NAME, creditCode: '12345', legalPersonName: '', estiblishTime: '未知' } });
+    expect(await registryService.lookupRegistration(COMPANY_NAME)).toEqual({ name: COMPANY_NAME });
+  });
+});
+
+describe('applyRegistration', () => {
+  // 模型输出：成立时间与登记不一致
+  const modelInfo = {
+    name: COMPANY_NAME,
+    founded: '2005年',
+    description: '示例科技是一家工业软件企业。'
+  };
+
+  test('登记信息写入 registration，成立时间以登记日期为准', () => {
+    const registration = {
+      name: COMPANY_NAME,
+      creditCode: '91320594MA1XXXXX0K',
+      registrationDate: '2010-06-01'
+    };
+
+    const { companyInfo, verifiedFields } = applyRegistration(modelInfo, registration);
+
+    expect(companyInfo.registration).toEqual(registration);
+    expect(companyInfo.founded).toBe('2010年');
+    expect(companyInfo.description).toBe(modelInfo.description);
+    expect(verifiedFields).toEqual(['registration.name', 'registration.creditCode', 'registration.registrationDate', 'founded']);
+  });
+
+  test('没有登记日期时保留模型给出的成立时间', () => {
+    const { companyInfo, verifiedFields } = applyRegistration(modelInfo, { name: COMPANY_NAME });
+
+    expect(companyInfo.founded).toBe('2005年');
+    expect(verifiedFields).toEqual(['registration.name']);
+  });
+
+  test('没有登记信息时不修改企业信息', () => {
+    const { companyInfo, verifiedFields } = applyRegistration(modelInfo, null);
+
+    expect(companyInfo).toBe(modelInfo);
+    expect(verifiedFields).toEqual([]);
+  });
+
+  test('模型输出中的登记信息不会被采用', () => {
+    // 提取时会先删除模型输出的外部字段，登记信息只来自接口
+    expect(EXTERNAL_FIELDS).toContain('registration');
+
+    const { companyInfo } = applyRegistration(
+      { ...modelInfo, registration: { creditCode: '91110000MA00000000', legalRepresentative: '李四' } },
+      { name: COMPANY_NAME, legalRepresentative: '张三' }
+    );
+    expect(companyInfo.registration).toEqual({ name: COMPANY_NAME, legalRepresentative: '张三' });
+  });
+});